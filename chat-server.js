@@ -1,37 +1,150 @@
 const WebSocket = require('ws');
 const http = require('http');
 const url = require('url');
-const mysql = require('mysql2/promise');
+const { verifyClient, handleProtocols, authenticateRequest, createRoomInviteToken, getRoomInviteRevocationKey } = require('./lib/auth');
+const { createRateLimiter, createConnectionLimiter, limitConnections, enforceRateLimit, parseLimits } = require('./lib/rate-limit');
+const { createMetricsRegistry, trackEventLoopLag, isMetricsRequestAllowed } = require('./lib/metrics');
+const { sendJson, httpError, matchRoute } = require('./lib/http');
+const { createChatStore } = require('./lib/chat-store');
+const { createClusterAdapter } = require('./lib/cluster-adapter');
+const { v4: uuidv4 } = require('uuid');
 
 // Configuración
 const PORT = process.env.PORT || 10001;
-
-// Conexión a la base de datos
-const dbPool = mysql.createPool({
-    host: process.env.DB_HOST,
-    user: process.env.DB_USER,
-    password: process.env.DB_PASS,
-    database: process.env.DB_NAME,
-    port: process.env.DB_PORT,
-    waitForConnections: true,
-    connectionLimit: 10,
-    queueLimit: 0
-});
+const CHAT_STORE = process.env.CHAT_STORE || 'mysql'; // mysql | memory
+const CHAT_MEMORY_USERS = process.env.CHAT_MEMORY_USERS; // JSON [{ "id": 1, "username": "ana" }] que el backend memory conoce desde el inicio
+const INSTANCE_ID = process.env.INSTANCE_ID || `chat-${uuidv4()}`;
+const CLUSTER_ADAPTER = process.env.CLUSTER_ADAPTER || 'local'; // redis, el mismo que server.js: sin él no hay "viendo la sala" ni invitaciones a salas
+const REDIS_URL = process.env.REDIS_URL;
+const MAX_MESSAGE_SIZE = parseInt(process.env.MAX_MESSAGE_SIZE) || 16 * 1024; // bytes por frame
+const MAX_CONNECTIONS_PER_IP = parseInt(process.env.MAX_CONNECTIONS_PER_IP) || 10;
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true'; // usar X-Forwarded-For para la IP del cliente
+const RATE_LIMIT_CLOSE_CODE = 4029;
+const METRICS_TOKEN = process.env.METRICS_TOKEN; // si se define, /metrics exige Authorization: Bearer <token>
+const SERVER_RESTART_CLOSE_CODE = 1012; // código estándar "Service Restart": el cliente debe reconectar
+const DRAIN_RETRY_AFTER = parseInt(process.env.DRAIN_RETRY_AFTER) || 5; // segundos que el cliente espera antes de reconectar
+const DRAIN_RECONNECT_URL = process.env.DRAIN_RECONNECT_URL; // endpoint alternativo opcional al que reconectar
+const SHUTDOWN_TIMEOUT = parseInt(process.env.SHUTDOWN_TIMEOUT) || 10000; // ms máximos esperando sockets y consultas en curso
+const PENDING_PAGE_SIZE = 100; // mensajes no leídos por consulta al reenviar pendientes
+const MAX_RECEIPT_IDS = 200; // ids por confirmación de entrega o lectura
+const HISTORY_DEFAULT_LIMIT = 50; // mensajes por página del historial
+const HISTORY_MAX_LIMIT = 100;
+const MAX_GROUP_MEMBERS = 50;
+const MAX_GROUP_MESSAGE_LENGTH = 2000;
+const MAX_PRIVATE_MESSAGE_LENGTH = 2000;
+const WATCH_PARTY_INVITE_TTL = parseInt(process.env.WATCH_PARTY_INVITE_TTL) || 24 * 60 * 60; // segundos que vale una invitación a una sala
+const PRESENCE_ACTIVITY_CHECK_INTERVAL = parseInt(process.env.PRESENCE_ACTIVITY_CHECK_INTERVAL) || 30000; // ms entre comprobaciones de "viendo la sala X"
+// Cubetas por tipo de mensaje: capacity = ráfaga máxima, refill = mensajes por segundo.
+// Se pueden sobreescribir con RATE_LIMITS='{"private_message":{"capacity":3,"refill":0.5}}'
+const RATE_LIMITS = parseLimits({
+    private_message: { capacity: 5, refill: 1 },
+    friend_request: { capacity: 3, refill: 0.1 },
+    friend_request_response: { capacity: 10, refill: 1 },
+    watch_party_invite: { capacity: 5, refill: 0.2 },
+    history_request: { capacity: 10, refill: 2 },
+    group_message: { capacity: 5, refill: 1 },
+    group_create: { capacity: 3, refill: 0.1 },
+    block_user: { capacity: 5, refill: 0.2 },
+    presence_update: { capacity: 10, refill: 1 },
+    default: { capacity: 20, refill: 5 }
+}, process.env.RATE_LIMITS);
 
 // Almacenamiento en memoria
 const onlineUsers = new Map(); // userId -> { ws, username, ... }
 const userSockets = new Map(); // userId -> Set of WebSockets
+const rateLimiter = createRateLimiter({ limits: RATE_LIMITS });
+const connectionLimiter = createConnectionLimiter({ maxPerIp: MAX_CONNECTIONS_PER_IP });
+const presence = new Map(); // userId -> { status: 'online' | 'away', activity, invisible }
+const pendingQueries = new Set(); // operaciones de almacenamiento en curso, para esperarlas al apagar
+let draining = false;
+
+// Métricas
+const MESSAGE_TYPES = [
+    'private_message', 'message_delivered', 'message_read', 'history_request',
+    'friend_request', 'friend_request_response', 'friend_request_cancel', 'unfriend', 'friends_list',
+    'block_user', 'unblock_user', 'blocked_list', 'privacy_settings', 'privacy_settings_update', 'presence_update',
+    'group_create', 'group_add_members', 'group_remove_member', 'group_rename', 'group_set_admin',
+    'group_message', 'group_read', 'groups_list',
+    'watch_party_invite', 'watch_party_invite_response', 'ping'
+];
+const metrics = createMetricsRegistry();
+const messagesReceived = metrics.counter('chat_messages_received_total', 'Mensajes recibidos de los clientes por tipo', ['type']);
+const messagesSent = metrics.counter('chat_messages_sent_total', 'Mensajes enviados a los clientes por tipo', ['type']);
+const sendErrors = metrics.counter('chat_send_errors_total', 'Errores al enviar a un socket');
+const dbQueryDuration = metrics.histogram('chat_db_query_duration_seconds', 'Latencia de las operaciones de almacenamiento', {
+    labelNames: ['query'],
+    buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5]
+});
+const dbQueryErrors = metrics.counter('chat_db_query_errors_total', 'Operaciones de almacenamiento fallidas', ['query']);
+metrics.gauge('chat_online_users', 'Usuarios con al menos un socket abierto', {
+    collect: gauge => gauge.set({}, onlineUsers.size)
+});
+metrics.gauge('chat_connections', 'Conexiones WebSocket abiertas', {
+    collect: gauge => gauge.set({}, wss.clients.size)
+});
+metrics.gauge('chat_db_pool_connections', 'Conexiones del pool de MySQL por estado', {
+    labelNames: ['state'],
+    collect: gauge => {
+        // Solo el backend MySQL tiene pool
+        const stats = chatStore.stats();
+        if (!stats) return;
+        gauge.set({ state: 'total' }, stats.total);
+        gauge.set({ state: 'idle' }, stats.idle);
+        if (stats.queued !== null) gauge.set({ state: 'queued' }, stats.queued);
+    }
+});
+trackEventLoopLag(metrics);
 
-const server = http.createServer((req, res) => {
+// Almacenamiento (usuarios, mensajes, amistades, grupos e invitaciones)
+const chatStore = instrumentStore(createChatStore({
+    type: CHAT_STORE,
+    mysql: {
+        host: process.env.DB_HOST,
+        user: process.env.DB_USER,
+        password: process.env.DB_PASS,
+        database: process.env.DB_NAME,
+        port: process.env.DB_PORT
+    },
+    memory: { users: parseMemoryUsers(CHAT_MEMORY_USERS) }
+}));
+
+// Se lee el estado compartido de las salas de server.js (para "viendo la sala X" y para
+// saber quién es el anfitrión al invitar) y se revocan los invite_token. El adaptador
+// local vive en la memoria de este proceso y server.js no lo ve: sin Redis ambas
+// funciones quedan desactivadas, en lugar de rechazar todas las salas o emitir
+// invitaciones que no se podrían revocar
+const clusterAdapter = createClusterAdapter({ type: CLUSTER_ADAPTER, instanceId: INSTANCE_ID, url: REDIS_URL });
+const SHARED_CLUSTER = CLUSTER_ADAPTER !== 'local';
+
+const server = http.createServer(async (req, res) => {
     if (req.url === '/health') {
-        res.writeHead(200, { 'Content-Type': 'application/json' });
+        // 503 mientras drena para que el balanceador saque la instancia de la rotación
+        res.writeHead(draining ? 503 : 200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({ 
-            status: 'ok', 
-            online: onlineUsers.size 
+            status: draining ? 'draining' : 'ok', 
+            online: onlineUsers.size,
+            pending_queries: pendingQueries.size
         }));
         return;
     }
     
+    if (req.url === '/metrics') {
+        if (!isMetricsRequestAllowed(req, METRICS_TOKEN)) {
+            res.writeHead(401, { 'Content-Type': 'text/plain' });
+            res.end('Unauthorized');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': metrics.contentType });
+        res.end(metrics.render());
+        return;
+    }
+    
+    // API REST del historial
+    if (req.url.startsWith('/conversations')) {
+        await handleApiRequest(req, res);
+        return;
+    }
+    
     res.writeHead(404);
     res.end();
 });
@@ -39,16 +152,32 @@ const server = http.createServer((req, res) => {
 const wss = new WebSocket.Server({ 
     server, 
     path: '/chat-ws',
-    perMessageDeflate: false
+    perMessageDeflate: false,
+    maxPayload: MAX_MESSAGE_SIZE,
+    // Límite de conexiones por IP antes de verificar el token
+    verifyClient: limitConnections(connectionLimiter, verifyClient, { trustProxy: TRUST_PROXY }),
+    handleProtocols
 });
 
 wss.on('connection', async (ws, req) => {
-    const query = url.parse(req.url, true).query;
-    const userId = parseInt(query.user);
-    const username = decodeURIComponent(query.username || 'Usuario');
+    // La identidad sale del token verificado durante el upgrade, nunca de la query
+    if (req.auth.error) {
+        console.log(`🔒 Conexión rechazada: ${req.auth.error.reason}`);
+        ws.close(req.auth.error.code, req.auth.error.reason);
+        return;
+    }
+    
+    const userId = parseInt(req.auth.user.id);
+    const username = req.auth.user.username;
     
     if (!userId) {
-        ws.close(1008, 'ID de usuario requerido');
+        ws.close(1008, 'ID de usuario inválido en el token');
+        return;
+    }
+    
+    if (draining) {
+        sendDrainNotice(ws);
+        ws.close(SERVER_RESTART_CLOSE_CODE, 'Servidor reiniciándose');
         return;
     }
     
@@ -63,22 +192,15 @@ wss.on('connection', async (ws, req) => {
     }
     userSockets.get(userId).add(ws);
     
-    // Actualizar estado en la base de datos
-    await updateUserOnlineStatus(userId, true);
-    
-    // Enviar confirmación
-    ws.send(JSON.stringify({
-        type: 'connected',
-        message: 'Conectado al servidor de chat',
-        user: { id: userId, username: username }
-    }));
-    
-    // Enviar notificaciones pendientes
-    await sendPendingNotifications(userId, ws);
-    
+    // Los manejadores se registran antes de cualquier await: un mensaje o un cierre
+    // que llegue mientras se consulta la base de datos no debe perderse
+    const rateLimitState = rateLimiter.createConnectionState();
     ws.on('message', async (data) => {
         try {
             const message = JSON.parse(data.toString());
+            if (!enforceRateLimit(rateLimiter, ws, rateLimitState, userId, message.type, RATE_LIMIT_CLOSE_CODE)) {
+                return;
+            }
             await handleMessage(userId, username, message, ws);
         } catch (error) {
             console.error('Error procesando mensaje:', error);
@@ -96,7 +218,7 @@ wss.on('connection', async (ws, req) => {
             if (userSockets.get(userId).size === 0) {
                 userSockets.delete(userId);
                 onlineUsers.delete(userId);
-                await updateUserOnlineStatus(userId, false);
+                await goOffline(userId, username);
             }
         }
     });
@@ -104,167 +226,1592 @@ wss.on('connection', async (ws, req) => {
     ws.on('error', (error) => {
         console.error(`Error en WebSocket de ${username}:`, error);
     });
+    
+    // El primer socket del usuario lo pone en línea (y avisa a sus amigos)
+    if (!presence.has(userId)) {
+        await goOnline(userId, username);
+    }
+    
+    // Enviar confirmación
+    sendToSocket(ws, {
+        type: 'connected',
+        message: 'Conectado al servidor de chat',
+        user: { id: userId, username: username }
+    });
+    
+    // Enviar notificaciones pendientes
+    await sendPendingNotifications(userId, ws);
 });
 
 async function handleMessage(userId, username, message, ws) {
+    messagesReceived.inc({ type: MESSAGE_TYPES.includes(message.type) ? message.type : 'unknown' });
+    
     switch (message.type) {
         case 'private_message':
-            await handlePrivateMessage(userId, username, message);
+            await handlePrivateMessage(userId, username, message, ws);
+            break;
+            
+        case 'message_delivered':
+        case 'message_read':
+            await handleMessageReceipt(userId, message, ws);
+            break;
+            
+        case 'history_request':
+            await handleHistoryRequest(userId, message, ws);
             break;
             
         case 'friend_request':
-            await handleFriendRequest(userId, username, message);
+            await handleFriendRequest(userId, username, message, ws);
             break;
             
         case 'friend_request_response':
-            await handleFriendRequestResponse(userId, username, message);
+            await handleFriendRequestResponse(userId, username, message, ws);
+            break;
+            
+        case 'friend_request_cancel':
+            await handleFriendRequestCancel(userId, message, ws);
+            break;
+            
+        case 'unfriend':
+            await handleUnfriend(userId, username, message, ws);
+            break;
+            
+        case 'friends_list':
+            await handleFriendsList(userId, message, ws);
+            break;
+            
+        case 'block_user':
+            await handleBlockUser(userId, username, message, ws);
+            break;
+            
+        case 'unblock_user':
+            await handleUnblockUser(userId, message, ws);
+            break;
+            
+        case 'blocked_list':
+            await handleBlockedList(userId, message, ws);
+            break;
+            
+        case 'privacy_settings':
+            await handlePrivacySettings(userId, message, ws);
+            break;
+            
+        case 'privacy_settings_update':
+            await handlePrivacySettingsUpdate(userId, username, message, ws);
+            break;
+            
+        case 'presence_update':
+            await handlePresenceUpdate(userId, username, message, ws);
+            break;
+            
+        case 'group_create':
+            await handleGroupCreate(userId, username, message, ws);
+            break;
+            
+        case 'group_add_members':
+            await handleGroupAddMembers(userId, message, ws);
+            break;
+            
+        case 'group_remove_member':
+            await handleGroupRemoveMember(userId, message, ws);
+            break;
+            
+        case 'group_rename':
+            await handleGroupRename(userId, message, ws);
+            break;
+            
+        case 'group_set_admin':
+            await handleGroupSetAdmin(userId, message, ws);
+            break;
+            
+        case 'group_message':
+            await handleGroupMessage(userId, username, message, ws);
+            break;
+            
+        case 'group_read':
+            await handleGroupRead(userId, message, ws);
+            break;
+            
+        case 'groups_list':
+            await handleGroupsList(userId, message, ws);
+            break;
+            
+        case 'watch_party_invite':
+            await handleWatchPartyInvite(userId, username, message, ws);
+            break;
+            
+        case 'watch_party_invite_response':
+            await handleWatchPartyInviteResponse(userId, username, message, ws);
             break;
             
         case 'ping':
-            ws.send(JSON.stringify({ type: 'pong' }));
+            sendToSocket(ws, { type: 'pong' });
             break;
     }
 }
 
-async function handlePrivateMessage(senderId, senderName, message) {
-    const { to_user_id, message: messageText, timestamp } = message;
+async function handlePrivateMessage(senderId, senderName, message, ws) {
+    const messageText = typeof message.message === 'string' ? message.message.trim() : '';
+    const timestamp = Number.isInteger(message.timestamp) ? message.timestamp : null;
+    const to_user_id = parseInt(message.to_user_id);
+    
+    if (!to_user_id || to_user_id === senderId) {
+        sendError(ws, 'invalid_message', 'Se requiere un to_user_id válido');
+        return;
+    }
+    if (!messageText || messageText.length > MAX_PRIVATE_MESSAGE_LENGTH) {
+        sendError(ws, 'invalid_message', `El mensaje debe tener entre 1 y ${MAX_PRIVATE_MESSAGE_LENGTH} caracteres`);
+        return;
+    }
     
-    // Guardar en la base de datos
     try {
-        const [result] = await dbPool.execute(
-            'INSERT INTO chat_messages (sender_id, receiver_id, message) VALUES (?, ?, ?)',
-            [senderId, to_user_id, messageText]
-        );
+        // Privacidad del receptor y bloqueos, antes de guardar nada
+        if (!await canSendDirectMessage(senderId, to_user_id, ws)) return;
         
-        const messageId = result.insertId;
+        // Guardar en la base de datos
+        const messageId = await chatStore.insertMessage(senderId, to_user_id, messageText);
         
-        // Enviar al receptor si está en línea
-        if (onlineUsers.has(to_user_id)) {
-            const receiver = onlineUsers.get(to_user_id);
-            receiver.ws.send(JSON.stringify({
-                type: 'private_message',
-                from_user_id: senderId,
-                from_username: senderName,
-                to_user_id: to_user_id,
-                message: messageText,
-                message_id: messageId,
-                timestamp: timestamp || Date.now()
-            }));
-        }
+        // Enviar a todos los sockets del receptor si está en línea; cada uno confirma la entrega
+        sendToUser(to_user_id, {
+            type: 'private_message',
+            from_user_id: senderId,
+            from_username: senderName,
+            to_user_id: to_user_id,
+            message: messageText,
+            message_id: messageId,
+            timestamp: timestamp || Date.now()
+        });
         
     } catch (error) {
         console.error('Error guardando mensaje:', error);
     }
 }
 
-async function handleFriendRequest(senderId, senderName, message) {
-    const { to_user_id } = message;
+// ==================== CONFIRMACIONES DE ENTREGA Y LECTURA ====================
+// El receptor confirma con message_delivered o message_read { message_ids }. Se marca
+// en chat_messages (is_delivered, is_read) y el remitente recibe message_receipt en
+// todos sus sockets. Leído implica entregado: un mensaje puede pasar directamente a
+// "read" sin recibo de "delivered".
+const RECEIPT_STATUSES = {
+    message_delivered: 'delivered',
+    message_read: 'read'
+};
+
+async function handleMessageReceipt(userId, message, ws) {
+    const status = RECEIPT_STATUSES[message.type];
+    const ids = Array.isArray(message.message_ids)
+        ? Array.from(new Set(message.message_ids.map(id => parseInt(id)).filter(id => id > 0)))
+        : [];
+    
+    if (ids.length === 0 || ids.length > MAX_RECEIPT_IDS) {
+        sendError(ws, 'invalid_receipt', `Se requiere message_ids con entre 1 y ${MAX_RECEIPT_IDS} ids`);
+        return;
+    }
+    
+    try {
+        // Solo cuentan los mensajes dirigidos a este usuario que aún no tenían ese estado
+        const rows = await chatStore.markMessages(userId, ids, status);
+        if (rows.length === 0) return;
+        
+        const bySender = new Map(); // senderId -> ids de mensajes
+        rows.forEach(row => {
+            if (!bySender.has(row.sender_id)) bySender.set(row.sender_id, []);
+            bySender.get(row.sender_id).push(row.id);
+        });
+        
+        const timestamp = Date.now();
+        bySender.forEach((messageIds, senderId) => {
+            sendToUser(senderId, {
+                type: 'message_receipt',
+                status,
+                message_ids: messageIds,
+                by_user_id: userId,
+                timestamp
+            });
+        });
+        
+    } catch (error) {
+        console.error('Error guardando confirmación de mensajes:', error);
+    }
+}
+
+// ==================== HISTORIAL DE CONVERSACIONES ====================
+// Paginación por id de mensaje: sin cursor se devuelven los más recientes; con
+// before, los anteriores a ese id; con after, los posteriores. Cada página va en
+// orden cronológico y trae oldest_id / newest_id para pedir la siguiente.
+function toHistoryMessage(row) {
+    return {
+        message_id: row.id,
+        from_user_id: row.sender_id,
+        to_user_id: row.receiver_id,
+        message: row.message,
+        is_delivered: Boolean(row.is_delivered),
+        is_read: Boolean(row.is_read),
+        timestamp: new Date(row.created_at).getTime()
+    };
+}
+
+// Devuelve { before, after, limit } o lanza un error 400
+function parseHistoryOptions({ before, after, limit }) {
+    const options = {
+        before: before !== undefined && before !== null ? parseInt(before) : null,
+        after: after !== undefined && after !== null ? parseInt(after) : null,
+        limit: limit !== undefined && limit !== null ? parseInt(limit) : HISTORY_DEFAULT_LIMIT
+    };
+    
+    if (options.before !== null && options.after !== null) {
+        throw httpError(400, 'Usa before o after, no ambos');
+    }
+    if ([options.before, options.after].some(cursor => cursor !== null && !(cursor > 0))) {
+        throw httpError(400, 'El cursor debe ser un id de mensaje');
+    }
+    if (!(options.limit >= 1 && options.limit <= HISTORY_MAX_LIMIT)) {
+        throw httpError(400, `limit debe estar entre 1 y ${HISTORY_MAX_LIMIT}`);
+    }
+    return options;
+}
+
+async function getConversationPage(userId, otherUserId, { before, after, limit }) {
+    // Se pide uno de más para saber si quedan mensajes en esa dirección
+    const rows = await chatStore.getConversation(userId, otherUserId, { before, after, limit: limit + 1 });
+    
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+    if (after === null) page.reverse();
+    
+    return {
+        with_user_id: otherUserId,
+        messages: page.map(toHistoryMessage),
+        has_more: hasMore,
+        oldest_id: page.length > 0 ? page[0].id : null,
+        newest_id: page.length > 0 ? page[page.length - 1].id : null
+    };
+}
+
+// Último mensaje y no leídos de cada contacto, del más reciente al más antiguo
+async function getConversationList(userId) {
+    const conversations = await chatStore.getConversationList(userId);
+    // Quien ha bloqueado a este usuario aparece siempre desconectado
+    const blockerIds = await chatStore.getBlockerIds(userId, conversations.map(conversation => conversation.contact_id));
+    
+    return conversations.map(conversation => ({
+        user_id: conversation.contact_id,
+        username: conversation.contact_username,
+        is_online: !blockerIds.has(conversation.contact_id) && isVisiblyOnline(conversation.contact_id),
+        last_message: toHistoryMessage(conversation.last),
+        unread_count: conversation.unread_count
+    }));
+}
+
+async function handleHistoryRequest(userId, message, ws) {
+    const otherUserId = parseInt(message.with_user_id);
+    if (!otherUserId) {
+        sendError(ws, 'invalid_history_request', 'Se requiere with_user_id');
+        return;
+    }
+    
+    try {
+        const page = await getConversationPage(userId, otherUserId, parseHistoryOptions(message));
+        sendToSocket(ws, { type: 'history', request_id: message.request_id, ...page });
+    } catch (error) {
+        if (error.status) {
+            sendError(ws, 'invalid_history_request', error.message);
+            return;
+        }
+        console.error('Error obteniendo historial:', error);
+    }
+}
+
+// ==================== API REST ====================
+// Mismo token que el WebSocket, en Authorization: Bearer <token>.
+//   GET /conversations                                        -> contactos con último mensaje y no leídos
+//   GET /conversations/:userId/messages?before=&after=&limit= -> historial con ese usuario
+const API_ROUTES = [
+    ['GET', /^\/conversations$/, apiListConversations],
+    ['GET', /^\/conversations\/([^/]+)\/messages$/, apiGetConversationMessages]
+];
+
+const API_CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Authorization',
+    'Access-Control-Allow-Methods': 'GET'
+};
+
+async function handleApiRequest(req, res) {
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, API_CORS_HEADERS);
+        res.end();
+        return;
+    }
+    
+    const auth = authenticateRequest(req);
+    const userId = auth.user && parseInt(auth.user.id);
+    if (!userId) {
+        const reason = auth.error ? auth.error.reason : 'ID de usuario inválido en el token';
+        sendJson(res, 401, { success: false, error: reason }, API_CORS_HEADERS);
+        return;
+    }
+    
+    const { pathname, query } = url.parse(req.url, true);
+    try {
+        const route = matchRoute(API_ROUTES, req.method, pathname);
+        if (!route) throw httpError(404, 'Ruta no encontrada');
+        if (route.methodNotAllowed) throw httpError(405, 'Método no permitido');
+        
+        const result = await route.handler({ userId, params: route.params, query });
+        sendJson(res, 200, { success: true, ...result }, API_CORS_HEADERS);
+    } catch (error) {
+        if (!error.status) console.error('❌ Error en la API del chat:', error);
+        sendJson(res, error.status || 500, {
+            success: false,
+            error: error.status ? error.message : 'Error interno'
+        }, API_CORS_HEADERS);
+    }
+}
+
+async function apiListConversations({ userId }) {
+    return { conversations: await getConversationList(userId) };
+}
+
+async function apiGetConversationMessages({ userId, params, query }) {
+    const otherUserId = parseInt(params[0]);
+    if (!otherUserId) throw httpError(400, 'ID de usuario inválido');
+    return getConversationPage(userId, otherUserId, parseHistoryOptions(query));
+}
+
+// ==================== AMISTADES ====================
+// El servidor de chat gestiona el ciclo de vida completo en la tabla friends
+// (user_id = quien envía la solicitud, friend_id = quien la recibe, status
+// 'pending' | 'accepted'). Rechazar, cancelar y eliminar una amistad borran la
+// fila, así que se puede volver a enviar una solicitud más tarde.
+// Todas las notificaciones van a todos los sockets de ambas partes.
+async function areFriends(userId, otherUserId) {
+    const friendship = await chatStore.findFriendship(userId, otherUserId);
+    return Boolean(friendship && friendship.status === 'accepted');
+}
+
+function notifyBoth(userId, otherUserId, message) {
+    sendToUser(userId, message);
+    sendToUser(otherUserId, message);
+}
+
+async function handleFriendRequest(senderId, senderName, message, ws) {
+    const receiverId = parseInt(message.to_user_id);
+    
+    if (!receiverId) {
+        sendError(ws, 'invalid_friend_request', 'Se requiere to_user_id');
+        return;
+    }
+    if (receiverId === senderId) {
+        sendError(ws, 'invalid_friend_request', 'No puedes enviarte una solicitud a ti mismo');
+        return;
+    }
     
-    // Enviar notificación al receptor
-    if (onlineUsers.has(to_user_id)) {
-        const receiver = onlineUsers.get(to_user_id);
-        receiver.ws.send(JSON.stringify({
-            type: 'friend_request',
+    try {
+        const receiver = await chatStore.findUser(receiverId);
+        if (!receiver) {
+            sendError(ws, 'user_not_found', 'El usuario no existe');
+            return;
+        }
+        if (!await checkBlocks(senderId, receiverId, ws)) return;
+        
+        const existing = await chatStore.findFriendship(senderId, receiverId);
+        if (existing) {
+            // Si el otro ya había enviado una solicitud, enviar otra equivale a aceptarla
+            if (existing.status === 'pending' && existing.user_id === receiverId) {
+                await acceptFriendRequest(existing, senderName);
+                return;
+            }
+            sendError(ws, existing.status === 'accepted' ? 'already_friends' : 'request_already_sent',
+                existing.status === 'accepted' ? 'Ya sois amigos' : 'Ya enviaste una solicitud a este usuario');
+            return;
+        }
+        
+        const { allow_friend_requests: allowRequests } = await chatStore.getPrivacySettings(receiverId);
+        if (!allowRequests) {
+            sendError(ws, 'friend_requests_disabled', 'Este usuario no acepta solicitudes de amistad');
+            return;
+        }
+        
+        // Si ambos se envían la solicitud a la vez, solo se crea una
+        const requestId = await chatStore.createFriendRequest(senderId, receiverId);
+        if (!requestId) {
+            sendError(ws, 'request_already_sent', 'Ya existe una solicitud entre vosotros');
+            return;
+        }
+        
+        const request = {
+            request_id: requestId,
             from_user_id: senderId,
             from_username: senderName,
-            to_user_id: to_user_id,
+            to_user_id: receiverId,
+            to_username: receiver.username,
             timestamp: Date.now()
-        }));
+        };
+        // Si no está en línea la recibirá con las notificaciones pendientes
+        sendToUser(receiverId, { type: 'friend_request', ...request });
+        sendToUser(senderId, { type: 'friend_request_sent', ...request });
+        console.log(`🤝 ${senderName} envió una solicitud de amistad a ${receiver.username}`);
+        
+    } catch (error) {
+        console.error('Error guardando solicitud de amistad:', error);
     }
 }
 
-async function handleFriendRequestResponse(userId, username, message) {
+async function acceptFriendRequest(request, responderName) {
+    if (!await chatStore.acceptFriendRequest(request.id)) return false;
+    
+    notifyBoth(request.user_id, request.friend_id, {
+        type: 'friend_request_response',
+        request_id: request.id,
+        from_user_id: request.friend_id,
+        from_username: responderName,
+        to_user_id: request.user_id,
+        status: 'accepted',
+        timestamp: Date.now()
+    });
+    console.log(`🤝 ${responderName} aceptó la solicitud de amistad de ${request.user_id}`);
+    return true;
+}
+
+async function handleFriendRequestResponse(userId, username, message, ws) {
     const { request_id, from_user_id, status } = message;
     
-    // Enviar respuesta al solicitante original
-    if (onlineUsers.has(from_user_id)) {
-        const originalSender = onlineUsers.get(from_user_id);
-        originalSender.ws.send(JSON.stringify({
+    if (!['accepted', 'declined'].includes(status) || (!request_id && !from_user_id)) {
+        sendError(ws, 'invalid_response', 'Se requieren request_id (o from_user_id) y status (accepted o declined)');
+        return;
+    }
+    
+    try {
+        // Solo quien recibió la solicitud puede responderla
+        const request = await chatStore.findPendingRequest(
+            request_id ? { id: parseInt(request_id) } : { senderId: parseInt(from_user_id) },
+            userId
+        );
+        if (!request) {
+            sendError(ws, 'request_not_found', 'La solicitud no existe o ya fue respondida');
+            return;
+        }
+        
+        if (status === 'accepted') {
+            if (!await acceptFriendRequest(request, username)) {
+                sendError(ws, 'request_not_found', 'La solicitud no existe o ya fue respondida');
+            }
+            return;
+        }
+        
+        if (!await chatStore.deleteFriendRequest(request.id)) {
+            sendError(ws, 'request_not_found', 'La solicitud no existe o ya fue respondida');
+            return;
+        }
+        
+        notifyBoth(request.user_id, userId, {
             type: 'friend_request_response',
-            request_id: request_id,
+            request_id: request.id,
             from_user_id: userId,
-            to_user_id: from_user_id,
-            status: status,
+            from_username: username,
+            to_user_id: request.user_id,
+            status: 'declined',
             timestamp: Date.now()
-        }));
+        });
+        
+    } catch (error) {
+        console.error('Error respondiendo solicitud de amistad:', error);
     }
 }
 
-async function updateUserOnlineStatus(userId, isOnline) {
+async function handleFriendRequestCancel(userId, message, ws) {
+    const receiverId = parseInt(message.to_user_id);
+    if (!receiverId) {
+        sendError(ws, 'invalid_friend_request', 'Se requiere to_user_id');
+        return;
+    }
+    
     try {
-        await dbPool.execute(
-            'UPDATE users SET is_online = ?, last_seen = NOW() WHERE id = ?',
-            [isOnline ? 1 : 0, userId]
-        );
+        const request = await chatStore.findPendingRequest({ senderId: userId }, receiverId);
+        if (!request) {
+            sendError(ws, 'request_not_found', 'No hay ninguna solicitud pendiente para este usuario');
+            return;
+        }
+        
+        // Aceptada o cancelada entre la consulta y el borrado
+        if (!await chatStore.deleteFriendRequest(request.id)) {
+            sendError(ws, 'request_not_found', 'No hay ninguna solicitud pendiente para este usuario');
+            return;
+        }
+        
+        notifyBoth(userId, receiverId, {
+            type: 'friend_request_cancelled',
+            request_id: request.id,
+            from_user_id: userId,
+            to_user_id: receiverId,
+            timestamp: Date.now()
+        });
+        
     } catch (error) {
-        console.error('Error actualizando estado:', error);
+        console.error('Error cancelando solicitud de amistad:', error);
     }
 }
 
-async function sendPendingNotifications(userId, ws) {
+async function handleUnfriend(userId, username, message, ws) {
+    const friendId = parseInt(message.user_id);
+    if (!friendId) {
+        sendError(ws, 'invalid_unfriend', 'Se requiere user_id');
+        return;
+    }
+    
     try {
-        // Obtener mensajes no leídos
-        const [unreadMessages] = await dbPool.execute(
-            `SELECT cm.*, u.username as sender_username
-             FROM chat_messages cm
-             JOIN users u ON cm.sender_id = u.id
-             WHERE cm.receiver_id = ? AND cm.is_read = FALSE
-             ORDER BY cm.created_at DESC
-             LIMIT 10`,
-            [userId]
-        );
+        if (!await chatStore.removeFriendship(userId, friendId)) {
+            sendError(ws, 'not_friends', 'Este usuario no está entre tus amigos');
+            return;
+        }
         
-        // Obtener solicitudes de amistad pendientes
-        const [pendingRequests] = await dbPool.execute(
-            `SELECT fr.*, u.username as sender_username
-             FROM friends fr
-             JOIN users u ON fr.user_id = u.id
-             WHERE fr.friend_id = ? AND fr.status = 'pending'
-             ORDER BY fr.created_at DESC
-             LIMIT 10`,
-            [userId]
-        );
+        // Cada parte recibe el id de la otra
+        const timestamp = Date.now();
+        sendToUser(userId, { type: 'friend_removed', user_id: friendId, by_user_id: userId, timestamp });
+        sendToUser(friendId, { type: 'friend_removed', user_id: userId, by_user_id: userId, timestamp });
+        console.log(`💔 ${username} eliminó a ${friendId} de sus amigos`);
         
-        // Enviar notificaciones
-        unreadMessages.forEach(msg => {
-            ws.send(JSON.stringify({
-                type: 'private_message',
-                from_user_id: msg.sender_id,
-                from_username: msg.sender_username,
-                to_user_id: userId,
-                message: msg.message,
-                message_id: msg.id,
-                timestamp: new Date(msg.created_at).getTime()
-            }));
+        await revokeWatchPartyInvites(await chatStore.getActiveWatchPartyInvites(userId, friendId));
+        
+    } catch (error) {
+        console.error('Error eliminando amistad:', error);
+    }
+}
+
+// Amigos (con estado de conexión) y solicitudes pendientes en ambos sentidos
+async function handleFriendsList(userId, message, ws) {
+    try {
+        const rows = await chatStore.listFriendships(userId);
+        
+        const toEntry = row => ({
+            user_id: row.other_id,
+            username: row.username,
+            request_id: row.id,
+            since: new Date(row.created_at).getTime()
         });
         
-        pendingRequests.forEach(req => {
-            ws.send(JSON.stringify({
-                type: 'friend_request',
-                from_user_id: req.user_id,
-                from_username: req.sender_username,
-                to_user_id: userId,
-                timestamp: new Date(req.created_at).getTime()
-            }));
+        sendToSocket(ws, {
+            type: 'friends_list',
+            request_id: message.request_id,
+            friends: rows.filter(row => row.status === 'accepted').map(row => {
+                // La conexión real la conoce este servidor; users.is_online puede estar desfasado
+                const friendPresence = getPublicPresence(row.other_id, row.last_seen ? new Date(row.last_seen).getTime() : null);
+                return {
+                    ...toEntry(row),
+                    is_online: friendPresence.status !== 'offline',
+                    ...friendPresence
+                };
+            }),
+            incoming: rows.filter(row => row.status === 'pending' && row.friend_id === userId).map(toEntry),
+            outgoing: rows.filter(row => row.status === 'pending' && row.user_id === userId).map(toEntry)
         });
         
     } catch (error) {
-        console.error('Error enviando notificaciones pendientes:', error);
+        console.error('Error obteniendo lista de amigos:', error);
     }
 }
 
-server.listen(PORT, () => {
-    console.log(`💬 Servidor de chat iniciado en el puerto ${PORT}`);
-    console.log(`🔗 URL del servidor: ws://localhost:${PORT}/chat-ws`);
-    console.log(`🏥 Endpoint de salud: http://localhost:${PORT}/health`);
-});
+// ==================== PRESENCIA ====================
+// Los amigos en línea reciben `presence` { user_id, status, activity, last_seen }
+// cuando alguien se conecta, se desconecta o cambia de estado:
+//   status    online | away | offline ("away" lo indica el cliente, p. ej. por inactividad)
+//   activity  { type: 'watching', room_code, room_name } si está en una sala pública, o null
+//             (solo con CLUSTER_ADAPTER=redis; si no, presence_update con room_code da
+//             presence_activity_unavailable)
+//   last_seen ms de la última conexión visible, solo con status offline
+// Un usuario invisible aparece desconectado para todos y users.is_online / last_seen
+// no cambian mientras lo es. Sus propios sockets reciben su estado real con invisible.
+// Los bloqueos rompen la amistad, así que quien bloquea deja de enviar su presencia.
+const PRESENCE_STATUSES = ['online', 'away'];
 
-// Limpieza periódica
-setInterval(() => {
-    console.log(`👥 Usuarios en línea: ${onlineUsers.size}`);
-}, 60000);
+function isVisiblyOnline(userId) {
+    const state = presence.get(userId);
+    return Boolean(state && !state.invisible);
+}
 
-process.on('SIGINT', () => {
-    console.log('\n👋 Apagando servidor de chat...');
-    process.exit(0);
-});
+// Presencia tal como la ven los demás
+function getPublicPresence(userId, lastSeen = null) {
+    if (!isVisiblyOnline(userId)) {
+        return { status: 'offline', activity: null, last_seen: lastSeen };
+    }
+    const { status, activity } = presence.get(userId);
+    return { status, activity, last_seen: null };
+}
+
+async function broadcastPresence(userId, lastSeen = null) {
+    const onlineIds = Array.from(userSockets.keys()).filter(id => id !== userId);
+    if (onlineIds.length === 0) return;
+    
+    const friendIds = await chatStore.getFriendIds(userId, onlineIds);
+    const message = {
+        type: 'presence',
+        user_id: userId,
+        ...getPublicPresence(userId, lastSeen),
+        timestamp: Date.now()
+    };
+    friendIds.forEach(friendId => sendToUser(friendId, message));
+}
+
+function sendOwnPresence(userId) {
+    const state = presence.get(userId);
+    if (!state) return;
+    const { status, activity, invisible } = state;
+    sendToUser(userId, { type: 'presence', user_id: userId, status, activity, invisible, last_seen: null, timestamp: Date.now() });
+}
+
+async function goOnline(userId, username) {
+    // Oculto hasta saber si es invisible, por si se conecta otro socket mientras tanto
+    const state = { status: 'online', activity: null, invisible: true };
+    presence.set(userId, state);
+    
+    try {
+        // Aunque sea invisible y no cambie su estado en línea, el almacenamiento tiene que conocerle
+        await chatStore.registerUser({ id: userId, username });
+        
+        // Tras cada await: si el usuario se desconectó (o volvió a conectarse con otro
+        // estado) mientras tanto, esta conexión ya no es la que publica su presencia
+        const { invisible } = await chatStore.getPrivacySettings(userId);
+        if (presence.get(userId) !== state) return;
+        state.invisible = invisible;
+        if (invisible) return;
+        
+        await updateUserOnlineStatus(userId, username, true);
+        if (presence.get(userId) !== state) return;
+        await broadcastPresence(userId);
+    } catch (error) {
+        console.error('Error publicando presencia:', error);
+    }
+}
+
+async function goOffline(userId, username) {
+    const state = presence.get(userId);
+    presence.delete(userId);
+    if (!state || state.invisible) return;
+    
+    await updateUserOnlineStatus(userId, username, false);
+    // Si ha vuelto a conectarse mientras tanto, su nueva conexión ya publica la presencia;
+    // solo hay que deshacer la escritura de desconexión por si terminó después que la suya
+    if (presence.has(userId)) {
+        if (isVisiblyOnline(userId)) await updateUserOnlineStatus(userId, username, true);
+        return;
+    }
+    try {
+        await broadcastPresence(userId, Date.now());
+    } catch (error) {
+        console.error('Error publicando presencia:', error);
+    }
+}
+
+// Activar el modo invisible equivale a desconectarse para los demás; desactivarlo, a conectarse
+async function setInvisible(userId, username, invisible) {
+    const state = presence.get(userId);
+    if (!state || state.invisible === invisible) return;
+    
+    state.invisible = invisible;
+    // Un cambio posterior (o la desconexión) deja obsoleto a este
+    const isCurrent = () => presence.get(userId) === state && state.invisible === invisible;
+    await updateUserOnlineStatus(userId, username, !invisible);
+    if (!isCurrent()) return;
+    await broadcastPresence(userId, invisible ? Date.now() : null);
+    if (!isCurrent()) return;
+    sendOwnPresence(userId);
+}
+
+// La sala tiene que ser pública y el usuario estar en ella, según el estado que
+// server.js publica en el adaptador de clúster (room:<code> y participants:<code>:*)
+async function findWatchingActivity(userId, roomCode) {
+    const [room, lists] = await Promise.all([
+        clusterAdapter.get(`room:${roomCode}`),
+        clusterAdapter.getAll(`participants:${roomCode}:`)
+    ]);
+    if (!room || room.is_private) return null;
+    
+    const isParticipant = lists.some(list =>
+        list.participants.some(participant => String(participant.user_id) === String(userId))
+    );
+    return isParticipant ? { type: 'watching', room_code: roomCode, room_name: room.room_name } : null;
+}
+
+// presence_update { status?, room_code? }: room_code null deja de mostrar la sala
+async function handlePresenceUpdate(userId, username, message, ws) {
+    const state = presence.get(userId);
+    if (!state) return;
+    
+    const { status } = message;
+    if (status !== undefined && !PRESENCE_STATUSES.includes(status)) {
+        sendError(ws, 'invalid_presence', `status debe ser uno de: ${PRESENCE_STATUSES.join(', ')}`);
+        return;
+    }
+    if (message.room_code !== undefined && message.room_code !== null && typeof message.room_code !== 'string') {
+        sendError(ws, 'invalid_presence', 'room_code debe ser un código de sala o null');
+        return;
+    }
+    
+    try {
+        let { activity } = state;
+        if (message.room_code === null || message.room_code === '') {
+            activity = null;
+        } else if (message.room_code !== undefined) {
+            if (!SHARED_CLUSTER) {
+                sendError(ws, 'presence_activity_unavailable', 'La actividad de sala no está disponible en este servidor');
+                return;
+            }
+            activity = await findWatchingActivity(userId, message.room_code.trim().toUpperCase());
+            if (!activity) {
+                sendError(ws, 'room_not_found', 'No estás en esa sala o no es pública');
+                return;
+            }
+            if (presence.get(userId) !== state) return;
+        }
+        
+        state.status = status || state.status;
+        state.activity = activity;
+        
+        if (!state.invisible) await broadcastPresence(userId);
+        sendOwnPresence(userId);
+        
+    } catch (error) {
+        console.error(`Error actualizando presencia de ${username}:`, error);
+    }
+}
+
+// Quien sale de la sala (o la sala se cierra o pasa a privada) deja de aparecer viéndola
+async function refreshWatchingActivities() {
+    for (const [userId, state] of presence) {
+        if (!state.activity) continue;
+        try {
+            const activity = await findWatchingActivity(userId, state.activity.room_code);
+            if (activity || presence.get(userId) !== state) continue;
+            
+            state.activity = null;
+            if (!state.invisible) await broadcastPresence(userId);
+            sendOwnPresence(userId);
+        } catch (error) {
+            console.error('Error comprobando actividad de presencia:', error);
+        }
+    }
+}
+
+// ==================== BLOQUEOS Y PRIVACIDAD ====================
+// Un usuario bloqueado no sabe que lo está: sus mensajes privados y solicitudes de
+// amistad se descartan en silencio y quien le bloqueó le aparece desconectado.
+// Bloquear rompe la amistad o la solicitud pendiente entre ambos (también en
+// silencio para el bloqueado). Los mensajes de grupo no se filtran.
+// Ajustes de privacidad (por defecto, todo permitido):
+//   dm_friends_only        solo los amigos pueden enviar mensajes privados
+//   allow_friend_requests  si es false, nadie puede enviar solicitudes de amistad
+//   invisible              aparece desconectado para todos (ver PRESENCIA)
+// Todo se comprueba antes de guardar o entregar nada.
+const PRIVACY_SETTINGS = ['dm_friends_only', 'allow_friend_requests', 'invisible'];
+
+// Devuelve false si hay un bloqueo entre ambos. Si el bloqueado es el emisor no se
+// le responde nada; si es el receptor, se avisa al emisor de que debe desbloquearlo.
+async function checkBlocks(senderId, receiverId, ws) {
+    if (await chatStore.isBlocked(receiverId, senderId)) {
+        console.log(`🚫 Descartado ${senderId} -> ${receiverId}: bloqueado por el receptor`);
+        return false;
+    }
+    if (await chatStore.isBlocked(senderId, receiverId)) {
+        sendError(ws, 'user_blocked', 'Has bloqueado a este usuario; desbloquéalo primero');
+        return false;
+    }
+    return true;
+}
+
+async function canSendDirectMessage(senderId, receiverId, ws) {
+    if (!await checkBlocks(senderId, receiverId, ws)) return false;
+    
+    const { dm_friends_only: friendsOnly } = await chatStore.getPrivacySettings(receiverId);
+    if (friendsOnly && !await areFriends(senderId, receiverId)) {
+        sendError(ws, 'dm_not_allowed', 'Este usuario solo acepta mensajes de sus amigos');
+        return false;
+    }
+    return true;
+}
+
+async function handleBlockUser(userId, username, message, ws) {
+    const blockedId = parseInt(message.user_id);
+    if (!blockedId || blockedId === userId) {
+        sendError(ws, 'invalid_block', 'Se requiere un user_id válido');
+        return;
+    }
+    
+    try {
+        if (!await chatStore.findUser(blockedId)) {
+            sendError(ws, 'user_not_found', 'El usuario no existe');
+            return;
+        }
+        
+        await chatStore.blockUser(userId, blockedId);
+        // Todas las pestañas de quien bloquea actualizan su lista; el bloqueado no recibe nada
+        sendToUser(userId, { type: 'user_blocked', user_id: blockedId, timestamp: Date.now() });
+        console.log(`🚫 ${username} bloqueó a ${blockedId}`);
+        
+        await revokeWatchPartyInvites(await chatStore.getActiveWatchPartyInvites(userId, blockedId));
+        
+    } catch (error) {
+        console.error('Error bloqueando usuario:', error);
+    }
+}
+
+async function handleUnblockUser(userId, message, ws) {
+    const blockedId = parseInt(message.user_id);
+    if (!blockedId) {
+        sendError(ws, 'invalid_block', 'Se requiere user_id');
+        return;
+    }
+    
+    try {
+        if (!await chatStore.unblockUser(userId, blockedId)) {
+            sendError(ws, 'not_blocked', 'Este usuario no está bloqueado');
+            return;
+        }
+        sendToUser(userId, { type: 'user_unblocked', user_id: blockedId, timestamp: Date.now() });
+        
+    } catch (error) {
+        console.error('Error desbloqueando usuario:', error);
+    }
+}
+
+async function handleBlockedList(userId, message, ws) {
+    try {
+        const rows = await chatStore.getBlockedUsers(userId);
+        sendToSocket(ws, {
+            type: 'blocked_list',
+            request_id: message.request_id,
+            users: rows.map(row => ({
+                user_id: row.blocked_id,
+                username: row.username,
+                since: new Date(row.created_at).getTime()
+            }))
+        });
+        
+    } catch (error) {
+        console.error('Error obteniendo usuarios bloqueados:', error);
+    }
+}
+
+async function handlePrivacySettings(userId, message, ws) {
+    try {
+        sendToSocket(ws, {
+            type: 'privacy_settings',
+            request_id: message.request_id,
+            settings: await chatStore.getPrivacySettings(userId)
+        });
+    } catch (error) {
+        console.error('Error obteniendo ajustes de privacidad:', error);
+    }
+}
+
+async function handlePrivacySettingsUpdate(userId, username, message, ws) {
+    const changes = {};
+    for (const key of PRIVACY_SETTINGS) {
+        if (message[key] === undefined) continue;
+        if (typeof message[key] !== 'boolean') {
+            sendError(ws, 'invalid_settings', `${key} debe ser true o false`);
+            return;
+        }
+        changes[key] = message[key];
+    }
+    if (Object.keys(changes).length === 0) {
+        sendError(ws, 'invalid_settings', `Se requiere al menos uno de: ${PRIVACY_SETTINGS.join(', ')}`);
+        return;
+    }
+    
+    try {
+        const settings = await chatStore.setPrivacySettings(userId, changes);
+        sendToUser(userId, { type: 'privacy_settings', request_id: message.request_id, settings });
+        await setInvisible(userId, username, settings.invisible);
+        
+    } catch (error) {
+        console.error('Error guardando ajustes de privacidad:', error);
+    }
+}
+
+// ==================== GRUPOS ====================
+// Conversaciones de grupo con administradores (tablas chat_groups, chat_group_members
+// y chat_group_messages; ver lib/chat-store-mysql.js). Cada mensaje se reparte a todos
+// los sockets de los miembros. Cada miembro guarda hasta qué mensaje leyó (group_read)
+// y al conectarse recibe los posteriores.
+// Solo se puede añadir a un grupo a quien es amigo de quien lo añade.
+function getGroupMember(group, userId) {
+    return group.members.find(member => member.user_id === userId) || null;
+}
+
+function toPublicGroup(group) {
+    return {
+        id: group.id,
+        name: group.name,
+        created_by: group.created_by,
+        created_at: new Date(group.created_at).getTime(),
+        members: group.members.map(member => ({
+            user_id: member.user_id,
+            username: member.username,
+            role: member.role,
+            is_online: isVisiblyOnline(member.user_id)
+        }))
+    };
+}
+
+function notifyGroup(group, message) {
+    group.members.forEach(member => sendToUser(member.user_id, message));
+}
+
+function broadcastGroupUpdate(group, action, byUserId, extra = {}) {
+    notifyGroup(group, {
+        type: 'group_updated',
+        action,
+        by_user_id: byUserId,
+        ...extra,
+        group: toPublicGroup(group),
+        timestamp: Date.now()
+    });
+}
+
+// Carga el grupo si el usuario es miembro (y administrador, si se pide). Si no,
+// responde con el error y devuelve null.
+async function loadGroupFor(ws, groupId, userId, requireAdmin = false) {
+    const group = groupId ? await chatStore.getGroup(groupId) : null;
+    const member = group && getGroupMember(group, userId);
+    
+    if (!member) {
+        sendError(ws, 'group_not_found', 'El grupo no existe o no eres miembro');
+        return null;
+    }
+    if (requireAdmin && member.role !== 'admin') {
+        sendError(ws, 'forbidden', 'Solo los administradores del grupo pueden hacer esto');
+        return null;
+    }
+    return group;
+}
+
+function parseGroupName(name) {
+    if (typeof name !== 'string') return null;
+    const trimmed = name.trim();
+    return trimmed.length > 0 && trimmed.length <= 100 ? trimmed : null;
+}
+
+function parseUserIds(list) {
+    if (!Array.isArray(list)) return [];
+    return Array.from(new Set(list.map(id => parseInt(id)).filter(id => id > 0)));
+}
+
+// Devuelve true si todos son amigos de userId; si no, responde con el error
+async function ensureAllFriends(ws, userId, userIds) {
+    const friendIds = userIds.length > 0 ? await chatStore.getFriendIds(userId, userIds) : new Set();
+    const strangers = userIds.filter(id => !friendIds.has(id));
+    if (strangers.length > 0) {
+        sendError(ws, 'not_friends', `Solo puedes añadir a tus amigos (no lo son: ${strangers.join(', ')})`);
+        return false;
+    }
+    return true;
+}
+
+function toGroupMessage(row) {
+    return {
+        type: 'group_message',
+        group_id: row.group_id,
+        message_id: row.id,
+        from_user_id: row.sender_id,
+        from_username: row.sender_username,
+        message: row.message,
+        timestamp: new Date(row.created_at).getTime()
+    };
+}
+
+async function handleGroupCreate(userId, username, message, ws) {
+    const name = parseGroupName(message.name);
+    const memberIds = parseUserIds(message.member_ids).filter(id => id !== userId);
+    
+    if (!name) {
+        sendError(ws, 'invalid_group', 'El nombre del grupo debe tener entre 1 y 100 caracteres');
+        return;
+    }
+    if (memberIds.length + 1 > MAX_GROUP_MEMBERS) {
+        sendError(ws, 'group_full', `Un grupo admite como máximo ${MAX_GROUP_MEMBERS} miembros`);
+        return;
+    }
+    
+    try {
+        if (!await ensureAllFriends(ws, userId, memberIds)) return;
+        
+        const groupId = await chatStore.createGroup(name, userId, [
+            { userId, role: 'admin' },
+            ...memberIds.map(id => ({ userId: id, role: 'member' }))
+        ]);
+        
+        const group = await chatStore.getGroup(groupId);
+        broadcastGroupUpdate(group, 'created', userId);
+        console.log(`👥 ${username} creó el grupo "${name}" con ${group.members.length} miembros`);
+        
+    } catch (error) {
+        console.error('Error creando grupo:', error);
+    }
+}
+
+async function handleGroupAddMembers(userId, message, ws) {
+    try {
+        const group = await loadGroupFor(ws, parseInt(message.group_id), userId, true);
+        if (!group) return;
+        
+        const newIds = parseUserIds(message.user_ids).filter(id => !getGroupMember(group, id));
+        if (newIds.length === 0) {
+            sendError(ws, 'invalid_group', 'No hay usuarios nuevos que añadir');
+            return;
+        }
+        if (group.members.length + newIds.length > MAX_GROUP_MEMBERS) {
+            sendError(ws, 'group_full', `Un grupo admite como máximo ${MAX_GROUP_MEMBERS} miembros`);
+            return;
+        }
+        if (!await ensureAllFriends(ws, userId, newIds)) return;
+        
+        await chatStore.addGroupMembers(group.id, newIds.map(id => ({ userId: id, role: 'member' })));
+        broadcastGroupUpdate(await chatStore.getGroup(group.id), 'members_added', userId, { user_ids: newIds });
+        
+    } catch (error) {
+        console.error('Error añadiendo miembros al grupo:', error);
+    }
+}
+
+// Un administrador puede quitar a cualquiera; cualquier miembro puede salir (sin user_id)
+async function handleGroupRemoveMember(userId, message, ws) {
+    const targetId = message.user_id !== undefined ? parseInt(message.user_id) : userId;
+    
+    try {
+        const group = await loadGroupFor(ws, parseInt(message.group_id), userId, targetId !== userId);
+        if (!group) return;
+        
+        if (!getGroupMember(group, targetId)) {
+            sendError(ws, 'member_not_found', 'Ese usuario no es miembro del grupo');
+            return;
+        }
+        
+        await chatStore.removeGroupMember(group.id, targetId);
+        sendToUser(targetId, {
+            type: 'group_removed',
+            group_id: group.id,
+            by_user_id: userId,
+            timestamp: Date.now()
+        });
+        
+        const remaining = group.members.filter(member => member.user_id !== targetId);
+        if (remaining.length === 0) {
+            await chatStore.deleteGroup(group.id);
+            console.log(`👥 Grupo ${group.id} eliminado al quedarse sin miembros`);
+            return;
+        }
+        
+        // Un grupo nunca se queda sin administrador: se asciende al miembro más antiguo
+        if (!remaining.some(member => member.role === 'admin')) {
+            await chatStore.setGroupRole(group.id, remaining[0].user_id, 'admin');
+        }
+        
+        broadcastGroupUpdate(await chatStore.getGroup(group.id), targetId === userId ? 'member_left' : 'member_removed', userId, {
+            user_ids: [targetId]
+        });
+        
+    } catch (error) {
+        console.error('Error quitando miembro del grupo:', error);
+    }
+}
+
+async function handleGroupRename(userId, message, ws) {
+    const name = parseGroupName(message.name);
+    if (!name) {
+        sendError(ws, 'invalid_group', 'El nombre del grupo debe tener entre 1 y 100 caracteres');
+        return;
+    }
+    
+    try {
+        const group = await loadGroupFor(ws, parseInt(message.group_id), userId, true);
+        if (!group) return;
+        
+        await chatStore.renameGroup(group.id, name);
+        broadcastGroupUpdate({ ...group, name }, 'renamed', userId);
+        
+    } catch (error) {
+        console.error('Error renombrando grupo:', error);
+    }
+}
+
+async function handleGroupSetAdmin(userId, message, ws) {
+    const targetId = parseInt(message.user_id);
+    const role = message.is_admin ? 'admin' : 'member';
+    
+    try {
+        const group = await loadGroupFor(ws, parseInt(message.group_id), userId, true);
+        if (!group) return;
+        
+        const target = getGroupMember(group, targetId);
+        if (!target) {
+            sendError(ws, 'member_not_found', 'Ese usuario no es miembro del grupo');
+            return;
+        }
+        if (role === 'member' && group.members.filter(member => member.role === 'admin').length === 1 && target.role === 'admin') {
+            sendError(ws, 'last_admin', 'El grupo necesita al menos un administrador');
+            return;
+        }
+        
+        await chatStore.setGroupRole(group.id, targetId, role);
+        target.role = role;
+        broadcastGroupUpdate(group, 'role_changed', userId, { user_ids: [targetId] });
+        
+    } catch (error) {
+        console.error('Error cambiando administradores del grupo:', error);
+    }
+}
+
+async function handleGroupMessage(userId, username, message, ws) {
+    const text = typeof message.message === 'string' ? message.message.trim() : '';
+    if (!text || text.length > MAX_GROUP_MESSAGE_LENGTH) {
+        sendError(ws, 'invalid_message', `El mensaje debe tener entre 1 y ${MAX_GROUP_MESSAGE_LENGTH} caracteres`);
+        return;
+    }
+    
+    try {
+        const group = await loadGroupFor(ws, parseInt(message.group_id), userId);
+        if (!group) return;
+        
+        const messageId = await chatStore.insertGroupMessage(group.id, userId, text);
+        // Quien escribe ya ha leído hasta su propio mensaje
+        await chatStore.markGroupRead(group.id, userId, messageId);
+        
+        notifyGroup(group, toGroupMessage({
+            id: messageId,
+            group_id: group.id,
+            sender_id: userId,
+            sender_username: username,
+            message: text,
+            created_at: Date.now()
+        }));
+        
+    } catch (error) {
+        console.error('Error guardando mensaje de grupo:', error);
+    }
+}
+
+async function handleGroupRead(userId, message, ws) {
+    const groupId = parseInt(message.group_id);
+    const messageId = parseInt(message.message_id);
+    if (!groupId || !messageId) {
+        sendError(ws, 'invalid_receipt', 'Se requieren group_id y message_id');
+        return;
+    }
+    
+    try {
+        await chatStore.markGroupRead(groupId, userId, messageId);
+    } catch (error) {
+        console.error('Error marcando grupo como leído:', error);
+    }
+}
+
+async function handleGroupsList(userId, message, ws) {
+    try {
+        const groups = await chatStore.listGroups(userId);
+        
+        sendToSocket(ws, {
+            type: 'groups_list',
+            request_id: message.request_id,
+            groups: groups.map(group => ({
+                ...toPublicGroup(group),
+                unread_count: Number(group.unread_count)
+            }))
+        });
+        
+    } catch (error) {
+        console.error('Error obteniendo grupos:', error);
+    }
+}
+
+// Mensajes de grupo posteriores a lo que cada miembro leyó, por páginas
+async function sendUnreadGroupMessages(userId, ws) {
+    let lastId = 0;
+    
+    while (ws.readyState === WebSocket.OPEN) {
+        const page = await chatStore.getUnreadGroupMessages(userId, lastId, PENDING_PAGE_SIZE);
+        
+        page.forEach(row => sendToSocket(ws, toGroupMessage(row)));
+        
+        if (page.length < PENDING_PAGE_SIZE) break;
+        lastId = page[page.length - 1].id;
+    }
+}
+
+// ==================== INVITACIONES A WATCH PARTY ====================
+// Un usuario invita a un amigo a su sala. La invitación se guarda (watch_party_invites)
+// y lleva un invite_token que server.js acepta en join (ver verifyRoomInviteToken),
+// así que sirve también para salas privadas. Solo invita el anfitrión de la sala (como
+// exige server.js) y rechazarla, romper la amistad o bloquear revocan el token en el
+// adaptador de clúster antes de que expire; por eso requieren CLUSTER_ADAPTER=redis.
+function toWatchPartyInviteMessage(invite) {
+    const expiresAt = new Date(invite.expires_at).getTime();
+    return {
+        type: 'watch_party_invite',
+        invite_id: invite.id,
+        from_user_id: invite.sender_id,
+        from_username: invite.sender_username,
+        to_user_id: invite.receiver_id,
+        room_code: invite.room_code,
+        room_name: invite.room_name,
+        invite_token: createRoomInviteToken({
+            inviteId: invite.id,
+            roomCode: invite.room_code,
+            inviterId: invite.sender_id,
+            inviteeId: invite.receiver_id,
+            expiresAt
+        }),
+        expires_at: expiresAt,
+        timestamp: new Date(invite.created_at).getTime()
+    };
+}
+
+async function revokeWatchPartyInvites(invites) {
+    await Promise.all(invites.map(invite => {
+        const ttl = Math.max(new Date(invite.expires_at).getTime() - Date.now(), 1000);
+        return clusterAdapter.set(getRoomInviteRevocationKey(invite.id), { reason: 'revoked' }, ttl);
+    }));
+}
+
+function toWatchPartyInviteResponse(invite, responderName) {
+    return {
+        type: 'watch_party_invite_response',
+        invite_id: invite.id,
+        from_user_id: invite.receiver_id,
+        from_username: responderName,
+        to_user_id: invite.sender_id,
+        room_code: invite.room_code,
+        status: invite.status,
+        timestamp: new Date(invite.responded_at || Date.now()).getTime()
+    };
+}
+
+async function handleWatchPartyInvite(senderId, senderName, message, ws) {
+    const receiverId = parseInt(message.to_user_id);
+    const roomCode = typeof message.room_code === 'string' ? message.room_code.trim().toUpperCase() : '';
+    const roomName = typeof message.room_name === 'string' ? message.room_name.slice(0, 100) : null;
+    
+    if (!receiverId || receiverId === senderId || !roomCode || roomCode.length > 64) {
+        sendError(ws, 'invalid_invite', 'Se requieren to_user_id y room_code válidos');
+        return;
+    }
+    
+    if (!SHARED_CLUSTER) {
+        sendError(ws, 'invites_unavailable', 'Las invitaciones a salas no están disponibles en este servidor');
+        return;
+    }
+    
+    try {
+        if (!await areFriends(senderId, receiverId)) {
+            sendError(ws, 'not_friends', 'Solo puedes invitar a tus amigos');
+            return;
+        }
+        
+        // server.js solo acepta invitaciones del anfitrión actual de la sala
+        const state = await clusterAdapter.get(`room-state:${roomCode}`) || await clusterAdapter.get(`room:${roomCode}`);
+        if (!state || String(state.host_user_id) !== String(senderId)) {
+            sendError(ws, 'not_room_host', 'Solo el anfitrión de la sala puede invitar a ella');
+            return;
+        }
+        
+        const inviteId = await chatStore.createWatchPartyInvite({
+            senderId,
+            receiverId,
+            roomCode,
+            roomName,
+            ttlSeconds: WATCH_PARTY_INVITE_TTL
+        });
+        
+        const now = Date.now();
+        const invite = {
+            id: inviteId,
+            sender_id: senderId,
+            sender_username: senderName,
+            receiver_id: receiverId,
+            room_code: roomCode,
+            room_name: roomName,
+            created_at: now,
+            expires_at: now + WATCH_PARTY_INVITE_TTL * 1000
+        };
+        
+        // Si no está en línea la recibirá con las notificaciones pendientes
+        sendToUser(receiverId, toWatchPartyInviteMessage(invite));
+        sendToUser(senderId, {
+            type: 'watch_party_invite_sent',
+            invite_id: invite.id,
+            to_user_id: receiverId,
+            room_code: roomCode,
+            expires_at: invite.expires_at,
+            timestamp: now
+        });
+        console.log(`🎟️ ${senderName} invitó a ${receiverId} a la sala ${roomCode}`);
+        
+    } catch (error) {
+        console.error('Error guardando invitación a watch party:', error);
+    }
+}
+
+async function handleWatchPartyInviteResponse(userId, username, message, ws) {
+    const inviteId = parseInt(message.invite_id);
+    const { status } = message;
+    
+    if (!inviteId || !['accepted', 'declined'].includes(status)) {
+        sendError(ws, 'invalid_response', 'Se requieren invite_id y status (accepted o declined)');
+        return;
+    }
+    
+    try {
+        const invite = await chatStore.findWatchPartyInvite(inviteId, userId);
+        
+        if (!invite) {
+            sendError(ws, 'invite_not_found', 'La invitación no existe');
+            return;
+        }
+        if (new Date(invite.expires_at).getTime() <= Date.now()) {
+            sendError(ws, 'invite_expired', 'La invitación ha expirado');
+            return;
+        }
+        
+        // La condición sobre status evita que dos pestañas respondan a la vez
+        if (!await chatStore.answerWatchPartyInvite(inviteId, status)) {
+            sendError(ws, 'invite_already_answered', 'La invitación ya fue respondida');
+            return;
+        }
+        
+        if (status === 'declined') await revokeWatchPartyInvites([invite]);
+        
+        const response = toWatchPartyInviteResponse({ ...invite, status, responded_at: Date.now() }, username);
+        // Las demás pestañas del invitado también dejan de mostrarla
+        sendToUser(userId, response);
+        
+        // Si quien invitó no está en línea, se le avisa al conectarse
+        if (sendToUser(invite.sender_id, response) > 0) {
+            await chatStore.markInviteResponseNotified(inviteId);
+        }
+        console.log(`🎟️ ${username} ${status === 'accepted' ? 'aceptó' : 'rechazó'} la invitación a ${invite.room_code}`);
+        
+    } catch (error) {
+        console.error('Error respondiendo invitación a watch party:', error);
+    }
+}
+
+function parseMemoryUsers(json) {
+    if (!json) return [];
+    try {
+        const users = JSON.parse(json);
+        if (!Array.isArray(users)) throw new Error('no es una lista');
+        return users;
+    } catch (error) {
+        console.error('❌ CHAT_MEMORY_USERS no es una lista JSON válida, se ignora');
+        return [];
+    }
+}
+
+// Todas las operaciones de almacenamiento pasan por aquí para medir su latencia
+// (etiqueta: nombre del método) y para que el apagado pueda esperarlas
+function instrumentStore(store) {
+    const instrumented = { ...store };
+    
+    Object.keys(store).forEach(method => {
+        if (typeof store[method] !== 'function' || method === 'stats') return;
+        
+        instrumented[method] = async (...args) => {
+            const stopTimer = dbQueryDuration.startTimer({ query: method });
+            const pending = store[method](...args);
+            pendingQueries.add(pending);
+            try {
+                return await pending;
+            } catch (error) {
+                dbQueryErrors.inc({ query: method });
+                throw error;
+            } finally {
+                pendingQueries.delete(pending);
+                stopTimer();
+            }
+        };
+    });
+    return instrumented;
+}
+
+function sendToSocket(ws, message) {
+    try {
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify(message));
+            messagesSent.inc({ type: message.type });
+        }
+    } catch (error) {
+        sendErrors.inc();
+        console.error(`No se pudo enviar ${message.type}:`, error);
+    }
+}
+
+// Envía a todos los sockets del usuario. Devuelve a cuántos se envió.
+function sendToUser(userId, message) {
+    const sockets = userSockets.get(userId);
+    if (!sockets) return 0;
+    sockets.forEach(ws => sendToSocket(ws, message));
+    return sockets.size;
+}
+
+function sendError(ws, code, message) {
+    sendToSocket(ws, { type: 'error', code, message });
+}
+
+async function updateUserOnlineStatus(userId, username, isOnline) {
+    try {
+        await chatStore.setUserOnline({ id: userId, username }, isOnline);
+    } catch (error) {
+        console.error('Error actualizando estado:', error);
+    }
+}
+
+// Reenvía todos los mensajes no leídos, del más antiguo al más reciente, por páginas
+async function sendUnreadMessages(userId, ws) {
+    let lastId = 0;
+    
+    while (ws.readyState === WebSocket.OPEN) {
+        const page = await chatStore.getUnreadMessages(userId, lastId, PENDING_PAGE_SIZE);
+        
+        page.forEach(msg => {
+            sendToSocket(ws, {
+                type: 'private_message',
+                from_user_id: msg.sender_id,
+                from_username: msg.sender_username,
+                to_user_id: userId,
+                message: msg.message,
+                message_id: msg.id,
+                timestamp: new Date(msg.created_at).getTime()
+            });
+        });
+        
+        if (page.length < PENDING_PAGE_SIZE) break;
+        lastId = page[page.length - 1].id;
+    }
+}
+
+async function sendPendingNotifications(userId, ws) {
+    try {
+        // Obtener solicitudes de amistad pendientes
+        const pendingRequests = await chatStore.getPendingFriendRequests(userId, 10);
+        
+        // Invitaciones a salas sin responder y respuestas a las invitaciones enviadas
+        const pendingInvites = await chatStore.getPendingWatchPartyInvites(userId, 10);
+        const inviteResponses = await chatStore.getUnnotifiedInviteResponses(userId);
+        
+        // Enviar notificaciones
+        await sendUnreadMessages(userId, ws);
+        await sendUnreadGroupMessages(userId, ws);
+        
+        pendingRequests.forEach(req => {
+            sendToSocket(ws, {
+                type: 'friend_request',
+                request_id: req.id,
+                from_user_id: req.user_id,
+                from_username: req.sender_username,
+                to_user_id: userId,
+                timestamp: new Date(req.created_at).getTime()
+            });
+        });
+        
+        pendingInvites.forEach(invite => {
+            sendToSocket(ws, toWatchPartyInviteMessage(invite));
+        });
+        
+        for (const invite of inviteResponses) {
+            sendToSocket(ws, toWatchPartyInviteResponse(invite, invite.receiver_username));
+            await chatStore.markInviteResponseNotified(invite.id);
+        }
+        
+    } catch (error) {
+        console.error('Error enviando notificaciones pendientes:', error);
+    }
+}
+
+// El esquema se crea o migra antes de aceptar conexiones
+chatStore.init()
+    .then(() => {
+        console.log(`🗄️ Almacenamiento del chat: ${CHAT_STORE}`);
+        server.listen(PORT, () => {
+            console.log(`💬 Servidor de chat iniciado en el puerto ${PORT}`);
+            console.log(`🔗 URL del servidor: ws://localhost:${PORT}/chat-ws`);
+            console.log(`🏥 Endpoint de salud: http://localhost:${PORT}/health`);
+            console.log(`📈 Métricas: http://localhost:${PORT}/metrics`);
+            if (!SHARED_CLUSTER) {
+                console.warn('⚠️ CLUSTER_ADAPTER=local: "viendo la sala" y las invitaciones a salas desactivados (requieren CLUSTER_ADAPTER=redis, compartido con server.js)');
+            }
+        });
+    })
+    .catch(error => {
+        console.error('Error inicializando el almacenamiento del chat:', error);
+        process.exit(1);
+    });
+
+// Limpieza periódica
+setInterval(() => {
+    console.log(`👥 Usuarios en línea: ${onlineUsers.size}`);
+}, 60000);
+
+const activityCheckInterval = SHARED_CLUSTER
+    ? setInterval(refreshWatchingActivities, PRESENCE_ACTIVITY_CHECK_INTERVAL)
+    : null;
+
+// ==================== APAGADO ORDENADO ====================
+// Con SIGTERM o SIGINT: /health pasa a 503, se pide a los clientes que reconecten y
+// se esperan las escrituras en curso (incluidas las de desconexión) antes de salir.
+function sendDrainNotice(ws) {
+    const notice = {
+        type: 'server_draining',
+        message: 'El servidor de chat se está reiniciando. Reconectando...',
+        retry_after: DRAIN_RETRY_AFTER,
+        timestamp: Date.now()
+    };
+    if (DRAIN_RECONNECT_URL) notice.reconnect_url = DRAIN_RECONNECT_URL;
+    sendToSocket(ws, notice);
+}
+
+// Resuelve cuando se cumple la condición o vence el plazo
+function waitUntil(condition, deadline) {
+    return new Promise(resolve => {
+        const check = setInterval(() => {
+            if (condition() || Date.now() >= deadline) {
+                clearInterval(check);
+                resolve(condition());
+            }
+        }, 100);
+    });
+}
+
+async function shutdown(signal) {
+    if (draining) return;
+    draining = true;
+    console.log(`\n👋 ${signal} recibido: drenando el servidor de chat...`);
+    
+    const deadline = Date.now() + SHUTDOWN_TIMEOUT;
+    clearInterval(activityCheckInterval);
+    
+    wss.clients.forEach(client => {
+        sendDrainNotice(client);
+        client.close(SERVER_RESTART_CLOSE_CODE, 'Servidor reiniciándose');
+    });
+    if (!await waitUntil(() => wss.clients.size === 0, deadline)) {
+        console.warn(`⚠️ ${wss.clients.size} sockets no cerraron a tiempo, se terminan`);
+        wss.clients.forEach(client => client.terminate());
+    }
+    
+    // Al cerrar los sockets se marcan los usuarios como desconectados: también se espera
+    if (!await waitUntil(() => pendingQueries.size === 0, deadline)) {
+        console.warn(`⚠️ ${pendingQueries.size} consultas seguían en curso al apagar`);
+    }
+    
+    try {
+        await chatStore.close();
+    } catch (error) {
+        console.error('Error cerrando el almacenamiento del chat:', error);
+    }
+    await clusterAdapter.close().catch(() => {});
+    console.log('✅ Servidor de chat drenado, saliendo');
+    process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
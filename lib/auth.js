@@ -0,0 +1,212 @@
+const url = require('url');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// ==================== CONFIGURACIÓN ====================
+const JWT_SECRET = process.env.JWT_SECRET;
+const ADMIN_SECRET = process.env.ADMIN_SECRET; // secreto compartido para la API de administración
+
+// Subprotocolo que anuncia el token en Sec-WebSocket-Protocol: ['access_token', '<jwt>']
+const TOKEN_PROTOCOL = 'access_token';
+
+// Códigos de cierre para handshakes rechazados (rango 4000-4999 reservado para la aplicación)
+const AUTH_CLOSE_CODES = {
+    TOKEN_MISSING: 4001,
+    TOKEN_EXPIRED: 4002,
+    TOKEN_INVALID: 4003
+};
+
+if (!JWT_SECRET) {
+    console.warn('⚠️ JWT_SECRET no está definido: todas las conexiones serán rechazadas');
+}
+
+// ==================== EXTRACCIÓN DEL TOKEN ====================
+function getProtocolList(req) {
+    const header = req.headers['sec-websocket-protocol'];
+    if (!header) return [];
+    return header.split(',').map(p => p.trim()).filter(Boolean);
+}
+
+function extractToken(req) {
+    const query = url.parse(req.url, true).query;
+    if (query.token) return query.token;
+
+    // Peticiones HTTP (los navegadores no permiten esta cabecera en WebSocket)
+    const bearer = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    if (bearer) return bearer[1].trim();
+
+    const protocols = getProtocolList(req);
+    const index = protocols.indexOf(TOKEN_PROTOCOL);
+    if (index !== -1 && protocols[index + 1]) {
+        return protocols[index + 1];
+    }
+
+    return null;
+}
+
+// ==================== VERIFICACIÓN ====================
+// Devuelve { user: { id, username, claims } } o { error: { code, reason } }
+function authenticateRequest(req) {
+    const token = extractToken(req);
+    if (!token) {
+        return { error: { code: AUTH_CLOSE_CODES.TOKEN_MISSING, reason: 'Token de autenticación requerido' } };
+    }
+
+    if (!JWT_SECRET) {
+        return { error: { code: AUTH_CLOSE_CODES.TOKEN_INVALID, reason: 'Autenticación no configurada' } };
+    }
+
+    let claims;
+    try {
+        claims = jwt.verify(token, JWT_SECRET, { algorithms: ['HS256'] });
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            return { error: { code: AUTH_CLOSE_CODES.TOKEN_EXPIRED, reason: 'Token expirado' } };
+        }
+        return { error: { code: AUTH_CLOSE_CODES.TOKEN_INVALID, reason: 'Token inválido' } };
+    }
+
+    const userId = claims.sub ?? claims.user_id ?? claims.id;
+    if (userId === undefined || userId === null || userId === '') {
+        return { error: { code: AUTH_CLOSE_CODES.TOKEN_INVALID, reason: 'El token no identifica al usuario' } };
+    }
+
+    return {
+        user: {
+            id: String(userId),
+            username: claims.username || claims.name || 'Usuario',
+            claims
+        }
+    };
+}
+
+// verifyClient para WebSocket.Server: verifica el token durante el upgrade y deja el
+// resultado en req.auth. El rechazo se hace luego en 'connection' para poder usar
+// códigos de cierre (un upgrade rechazado solo admite un estado HTTP).
+function verifyClient(info, done) {
+    info.req.auth = authenticateRequest(info.req);
+    done(true);
+}
+
+// handleProtocols para WebSocket.Server: si el cliente envía el token como subprotocolo
+// hay que devolver uno de los anunciados o el navegador aborta la conexión.
+function handleProtocols(protocols) {
+    if (protocols.has(TOKEN_PROTOCOL)) return TOKEN_PROTOCOL;
+    return false;
+}
+
+// ==================== ADMINISTRACIÓN ====================
+// Comparación en tiempo constante (los hashes igualan la longitud)
+function safeEqual(a, b) {
+    const hash = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+function isAdminClaims(claims) {
+    return claims.role === 'admin' ||
+        claims.admin === true ||
+        (Array.isArray(claims.roles) && claims.roles.includes('admin'));
+}
+
+// Autentica una petición HTTP de administración. Acepta en Authorization: Bearer
+// el secreto compartido (ADMIN_SECRET) o un JWT firmado con JWT_SECRET con rol de
+// administrador. Devuelve { admin: { id, username } } o { error: { status, message } }.
+function authenticateAdmin(req) {
+    const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    if (!match) {
+        return { error: { status: 401, message: 'Credenciales de administrador requeridas' } };
+    }
+    const credential = match[1].trim();
+
+    if (ADMIN_SECRET && safeEqual(credential, ADMIN_SECRET)) {
+        return { admin: { id: 'admin-secret', username: 'admin' } };
+    }
+
+    if (!JWT_SECRET) {
+        return { error: { status: 401, message: 'Credenciales de administrador inválidas' } };
+    }
+
+    let claims;
+    try {
+        claims = jwt.verify(credential, JWT_SECRET, { algorithms: ['HS256'] });
+    } catch (error) {
+        return { error: { status: 401, message: 'Credenciales de administrador inválidas' } };
+    }
+
+    if (!isAdminClaims(claims)) {
+        return { error: { status: 403, message: 'El token no tiene permisos de administrador' } };
+    }
+
+    return {
+        admin: {
+            id: String(claims.sub ?? claims.user_id ?? claims.id ?? 'admin'),
+            username: claims.username || claims.name || 'admin'
+        }
+    };
+}
+
+// ==================== INVITACIONES ENTRE SERVIDORES ====================
+// El servidor de chat emite credenciales para que un amigo entre a una sala de
+// watch party (aunque sea privada). Se firman con una clave derivada de JWT_SECRET
+// para que una invitación nunca valga como token de sesión ni al revés.
+const ROOM_INVITE_PURPOSE = 'watch_party_invite';
+
+function getRoomInviteKey() {
+    return crypto.createHmac('sha256', JWT_SECRET).update(ROOM_INVITE_PURPOSE).digest();
+}
+
+// expiresAt: timestamp en ms
+function createRoomInviteToken({ inviteId, roomCode, inviterId, inviteeId, expiresAt }) {
+    if (!JWT_SECRET) throw new Error('JWT_SECRET no está definido');
+    return jwt.sign({
+        purpose: ROOM_INVITE_PURPOSE,
+        invite_id: inviteId,
+        room_code: String(roomCode).toUpperCase(),
+        inviter_id: String(inviterId),
+        sub: String(inviteeId),
+        exp: Math.floor(expiresAt / 1000)
+    }, getRoomInviteKey(), { algorithm: 'HS256' });
+}
+
+// Devuelve los datos de la invitación si es válida para esa sala y ese usuario, o null
+function verifyRoomInviteToken(token, roomCode, userId) {
+    if (!JWT_SECRET || !token) return null;
+
+    let claims;
+    try {
+        claims = jwt.verify(token, getRoomInviteKey(), { algorithms: ['HS256'] });
+    } catch (error) {
+        return null;
+    }
+
+    if (claims.purpose !== ROOM_INVITE_PURPOSE ||
+        claims.room_code !== String(roomCode).toUpperCase() ||
+        claims.sub !== String(userId)) {
+        return null;
+    }
+
+    return {
+        inviteId: claims.invite_id,
+        roomCode: claims.room_code,
+        inviterId: claims.inviter_id,
+        expiresAt: claims.exp * 1000
+    };
+}
+
+// Clave del adaptador de clúster que invalida una invitación antes de que expire.
+// La escribe el chat al rechazarla, romper la amistad o bloquear, y server.js al usarla.
+function getRoomInviteRevocationKey(inviteId) {
+    return `invite-revoked:${inviteId}`;
+}
+
+module.exports = {
+    AUTH_CLOSE_CODES,
+    TOKEN_PROTOCOL,
+    authenticateRequest,
+    authenticateAdmin,
+    createRoomInviteToken,
+    verifyRoomInviteToken,
+    getRoomInviteRevocationKey,
+    verifyClient,
+    handleProtocols
+};
@@ -0,0 +1,388 @@
+// ==================== ALMACENAMIENTO DEL CHAT: MEMORIA ====================
+// Implementación de la interfaz de lib/chat-store.js sin base de datos, para
+// desarrollo local y pruebas. Nada sobrevive a un reinicio. No hay tabla de usuarios
+// previa: se conocen al conectarse (registerUser) o se siembran con `users`
+// ([{ id, username }]) para poder escribir a quien aún no se ha conectado.
+
+function createMemoryChatStore({ users: seedUsers = [] } = {}) {
+    const users = new Map(); // id -> { id, username, is_online, last_seen }
+    seedUsers.forEach(({ id, username }) => {
+        users.set(parseInt(id), { id: parseInt(id), username, is_online: false, last_seen: null });
+    });
+    const messages = [];
+    const friends = [];
+    const groups = new Map(); // id -> { id, name, created_by, created_at }
+    const groupMembers = []; // { group_id, user_id, role, last_read_message_id, joined_at }
+    const groupMessages = [];
+    const invites = [];
+    const blocks = []; // { blocker_id, blocked_id, created_at }
+    const privacySettings = new Map(); // userId -> { dm_friends_only, allow_friend_requests, invisible }
+    const sequences = { messages: 0, friends: 0, groups: 0, groupMessages: 0, invites: 0 };
+
+    const nextId = table => ++sequences[table];
+    const usernameOf = id => (users.has(id) ? users.get(id).username : null);
+    const isPair = (row, a, b) => (row.user_id === a && row.friend_id === b) || (row.user_id === b && row.friend_id === a);
+    const removeWhere = (list, predicate) => {
+        let removed = 0;
+        for (let i = list.length - 1; i >= 0; i--) {
+            if (predicate(list[i])) {
+                list.splice(i, 1);
+                removed++;
+            }
+        }
+        return removed;
+    };
+
+    function membersOf(groupId) {
+        return groupMembers
+            .filter(member => member.group_id === groupId)
+            .sort((a, b) => a.joined_at - b.joined_at || a.user_id - b.user_id)
+            .map(({ user_id, role }) => ({ user_id, role, username: usernameOf(user_id) }));
+    }
+
+    function unreadGroupRows(userId) {
+        return groupMembers
+            .filter(member => member.user_id === userId)
+            .flatMap(member => groupMessages.filter(row =>
+                row.group_id === member.group_id && row.id > member.last_read_message_id && row.sender_id !== userId
+            ));
+    }
+
+    return {
+        name: 'memory',
+
+        async init() {},
+
+        // ---------- Usuarios ----------
+        async registerUser({ id, username }) {
+            const user = users.get(id);
+            users.set(id, { is_online: false, last_seen: null, ...user, id, username });
+        },
+
+        async setUserOnline({ id, username }, isOnline) {
+            users.set(id, { id, username, is_online: isOnline, last_seen: new Date() });
+        },
+
+        async findUser(userId) {
+            const user = users.get(userId);
+            return user ? { id: user.id, username: user.username } : null;
+        },
+
+        // ---------- Mensajes privados ----------
+        async insertMessage(senderId, receiverId, text) {
+            const id = nextId('messages');
+            messages.push({
+                id,
+                sender_id: senderId,
+                receiver_id: receiverId,
+                message: text,
+                is_read: false,
+                is_delivered: false,
+                created_at: new Date()
+            });
+            return id;
+        },
+
+        async getUnreadMessages(userId, afterId, limit) {
+            return messages
+                .filter(row => row.receiver_id === userId && !row.is_read && row.id > afterId)
+                .slice(0, limit)
+                .map(row => ({ ...row, sender_username: usernameOf(row.sender_id) }));
+        },
+
+        async markMessages(receiverId, ids, status) {
+            const column = status === 'read' ? 'is_read' : 'is_delivered';
+            const changed = messages.filter(row => row.receiver_id === receiverId && !row[column] && ids.includes(row.id));
+            changed.forEach(row => {
+                row.is_delivered = true;
+                if (status === 'read') row.is_read = true;
+            });
+            return changed.map(row => ({ id: row.id, sender_id: row.sender_id }));
+        },
+
+        async getConversation(userId, otherUserId, { before, after, limit }) {
+            const rows = messages.filter(row =>
+                ((row.sender_id === userId && row.receiver_id === otherUserId) ||
+                 (row.sender_id === otherUserId && row.receiver_id === userId)) &&
+                (before === null || row.id < before) &&
+                (after === null || row.id > after)
+            );
+            if (after === null) rows.reverse();
+            return rows.slice(0, limit).map(row => ({ ...row }));
+        },
+
+        async getConversationList(userId) {
+            const lastByContact = new Map();
+            messages.forEach(row => {
+                if (row.sender_id !== userId && row.receiver_id !== userId) return;
+                lastByContact.set(row.sender_id === userId ? row.receiver_id : row.sender_id, row);
+            });
+
+            return Array.from(lastByContact.entries())
+                .sort(([, a], [, b]) => b.id - a.id)
+                .map(([contactId, last]) => ({
+                    contact_id: contactId,
+                    contact_username: usernameOf(contactId),
+                    unread_count: messages.filter(row =>
+                        row.sender_id === contactId && row.receiver_id === userId && !row.is_read
+                    ).length,
+                    last: { ...last }
+                }));
+        },
+
+        // ---------- Amistades ----------
+        async findFriendship(userId, otherUserId) {
+            const row = friends.find(friend => isPair(friend, userId, otherUserId));
+            return row ? { ...row } : null;
+        },
+
+        async createFriendRequest(senderId, receiverId) {
+            if (friends.some(friend => isPair(friend, senderId, receiverId))) return null;
+            const id = nextId('friends');
+            friends.push({ id, user_id: senderId, friend_id: receiverId, status: 'pending', created_at: new Date() });
+            return id;
+        },
+
+        async findPendingRequest({ id, senderId }, receiverId) {
+            const row = friends.find(friend =>
+                friend.friend_id === receiverId && friend.status === 'pending' &&
+                (id ? friend.id === id : friend.user_id === senderId)
+            );
+            return row ? { ...row } : null;
+        },
+
+        async acceptFriendRequest(id) {
+            const row = friends.find(friend => friend.id === id && friend.status === 'pending');
+            if (!row) return false;
+            row.status = 'accepted';
+            return true;
+        },
+
+        async deleteFriendRequest(id) {
+            return removeWhere(friends, friend => friend.id === id && friend.status === 'pending') > 0;
+        },
+
+        async removeFriendship(userId, otherUserId) {
+            return removeWhere(friends, friend => isPair(friend, userId, otherUserId) && friend.status === 'accepted') > 0;
+        },
+
+        async listFriendships(userId) {
+            return friends
+                .filter(friend => friend.user_id === userId || friend.friend_id === userId)
+                .map(friend => {
+                    const otherId = friend.user_id === userId ? friend.friend_id : friend.user_id;
+                    const other = users.get(otherId);
+                    return {
+                        ...friend,
+                        other_id: otherId,
+                        username: other ? other.username : null,
+                        last_seen: other ? other.last_seen : null
+                    };
+                })
+                .sort((a, b) => String(a.username).localeCompare(String(b.username)));
+        },
+
+        async getFriendIds(userId, candidateIds) {
+            const result = new Set();
+            friends.forEach(friend => {
+                if (friend.status !== 'accepted') return;
+                const otherId = friend.user_id === userId ? friend.friend_id : friend.friend_id === userId ? friend.user_id : null;
+                if (otherId !== null && candidateIds.includes(otherId)) result.add(otherId);
+            });
+            return result;
+        },
+
+        async getPendingFriendRequests(userId, limit) {
+            return friends
+                .filter(friend => friend.friend_id === userId && friend.status === 'pending')
+                .reverse()
+                .slice(0, limit)
+                .map(friend => ({ ...friend, sender_username: usernameOf(friend.user_id) }));
+        },
+
+        // ---------- Bloqueos y privacidad ----------
+        async blockUser(blockerId, blockedId) {
+            // Bloquear rompe la amistad o la solicitud pendiente entre ambos
+            removeWhere(friends, friend => isPair(friend, blockerId, blockedId));
+            if (blocks.some(row => row.blocker_id === blockerId && row.blocked_id === blockedId)) return false;
+            blocks.push({ blocker_id: blockerId, blocked_id: blockedId, created_at: new Date() });
+            return true;
+        },
+
+        async unblockUser(blockerId, blockedId) {
+            return removeWhere(blocks, row => row.blocker_id === blockerId && row.blocked_id === blockedId) > 0;
+        },
+
+        async isBlocked(blockerId, blockedId) {
+            return blocks.some(row => row.blocker_id === blockerId && row.blocked_id === blockedId);
+        },
+
+        async getBlockerIds(userId, candidateIds) {
+            return new Set(blocks
+                .filter(row => row.blocked_id === userId && candidateIds.includes(row.blocker_id))
+                .map(row => row.blocker_id));
+        },
+
+        async getBlockedUsers(userId) {
+            return blocks
+                .filter(row => row.blocker_id === userId)
+                .reverse()
+                .map(row => ({ blocked_id: row.blocked_id, created_at: row.created_at, username: usernameOf(row.blocked_id) }));
+        },
+
+        async getPrivacySettings(userId) {
+            return { dm_friends_only: false, allow_friend_requests: true, invisible: false, ...privacySettings.get(userId) };
+        },
+
+        async setPrivacySettings(userId, changes) {
+            const settings = { ...await this.getPrivacySettings(userId), ...changes };
+            privacySettings.set(userId, settings);
+            return { ...settings };
+        },
+
+        // ---------- Grupos ----------
+        async createGroup(name, createdBy, members) {
+            const id = nextId('groups');
+            groups.set(id, { id, name, created_by: createdBy, created_at: new Date() });
+            await this.addGroupMembers(id, members);
+            return id;
+        },
+
+        async getGroup(groupId) {
+            const group = groups.get(groupId);
+            return group ? { ...group, members: membersOf(groupId) } : null;
+        },
+
+        // Los nuevos miembros empiezan a leer desde el último mensaje del grupo
+        async addGroupMembers(groupId, members) {
+            const lastId = groupMessages.reduce((max, row) => (row.group_id === groupId ? Math.max(max, row.id) : max), 0);
+            const joinedAt = Date.now();
+            members.forEach(({ userId, role }) => {
+                groupMembers.push({ group_id: groupId, user_id: userId, role, last_read_message_id: lastId, joined_at: joinedAt });
+            });
+        },
+
+        async removeGroupMember(groupId, userId) {
+            removeWhere(groupMembers, member => member.group_id === groupId && member.user_id === userId);
+        },
+
+        async deleteGroup(groupId) {
+            removeWhere(groupMessages, row => row.group_id === groupId);
+            removeWhere(groupMembers, member => member.group_id === groupId);
+            groups.delete(groupId);
+        },
+
+        async renameGroup(groupId, name) {
+            if (groups.has(groupId)) groups.get(groupId).name = name;
+        },
+
+        async setGroupRole(groupId, userId, role) {
+            const member = groupMembers.find(m => m.group_id === groupId && m.user_id === userId);
+            if (member) member.role = role;
+        },
+
+        async insertGroupMessage(groupId, senderId, text) {
+            const id = nextId('groupMessages');
+            groupMessages.push({ id, group_id: groupId, sender_id: senderId, message: text, created_at: new Date() });
+            return id;
+        },
+
+        async markGroupRead(groupId, userId, messageId) {
+            const member = groupMembers.find(m => m.group_id === groupId && m.user_id === userId);
+            if (!member) return;
+            const lastId = groupMessages.reduce((max, row) => (row.group_id === groupId ? Math.max(max, row.id) : max), 0);
+            member.last_read_message_id = Math.max(member.last_read_message_id, Math.min(messageId, lastId));
+        },
+
+        async listGroups(userId) {
+            const unread = unreadGroupRows(userId);
+            return groupMembers
+                .filter(member => member.user_id === userId)
+                .map(member => groups.get(member.group_id))
+                .sort((a, b) => a.name.localeCompare(b.name))
+                .map(group => ({
+                    ...group,
+                    unread_count: unread.filter(row => row.group_id === group.id).length,
+                    members: membersOf(group.id)
+                }));
+        },
+
+        async getUnreadGroupMessages(userId, afterId, limit) {
+            return unreadGroupRows(userId)
+                .filter(row => row.id > afterId)
+                .sort((a, b) => a.id - b.id)
+                .slice(0, limit)
+                .map(row => ({ ...row, sender_username: usernameOf(row.sender_id) }));
+        },
+
+        // ---------- Invitaciones a watch party ----------
+        async createWatchPartyInvite({ senderId, receiverId, roomCode, roomName, ttlSeconds }) {
+            const id = nextId('invites');
+            invites.push({
+                id,
+                sender_id: senderId,
+                receiver_id: receiverId,
+                room_code: roomCode,
+                room_name: roomName,
+                status: 'pending',
+                sender_notified: false,
+                created_at: new Date(),
+                expires_at: new Date(Date.now() + ttlSeconds * 1000),
+                responded_at: null
+            });
+            return id;
+        },
+
+        async findWatchPartyInvite(id, receiverId) {
+            const invite = invites.find(row => row.id === id && row.receiver_id === receiverId);
+            return invite ? { ...invite } : null;
+        },
+
+        async answerWatchPartyInvite(id, status) {
+            const invite = invites.find(row => row.id === id && row.status === 'pending');
+            if (!invite) return false;
+            invite.status = status;
+            invite.responded_at = new Date();
+            return true;
+        },
+
+        async markInviteResponseNotified(id) {
+            const invite = invites.find(row => row.id === id);
+            if (invite) invite.sender_notified = true;
+        },
+
+        async getPendingWatchPartyInvites(userId, limit) {
+            const now = Date.now();
+            return invites
+                .filter(row => row.receiver_id === userId && row.status === 'pending' && row.expires_at > now)
+                .reverse()
+                .slice(0, limit)
+                .map(row => ({ ...row, sender_username: usernameOf(row.sender_id) }));
+        },
+
+        async getActiveWatchPartyInvites(userId, otherId) {
+            const now = Date.now();
+            return invites
+                .filter(row => row.expires_at > now && (
+                    (row.sender_id === userId && row.receiver_id === otherId) ||
+                    (row.sender_id === otherId && row.receiver_id === userId)
+                ))
+                .map(row => ({ ...row }));
+        },
+
+        async getUnnotifiedInviteResponses(senderId) {
+            return invites
+                .filter(row => row.sender_id === senderId && row.status !== 'pending' && !row.sender_notified)
+                .sort((a, b) => a.responded_at - b.responded_at)
+                .map(row => ({ ...row, receiver_username: usernameOf(row.receiver_id) }));
+        },
+
+        stats() {
+            return null;
+        },
+
+        async close() {}
+    };
+}
+
+module.exports = { createMemoryChatStore };
@@ -0,0 +1,684 @@
+const mysql = require('mysql2/promise');
+
+// ==================== ALMACENAMIENTO DEL CHAT: MYSQL ====================
+// Implementación de la interfaz de lib/chat-store.js sobre un pool de mysql2.
+// El esquema se crea y se migra en init(); la versión aplicada se guarda en
+// schema_migrations y un bloqueo con nombre evita que dos instancias migren a la vez.
+
+const PAIR_CONDITION = '((user_id = ? AND friend_id = ?) OR (user_id = ? AND friend_id = ?))';
+const MIGRATION_LOCK = 'chat_schema_migrations';
+
+// Añade una columna si no existe (MySQL no admite ADD COLUMN IF NOT EXISTS)
+async function addColumnIfMissing(connection, table, column, definition) {
+    const [rows] = await connection.query(
+        `SELECT 1 FROM information_schema.columns
+         WHERE table_schema = DATABASE() AND table_name = ? AND column_name = ?`,
+        [table, column]
+    );
+    if (rows.length === 0) {
+        await connection.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+}
+
+// Las tablas users, chat_messages y friends pueden existir ya (las comparte la
+// aplicación principal): por eso se crean con IF NOT EXISTS y las columnas
+// nuevas se añaden aparte.
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'esquema inicial',
+        statements: [
+            `CREATE TABLE IF NOT EXISTS users (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                username VARCHAR(50) NOT NULL,
+                is_online BOOLEAN NOT NULL DEFAULT FALSE,
+                last_seen DATETIME NULL
+            )`,
+            `CREATE TABLE IF NOT EXISTS chat_messages (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                sender_id INT NOT NULL,
+                receiver_id INT NOT NULL,
+                message TEXT NOT NULL,
+                is_read BOOLEAN NOT NULL DEFAULT FALSE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_chat_messages_receiver (receiver_id, is_read),
+                INDEX idx_chat_messages_pair (sender_id, receiver_id)
+            )`,
+            `CREATE TABLE IF NOT EXISTS friends (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                user_id INT NOT NULL,
+                friend_id INT NOT NULL,
+                status ENUM('pending', 'accepted') NOT NULL DEFAULT 'pending',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_friends_user (user_id),
+                INDEX idx_friends_friend (friend_id)
+            )`
+        ]
+    },
+    {
+        version: 2,
+        name: 'confirmaciones de entrega',
+        run: connection => addColumnIfMissing(connection, 'chat_messages', 'is_delivered', 'BOOLEAN NOT NULL DEFAULT FALSE')
+    },
+    {
+        version: 3,
+        name: 'invitaciones a watch party',
+        statements: [
+            `CREATE TABLE IF NOT EXISTS watch_party_invites (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                sender_id INT NOT NULL,
+                receiver_id INT NOT NULL,
+                room_code VARCHAR(64) NOT NULL,
+                room_name VARCHAR(100) NULL,
+                status ENUM('pending', 'accepted', 'declined') NOT NULL DEFAULT 'pending',
+                sender_notified BOOLEAN NOT NULL DEFAULT FALSE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                expires_at DATETIME NOT NULL,
+                responded_at DATETIME NULL,
+                INDEX idx_watch_party_invites_receiver (receiver_id, status),
+                INDEX idx_watch_party_invites_sender (sender_id, sender_notified)
+            )`
+        ]
+    },
+    {
+        version: 4,
+        name: 'grupos',
+        statements: [
+            `CREATE TABLE IF NOT EXISTS chat_groups (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                name VARCHAR(100) NOT NULL,
+                created_by INT NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )`,
+            `CREATE TABLE IF NOT EXISTS chat_group_members (
+                group_id INT NOT NULL,
+                user_id INT NOT NULL,
+                role ENUM('admin', 'member') NOT NULL DEFAULT 'member',
+                last_read_message_id INT NOT NULL DEFAULT 0,
+                joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (group_id, user_id),
+                INDEX idx_chat_group_members_user (user_id)
+            )`,
+            `CREATE TABLE IF NOT EXISTS chat_group_messages (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                group_id INT NOT NULL,
+                sender_id INT NOT NULL,
+                message TEXT NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_chat_group_messages_group (group_id, id)
+            )`
+        ]
+    },
+    {
+        version: 5,
+        name: 'bloqueos y privacidad',
+        statements: [
+            `CREATE TABLE IF NOT EXISTS user_blocks (
+                blocker_id INT NOT NULL,
+                blocked_id INT NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (blocker_id, blocked_id),
+                INDEX idx_user_blocks_blocked (blocked_id)
+            )`,
+            `CREATE TABLE IF NOT EXISTS user_privacy_settings (
+                user_id INT PRIMARY KEY,
+                dm_friends_only BOOLEAN NOT NULL DEFAULT FALSE,
+                allow_friend_requests BOOLEAN NOT NULL DEFAULT TRUE,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+            )`
+        ]
+    },
+    {
+        version: 6,
+        name: 'modo invisible',
+        run: connection => addColumnIfMissing(connection, 'user_privacy_settings', 'invisible', 'BOOLEAN NOT NULL DEFAULT FALSE')
+    }
+];
+
+const DEFAULT_PRIVACY_SETTINGS = { dm_friends_only: false, allow_friend_requests: true, invisible: false };
+
+async function migrate(pool) {
+    const connection = await pool.getConnection();
+    try {
+        const [[{ locked }]] = await connection.query('SELECT GET_LOCK(?, 30) AS locked', [MIGRATION_LOCK]);
+        if (locked !== 1) throw new Error('No se pudo obtener el bloqueo de migraciones');
+
+        try {
+            await connection.query(
+                `CREATE TABLE IF NOT EXISTS schema_migrations (
+                    version INT PRIMARY KEY,
+                    name VARCHAR(100) NOT NULL,
+                    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )`
+            );
+            const [[{ current }]] = await connection.query(
+                'SELECT COALESCE(MAX(version), 0) AS current FROM schema_migrations'
+            );
+
+            for (const migration of MIGRATIONS.filter(m => m.version > current)) {
+                for (const statement of migration.statements || []) {
+                    await connection.query(statement);
+                }
+                if (migration.run) await migration.run(connection);
+                await connection.query(
+                    'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+                    [migration.version, migration.name]
+                );
+                console.log(`🗄️ Migración ${migration.version} aplicada: ${migration.name}`);
+            }
+        } finally {
+            await connection.query('SELECT RELEASE_LOCK(?)', [MIGRATION_LOCK]);
+        }
+    } finally {
+        connection.release();
+    }
+}
+
+function placeholders(values) {
+    return values.map(() => '?').join(', ');
+}
+
+function createMysqlChatStore({ host, user, password, database, port, connectionLimit = 10 }) {
+    const pool = mysql.createPool({
+        host,
+        user,
+        password,
+        database,
+        port,
+        waitForConnections: true,
+        connectionLimit,
+        queueLimit: 0
+    });
+
+    // Cifras de respaldo por si cambian los campos internos del pool que lee stats().
+    // El pool no avisa cuando cierra una conexión ni cuando atiende a alguien de la
+    // cola, así que estas cuentas son aproximadas y la cola queda sin cifra.
+    const poolEvents = { connections: 0, inUse: 0 };
+    pool.on('connection', () => { poolEvents.connections++; });
+    pool.on('acquire', () => { poolEvents.inUse++; });
+    pool.on('release', () => { poolEvents.inUse = Math.max(poolEvents.inUse - 1, 0); });
+
+    async function execute(sql, params = []) {
+        const [result] = await pool.execute(sql, params);
+        return result;
+    }
+
+    async function first(sql, params) {
+        return (await execute(sql, params))[0] || null;
+    }
+
+    // Ejecuta fn(connection) dentro de una transacción; si falla, la deshace
+    async function transaction(fn) {
+        const connection = await pool.getConnection();
+        try {
+            await connection.beginTransaction();
+            const result = await fn(connection);
+            await connection.commit();
+            return result;
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    async function getGroupMembers(groupIds) {
+        if (groupIds.length === 0) return [];
+        return execute(
+            `SELECT m.group_id, m.user_id, m.role, u.username
+             FROM chat_group_members m
+             JOIN users u ON u.id = m.user_id
+             WHERE m.group_id IN (${placeholders(groupIds)})
+             ORDER BY m.joined_at ASC, m.user_id ASC`,
+            groupIds
+        );
+    }
+
+    return {
+        name: 'mysql',
+
+        async init() {
+            await migrate(pool);
+        },
+
+        // ---------- Usuarios ----------
+        // La tabla users es de la aplicación: el usuario del token ya existe en ella
+        async registerUser() {},
+
+        async setUserOnline({ id }, isOnline) {
+            await execute('UPDATE users SET is_online = ?, last_seen = NOW() WHERE id = ?', [isOnline ? 1 : 0, id]);
+        },
+
+        async findUser(userId) {
+            return first('SELECT id, username FROM users WHERE id = ?', [userId]);
+        },
+
+        // ---------- Mensajes privados ----------
+        async insertMessage(senderId, receiverId, text) {
+            const result = await execute(
+                'INSERT INTO chat_messages (sender_id, receiver_id, message) VALUES (?, ?, ?)',
+                [senderId, receiverId, text]
+            );
+            return result.insertId;
+        },
+
+        async getUnreadMessages(userId, afterId, limit) {
+            return execute(
+                `SELECT cm.*, u.username as sender_username
+                 FROM chat_messages cm
+                 JOIN users u ON cm.sender_id = u.id
+                 WHERE cm.receiver_id = ? AND cm.is_read = FALSE AND cm.id > ?
+                 ORDER BY cm.id ASC
+                 LIMIT ${limit}`,
+                [userId, afterId]
+            );
+        },
+
+        async markMessages(receiverId, ids, status) {
+            const column = status === 'read' ? 'is_read' : 'is_delivered';
+            // Leído implica entregado
+            const set = status === 'read' ? 'is_read = TRUE, is_delivered = TRUE' : 'is_delivered = TRUE';
+
+            // FOR UPDATE bloquea las filas hasta el commit: si dos conexiones marcan los
+            // mismos mensajes a la vez, la segunda ya no los ve pendientes y no repite el aviso
+            return transaction(async connection => {
+                const [rows] = await connection.execute(
+                    `SELECT id, sender_id FROM chat_messages
+                     WHERE receiver_id = ? AND ${column} = FALSE AND id IN (${placeholders(ids)})
+                     FOR UPDATE`,
+                    [receiverId, ...ids]
+                );
+                if (rows.length === 0) return [];
+
+                await connection.execute(
+                    `UPDATE chat_messages SET ${set} WHERE ${column} = FALSE AND id IN (${placeholders(rows)})`,
+                    rows.map(row => row.id)
+                );
+                return rows;
+            });
+        },
+
+        async getConversation(userId, otherUserId, { before, after, limit }) {
+            const conditions = ['((sender_id = ? AND receiver_id = ?) OR (sender_id = ? AND receiver_id = ?))'];
+            const params = [userId, otherUserId, otherUserId, userId];
+            if (before !== null) {
+                conditions.push('id < ?');
+                params.push(before);
+            }
+            if (after !== null) {
+                conditions.push('id > ?');
+                params.push(after);
+            }
+
+            return execute(
+                `SELECT * FROM chat_messages
+                 WHERE ${conditions.join(' AND ')}
+                 ORDER BY id ${after !== null ? 'ASC' : 'DESC'}
+                 LIMIT ${limit}`,
+                params
+            );
+        },
+
+        async getConversationList(userId) {
+            const lastMessages = await execute(
+                `SELECT cm.*, last.contact_id, u.username AS contact_username
+                 FROM (
+                     SELECT CASE WHEN sender_id = ? THEN receiver_id ELSE sender_id END AS contact_id, MAX(id) AS last_id
+                     FROM chat_messages
+                     WHERE sender_id = ? OR receiver_id = ?
+                     GROUP BY contact_id
+                 ) last
+                 JOIN chat_messages cm ON cm.id = last.last_id
+                 JOIN users u ON u.id = last.contact_id
+                 ORDER BY cm.id DESC`,
+                [userId, userId, userId]
+            );
+
+            const unreadCounts = await execute(
+                `SELECT sender_id, COUNT(*) AS unread
+                 FROM chat_messages
+                 WHERE receiver_id = ? AND is_read = FALSE
+                 GROUP BY sender_id`,
+                [userId]
+            );
+            const unreadBySender = new Map(unreadCounts.map(row => [row.sender_id, Number(row.unread)]));
+
+            return lastMessages.map(({ contact_id, contact_username, ...last }) => ({
+                contact_id,
+                contact_username,
+                unread_count: unreadBySender.get(contact_id) || 0,
+                last
+            }));
+        },
+
+        // ---------- Amistades ----------
+        async findFriendship(userId, otherUserId) {
+            return first(
+                `SELECT * FROM friends WHERE ${PAIR_CONDITION} LIMIT 1`,
+                [userId, otherUserId, otherUserId, userId]
+            );
+        },
+
+        async createFriendRequest(senderId, receiverId) {
+            // El NOT EXISTS evita duplicados si ambos se envían la solicitud a la vez
+            const result = await execute(
+                `INSERT INTO friends (user_id, friend_id, status)
+                 SELECT ?, ?, 'pending' FROM DUAL
+                 WHERE NOT EXISTS (SELECT 1 FROM friends WHERE ${PAIR_CONDITION})`,
+                [senderId, receiverId, senderId, receiverId, receiverId, senderId]
+            );
+            return result.affectedRows > 0 ? result.insertId : null;
+        },
+
+        async findPendingRequest({ id, senderId }, receiverId) {
+            return id
+                ? first(`SELECT * FROM friends WHERE id = ? AND friend_id = ? AND status = 'pending'`, [id, receiverId])
+                : first(`SELECT * FROM friends WHERE user_id = ? AND friend_id = ? AND status = 'pending'`, [senderId, receiverId]);
+        },
+
+        async acceptFriendRequest(id) {
+            const result = await execute(`UPDATE friends SET status = 'accepted' WHERE id = ? AND status = 'pending'`, [id]);
+            return result.affectedRows > 0;
+        },
+
+        async deleteFriendRequest(id) {
+            const result = await execute(`DELETE FROM friends WHERE id = ? AND status = 'pending'`, [id]);
+            return result.affectedRows > 0;
+        },
+
+        async removeFriendship(userId, otherUserId) {
+            const result = await execute(
+                `DELETE FROM friends WHERE ${PAIR_CONDITION} AND status = 'accepted'`,
+                [userId, otherUserId, otherUserId, userId]
+            );
+            return result.affectedRows > 0;
+        },
+
+        async listFriendships(userId) {
+            return execute(
+                `SELECT f.id, f.user_id, f.friend_id, f.status, f.created_at,
+                        u.id AS other_id, u.username, u.last_seen
+                 FROM friends f
+                 JOIN users u ON u.id = CASE WHEN f.user_id = ? THEN f.friend_id ELSE f.user_id END
+                 WHERE f.user_id = ? OR f.friend_id = ?
+                 ORDER BY u.username ASC`,
+                [userId, userId, userId]
+            );
+        },
+
+        async getFriendIds(userId, candidateIds) {
+            if (candidateIds.length === 0) return new Set();
+            const rows = await execute(
+                `SELECT CASE WHEN user_id = ? THEN friend_id ELSE user_id END AS id
+                 FROM friends
+                 WHERE status = 'accepted'
+                   AND ((user_id = ? AND friend_id IN (${placeholders(candidateIds)}))
+                     OR (friend_id = ? AND user_id IN (${placeholders(candidateIds)})))`,
+                [userId, userId, ...candidateIds, userId, ...candidateIds]
+            );
+            return new Set(rows.map(row => row.id));
+        },
+
+        async getPendingFriendRequests(userId, limit) {
+            return execute(
+                `SELECT fr.*, u.username as sender_username
+                 FROM friends fr
+                 JOIN users u ON fr.user_id = u.id
+                 WHERE fr.friend_id = ? AND fr.status = 'pending'
+                 ORDER BY fr.created_at DESC
+                 LIMIT ${limit}`,
+                [userId]
+            );
+        },
+
+        // ---------- Bloqueos y privacidad ----------
+        async blockUser(blockerId, blockedId) {
+            const result = await execute(
+                'INSERT IGNORE INTO user_blocks (blocker_id, blocked_id) VALUES (?, ?)',
+                [blockerId, blockedId]
+            );
+            // Bloquear rompe la amistad o la solicitud pendiente entre ambos
+            await execute(`DELETE FROM friends WHERE ${PAIR_CONDITION}`, [blockerId, blockedId, blockedId, blockerId]);
+            return result.affectedRows > 0;
+        },
+
+        async unblockUser(blockerId, blockedId) {
+            const result = await execute(
+                'DELETE FROM user_blocks WHERE blocker_id = ? AND blocked_id = ?',
+                [blockerId, blockedId]
+            );
+            return result.affectedRows > 0;
+        },
+
+        async isBlocked(blockerId, blockedId) {
+            return Boolean(await first(
+                'SELECT 1 FROM user_blocks WHERE blocker_id = ? AND blocked_id = ?',
+                [blockerId, blockedId]
+            ));
+        },
+
+        async getBlockerIds(userId, candidateIds) {
+            if (candidateIds.length === 0) return new Set();
+            const rows = await execute(
+                `SELECT blocker_id FROM user_blocks
+                 WHERE blocked_id = ? AND blocker_id IN (${placeholders(candidateIds)})`,
+                [userId, ...candidateIds]
+            );
+            return new Set(rows.map(row => row.blocker_id));
+        },
+
+        async getBlockedUsers(userId) {
+            return execute(
+                `SELECT b.blocked_id, b.created_at, u.username
+                 FROM user_blocks b
+                 LEFT JOIN users u ON u.id = b.blocked_id
+                 WHERE b.blocker_id = ?
+                 ORDER BY b.created_at DESC`,
+                [userId]
+            );
+        },
+
+        async getPrivacySettings(userId) {
+            const row = await first(
+                'SELECT dm_friends_only, allow_friend_requests, invisible FROM user_privacy_settings WHERE user_id = ?',
+                [userId]
+            );
+            if (!row) return { ...DEFAULT_PRIVACY_SETTINGS };
+            return {
+                dm_friends_only: Boolean(row.dm_friends_only),
+                allow_friend_requests: Boolean(row.allow_friend_requests),
+                invisible: Boolean(row.invisible)
+            };
+        },
+
+        async setPrivacySettings(userId, changes) {
+            const settings = { ...await this.getPrivacySettings(userId), ...changes };
+            await execute(
+                `INSERT INTO user_privacy_settings (user_id, dm_friends_only, allow_friend_requests, invisible)
+                 VALUES (?, ?, ?, ?)
+                 ON DUPLICATE KEY UPDATE dm_friends_only = VALUES(dm_friends_only),
+                                         allow_friend_requests = VALUES(allow_friend_requests),
+                                         invisible = VALUES(invisible)`,
+                [userId, settings.dm_friends_only ? 1 : 0, settings.allow_friend_requests ? 1 : 0, settings.invisible ? 1 : 0]
+            );
+            return settings;
+        },
+
+        // ---------- Grupos ----------
+        async createGroup(name, createdBy, members) {
+            const result = await execute('INSERT INTO chat_groups (name, created_by) VALUES (?, ?)', [name, createdBy]);
+            await this.addGroupMembers(result.insertId, members);
+            return result.insertId;
+        },
+
+        async getGroup(groupId) {
+            const group = await first('SELECT * FROM chat_groups WHERE id = ?', [groupId]);
+            if (!group) return null;
+            const members = await getGroupMembers([groupId]);
+            return { ...group, members: members.map(({ group_id, ...member }) => member) };
+        },
+
+        // Los nuevos miembros empiezan a leer desde el último mensaje del grupo
+        async addGroupMembers(groupId, members) {
+            const { last_id: lastId } = await first(
+                'SELECT COALESCE(MAX(id), 0) AS last_id FROM chat_group_messages WHERE group_id = ?',
+                [groupId]
+            );
+            await execute(
+                `INSERT INTO chat_group_members (group_id, user_id, role, last_read_message_id)
+                 VALUES ${members.map(() => '(?, ?, ?, ?)').join(', ')}`,
+                members.flatMap(({ userId, role }) => [groupId, userId, role, lastId])
+            );
+        },
+
+        async removeGroupMember(groupId, userId) {
+            await execute('DELETE FROM chat_group_members WHERE group_id = ? AND user_id = ?', [groupId, userId]);
+        },
+
+        async deleteGroup(groupId) {
+            await execute('DELETE FROM chat_group_messages WHERE group_id = ?', [groupId]);
+            await execute('DELETE FROM chat_group_members WHERE group_id = ?', [groupId]);
+            await execute('DELETE FROM chat_groups WHERE id = ?', [groupId]);
+        },
+
+        async renameGroup(groupId, name) {
+            await execute('UPDATE chat_groups SET name = ? WHERE id = ?', [name, groupId]);
+        },
+
+        async setGroupRole(groupId, userId, role) {
+            await execute('UPDATE chat_group_members SET role = ? WHERE group_id = ? AND user_id = ?', [role, groupId, userId]);
+        },
+
+        async insertGroupMessage(groupId, senderId, text) {
+            const result = await execute(
+                'INSERT INTO chat_group_messages (group_id, sender_id, message) VALUES (?, ?, ?)',
+                [groupId, senderId, text]
+            );
+            return result.insertId;
+        },
+
+        async markGroupRead(groupId, userId, messageId) {
+            // Un id mayor que el último mensaje del grupo dejaría como leídos los que lleguen después
+            await execute(
+                `UPDATE chat_group_members
+                 SET last_read_message_id = GREATEST(last_read_message_id, LEAST(?,
+                     (SELECT COALESCE(MAX(id), 0) FROM chat_group_messages WHERE group_id = ?)))
+                 WHERE group_id = ? AND user_id = ?`,
+                [messageId, groupId, groupId, userId]
+            );
+        },
+
+        async listGroups(userId) {
+            const groups = await execute(
+                `SELECT g.*,
+                        (SELECT COUNT(*) FROM chat_group_messages gm
+                         WHERE gm.group_id = g.id AND gm.id > m.last_read_message_id AND gm.sender_id != ?) AS unread_count
+                 FROM chat_groups g
+                 JOIN chat_group_members m ON m.group_id = g.id AND m.user_id = ?
+                 ORDER BY g.name ASC`,
+                [userId, userId]
+            );
+            const members = await getGroupMembers(groups.map(group => group.id));
+
+            return groups.map(group => ({
+                ...group,
+                unread_count: Number(group.unread_count),
+                members: members.filter(member => member.group_id === group.id).map(({ group_id, ...member }) => member)
+            }));
+        },
+
+        async getUnreadGroupMessages(userId, afterId, limit) {
+            return execute(
+                `SELECT gm.*, u.username AS sender_username
+                 FROM chat_group_messages gm
+                 JOIN chat_group_members m ON m.group_id = gm.group_id AND m.user_id = ?
+                 JOIN users u ON u.id = gm.sender_id
+                 WHERE gm.id > m.last_read_message_id AND gm.sender_id != ? AND gm.id > ?
+                 ORDER BY gm.id ASC
+                 LIMIT ${limit}`,
+                [userId, userId, afterId]
+            );
+        },
+
+        // ---------- Invitaciones a watch party ----------
+        async createWatchPartyInvite({ senderId, receiverId, roomCode, roomName, ttlSeconds }) {
+            const result = await execute(
+                `INSERT INTO watch_party_invites (sender_id, receiver_id, room_code, room_name, expires_at)
+                 VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))`,
+                [senderId, receiverId, roomCode, roomName, ttlSeconds]
+            );
+            return result.insertId;
+        },
+
+        async findWatchPartyInvite(id, receiverId) {
+            return first('SELECT * FROM watch_party_invites WHERE id = ? AND receiver_id = ?', [id, receiverId]);
+        },
+
+        async answerWatchPartyInvite(id, status) {
+            // La condición sobre status evita que dos pestañas respondan a la vez
+            const result = await execute(
+                `UPDATE watch_party_invites SET status = ?, responded_at = NOW()
+                 WHERE id = ? AND status = 'pending'`,
+                [status, id]
+            );
+            return result.affectedRows > 0;
+        },
+
+        async markInviteResponseNotified(id) {
+            await execute('UPDATE watch_party_invites SET sender_notified = TRUE WHERE id = ?', [id]);
+        },
+
+        async getPendingWatchPartyInvites(userId, limit) {
+            return execute(
+                `SELECT wpi.*, u.username as sender_username
+                 FROM watch_party_invites wpi
+                 JOIN users u ON wpi.sender_id = u.id
+                 WHERE wpi.receiver_id = ? AND wpi.status = 'pending' AND wpi.expires_at > NOW()
+                 ORDER BY wpi.created_at DESC
+                 LIMIT ${limit}`,
+                [userId]
+            );
+        },
+
+        async getActiveWatchPartyInvites(userId, otherId) {
+            return execute(
+                `SELECT * FROM watch_party_invites
+                 WHERE ((sender_id = ? AND receiver_id = ?) OR (sender_id = ? AND receiver_id = ?))
+                   AND expires_at > NOW()`,
+                [userId, otherId, otherId, userId]
+            );
+        },
+
+        async getUnnotifiedInviteResponses(senderId) {
+            return execute(
+                `SELECT wpi.*, u.username as receiver_username
+                 FROM watch_party_invites wpi
+                 JOIN users u ON wpi.receiver_id = u.id
+                 WHERE wpi.sender_id = ? AND wpi.status != 'pending' AND wpi.sender_notified = FALSE
+                 ORDER BY wpi.responded_at ASC`,
+                [senderId]
+            );
+        },
+
+        // mysql2 no expone estas cifras públicamente: se leen del pool interno mientras
+        // existan sus campos, y si no se estiman con los eventos del pool
+        stats() {
+            const internal = pool.pool || {};
+            const size = field => typeof internal[field]?.length === 'number' ? internal[field].length : null;
+
+            const total = size('_allConnections') ?? Math.min(poolEvents.connections, connectionLimit);
+            return {
+                total,
+                idle: size('_freeConnections') ?? Math.max(total - poolEvents.inUse, 0),
+                queued: size('_connectionQueue')
+            };
+        },
+
+        async close() {
+            await pool.end();
+        }
+    };
+}
+
+module.exports = { createMysqlChatStore, MIGRATIONS };
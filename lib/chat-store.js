@@ -0,0 +1,75 @@
+const { createMysqlChatStore } = require('./chat-store-mysql');
+const { createMemoryChatStore } = require('./chat-store-memory');
+
+// ==================== ALMACENAMIENTO DEL CHAT ====================
+// chat-server.js no conoce la base de datos: todo pasa por esta interfaz asíncrona.
+// Las filas mantienen los nombres de columna de MySQL (sender_id, created_at...).
+//   init()                                             -> crea o migra el esquema
+// Usuarios
+//   registerUser({ id, username })                     -> da a conocer al usuario del token,
+//                                                         esté o no visible en línea
+//   setUserOnline({ id, username }, isOnline)
+//   findUser(userId)                                   -> { id, username } | null
+// Mensajes privados
+//   insertMessage(senderId, receiverId, text)          -> id
+//   getUnreadMessages(userId, afterId, limit)          -> [fila + sender_username], por id ascendente
+//   markMessages(receiverId, ids, 'delivered'|'read')  -> [{ id, sender_id }] de los que cambiaron
+//   getConversation(userId, otherId, { before, after, limit })
+//                                                      -> [fila], descendente salvo con after
+//   getConversationList(userId)                        -> [{ contact_id, contact_username, unread_count, last }]
+// Amistades (user_id envía la solicitud, friend_id la recibe)
+//   findFriendship(userId, otherId)                    -> fila | null, en cualquier sentido
+//   createFriendRequest(senderId, receiverId)          -> id | null si ya hay relación
+//   findPendingRequest({ id } | { senderId }, receiverId) -> fila | null
+//   acceptFriendRequest(id) / deleteFriendRequest(id)  -> bool, solo si seguía pendiente
+//   removeFriendship(userId, otherId)                  -> bool, solo amistades aceptadas
+//   listFriendships(userId)                            -> [fila + other_id, username, last_seen]
+//   getFriendIds(userId, candidateIds)                 -> Set de los que son amigos
+//   getPendingFriendRequests(userId, limit)            -> [fila + sender_username]
+// Bloqueos y privacidad
+//   blockUser(blockerId, blockedId)                    -> bool, false si ya estaba bloqueado;
+//                                                         borra la amistad o solicitud entre ambos
+//   unblockUser(blockerId, blockedId)                  -> bool
+//   isBlocked(blockerId, blockedId)                    -> bool
+//   getBlockerIds(userId, candidateIds)                -> Set de los que han bloqueado a userId
+//   getBlockedUsers(userId)                            -> [{ blocked_id, username, created_at }]
+//   getPrivacySettings(userId)                         -> { dm_friends_only, allow_friend_requests, invisible }
+//   setPrivacySettings(userId, cambios)                -> ajustes resultantes
+// Grupos (members: [{ userId, role }])
+//   createGroup(name, createdBy, members)              -> id
+//   getGroup(groupId)                                  -> { ...grupo, members: [{ user_id, role, username }] } | null
+//   addGroupMembers(groupId, members) / removeGroupMember(groupId, userId) / deleteGroup(groupId)
+//   renameGroup(groupId, name) / setGroupRole(groupId, userId, role)
+//   insertGroupMessage(groupId, senderId, text)        -> id
+//   markGroupRead(groupId, userId, messageId)          -> sin pasar del último mensaje del grupo
+//   listGroups(userId)                                 -> [{ ...grupo, unread_count, members }]
+//   getUnreadGroupMessages(userId, afterId, limit)     -> [fila + sender_username]
+// Invitaciones a watch party
+//   createWatchPartyInvite({ senderId, receiverId, roomCode, roomName, ttlSeconds }) -> id
+//   findWatchPartyInvite(id, receiverId)               -> fila | null
+//   answerWatchPartyInvite(id, status)                 -> bool, solo si seguía pendiente
+//   markInviteResponseNotified(id)
+//   getPendingWatchPartyInvites(userId, limit)         -> [fila + sender_username]
+//   getActiveWatchPartyInvites(userId, otherId)        -> [fila] sin expirar entre ambos, en cualquier sentido
+//   getUnnotifiedInviteResponses(senderId)             -> [fila + receiver_username]
+// Otros
+//   stats()                                            -> { total, idle, queued } del pool (queued puede ser null), o null
+//   close()
+
+// Selecciona el backend según la configuración (CHAT_STORE=mysql|memory)
+function createChatStore({ type = 'mysql', mysql = {}, memory = {} } = {}) {
+    switch (type) {
+        case 'mysql':
+            return createMysqlChatStore(mysql);
+        case 'memory':
+            return createMemoryChatStore(memory);
+        default:
+            throw new Error(`Backend de almacenamiento del chat desconocido: ${type}`);
+    }
+}
+
+module.exports = {
+    createChatStore,
+    createMysqlChatStore,
+    createMemoryChatStore
+};
@@ -0,0 +1,170 @@
+const { EventEmitter } = require('events');
+
+// ==================== ADAPTADOR DE CLÚSTER ====================
+// Reparte eventos de sala entre instancias y guarda estado compartido con expiración.
+// Todos los backends exponen la misma interfaz:
+//   publish(event)             -> difunde el evento a las DEMÁS instancias
+//   subscribe(handler)         -> handler(event) por cada evento de otra instancia
+//   set(key, value, ttlMs)     -> guarda un valor JSON con expiración
+//   get(key)                   -> valor o null
+//   getAll(prefix)             -> [valor] de todas las claves con ese prefijo
+//   del(key)
+//   close()
+// Cada evento publicado lleva `origin` con el id de la instancia que lo emitió.
+
+// Bus y almacén compartidos por todos los adaptadores locales del proceso
+const localBus = new EventEmitter();
+localBus.setMaxListeners(0);
+const localStore = new Map(); // key -> { value, expiresAt }
+
+// Backend por defecto: una sola instancia (o varias dentro del mismo proceso)
+function createLocalAdapter({ instanceId, bus = localBus, store = localStore }) {
+    const handlers = [];
+    const listener = (event) => {
+        if (event.origin === instanceId) return;
+        handlers.forEach(handler => handler(event));
+    };
+    bus.on('event', listener);
+
+    function read(key) {
+        const entry = store.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            store.delete(key);
+            return null;
+        }
+        return entry.value;
+    }
+
+    return {
+        name: 'local',
+        async publish(event) {
+            // Asíncrono como en Redis: el emisor nunca recibe el evento dentro de su propia pila
+            setImmediate(() => bus.emit('event', { ...event, origin: instanceId }));
+        },
+        subscribe(handler) {
+            handlers.push(handler);
+        },
+        async set(key, value, ttlMs) {
+            store.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+        },
+        async get(key) {
+            return read(key);
+        },
+        async getAll(prefix) {
+            return Array.from(store.keys())
+                .filter(key => key.startsWith(prefix))
+                .map(read)
+                .filter(value => value !== null);
+        },
+        async del(key) {
+            store.delete(key);
+        },
+        async close() {
+            bus.off('event', listener);
+        }
+    };
+}
+
+// Backend Redis: PUBLISH/SUBSCRIBE para eventos y SET PX / SCAN / MGET para el estado.
+// Solo usa comandos básicos, así que cualquier servidor compatible con Redis sirve
+// (incluido uno local para pruebas). `createClient` permite inyectar otro cliente.
+const SCAN_COUNT = 200; // claves examinadas por llamada a SCAN
+
+function createRedisAdapter({ instanceId, url, prefix = 'watch-party', createClient }) {
+    const connect = createClient || (() => {
+        const Redis = require('ioredis');
+        return new Redis(url);
+    });
+    const pub = connect();
+    const sub = connect();
+    const channel = `${prefix}:events`;
+    const handlers = [];
+
+    sub.subscribe(channel).catch(error => {
+        console.error('❌ No se pudo suscribir al canal de Redis:', error);
+    });
+    sub.on('message', (receivedChannel, data) => {
+        if (receivedChannel !== channel) return;
+        let event;
+        try {
+            event = JSON.parse(data);
+        } catch (error) {
+            console.error('❌ Evento de clúster ilegible:', error);
+            return;
+        }
+        if (event.origin === instanceId) return;
+        handlers.forEach(handler => handler(event));
+    });
+
+    [pub, sub].forEach(client => client.on('error', error => {
+        console.error('❌ Error en Redis:', error.message);
+    }));
+
+    const fullKey = (key) => `${prefix}:${key}`;
+
+    // SCAN recorre el espacio de claves por tandas sin bloquear Redis (KEYS sí lo
+    // bloquea). Puede devolver una clave más de una vez, de ahí el Set.
+    async function scanKeys(keyPrefix) {
+        const pattern = `${fullKey(keyPrefix).replace(/[*?[\]\\]/g, '\\$&')}*`;
+        const keys = new Set();
+        let cursor = '0';
+        do {
+            const [next, batch] = await pub.scan(cursor, 'MATCH', pattern, 'COUNT', SCAN_COUNT);
+            batch.forEach(key => keys.add(key));
+            cursor = next;
+        } while (cursor !== '0');
+        return Array.from(keys);
+    }
+
+    return {
+        name: 'redis',
+        async publish(event) {
+            await pub.publish(channel, JSON.stringify({ ...event, origin: instanceId }));
+        },
+        subscribe(handler) {
+            handlers.push(handler);
+        },
+        async set(key, value, ttlMs) {
+            if (ttlMs) {
+                await pub.set(fullKey(key), JSON.stringify(value), 'PX', ttlMs);
+            } else {
+                await pub.set(fullKey(key), JSON.stringify(value));
+            }
+        },
+        async get(key) {
+            const data = await pub.get(fullKey(key));
+            return data ? JSON.parse(data) : null;
+        },
+        async getAll(keyPrefix) {
+            const keys = await scanKeys(keyPrefix);
+            if (keys.length === 0) return [];
+            const values = await pub.mget(...keys);
+            return values.filter(Boolean).map(data => JSON.parse(data));
+        },
+        async del(key) {
+            await pub.del(fullKey(key));
+        },
+        async close() {
+            await Promise.all([pub.quit(), sub.quit()]);
+        }
+    };
+}
+
+// Selecciona el backend según la configuración (CLUSTER_ADAPTER=local|redis)
+function createClusterAdapter({ type = 'local', instanceId, url, prefix } = {}) {
+    switch (type) {
+        case 'redis':
+            return createRedisAdapter({ instanceId, url, prefix });
+        case 'local':
+            return createLocalAdapter({ instanceId });
+        default:
+            throw new Error(`Adaptador de clúster desconocido: ${type}`);
+    }
+}
+
+module.exports = {
+    createClusterAdapter,
+    createLocalAdapter,
+    createRedisAdapter
+};
@@ -0,0 +1,87 @@
+// ==================== UTILIDADES HTTP ====================
+// Ayudas para las rutas REST: respuestas JSON, lectura del cuerpo y rutas con parámetros.
+
+const MAX_BODY_SIZE = 64 * 1024; // bytes
+
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-cache', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+// Error con estado HTTP para que el router responda con él
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Lee y parsea un cuerpo JSON. Un cuerpo vacío equivale a {}.
+function readJsonBody(req, maxSize = MAX_BODY_SIZE) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > maxSize) {
+                reject(httpError(413, 'El cuerpo de la petición es demasiado grande'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8').trim();
+            if (!text) {
+                resolve({});
+                return;
+            }
+            try {
+                const body = JSON.parse(text);
+                if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+                    reject(httpError(400, 'El cuerpo debe ser un objeto JSON'));
+                    return;
+                }
+                resolve(body);
+            } catch (error) {
+                reject(httpError(400, 'El cuerpo no es JSON válido'));
+            }
+        });
+
+        req.on('error', reject);
+    });
+}
+
+function decodeParam(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        throw httpError(400, 'Parámetro de ruta mal codificado');
+    }
+}
+
+// Busca la ruta que coincide con el método y la ruta. Las rutas son
+// [método, RegExp, handler]; los grupos de la expresión se devuelven en params.
+function matchRoute(routes, method, pathname) {
+    let pathMatched = false;
+
+    for (const [routeMethod, pattern, handler] of routes) {
+        const match = pathname.match(pattern);
+        if (!match) continue;
+        pathMatched = true;
+        if (routeMethod === method) {
+            return { handler, params: match.slice(1).map(decodeParam) };
+        }
+    }
+
+    // La ruta existe pero no con ese método
+    return pathMatched ? { methodNotAllowed: true } : null;
+}
+
+module.exports = {
+    sendJson,
+    httpError,
+    readJsonBody,
+    matchRoute
+};
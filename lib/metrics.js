@@ -0,0 +1,189 @@
+const { monitorEventLoopDelay } = require('perf_hooks');
+
+// ==================== MÉTRICAS ====================
+// Registro mínimo de métricas en el formato de texto de Prometheus (versión 0.0.4).
+// Contadores, gauges e histogramas con etiquetas; los gauges pueden tener una función
+// `collect` que se ejecuta justo antes de cada lectura de /metrics.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const keys = Object.keys(labels);
+    if (keys.length === 0) return '';
+    return `{${keys.map(key => `${key}="${escapeLabel(labels[key])}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+// Clave estable para una combinación de etiquetas
+function labelKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => labels[name] ?? ''));
+}
+
+function pickLabels(labelNames, labels) {
+    const result = {};
+    labelNames.forEach(name => {
+        result[name] = labels[name] ?? '';
+    });
+    return result;
+}
+
+function createMetricsRegistry() {
+    const metrics = [];
+
+    function register(metric) {
+        metrics.push(metric);
+        return metric;
+    }
+
+    function counter(name, help, labelNames = []) {
+        const values = new Map(); // labelKey -> { labels, value }
+
+        return register({
+            name,
+            help,
+            type: 'counter',
+            inc(labels = {}, value = 1) {
+                const key = labelKey(labelNames, labels);
+                const entry = values.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+                entry.value += value;
+                values.set(key, entry);
+            },
+            samples() {
+                return Array.from(values.values()).map(({ labels, value }) => ({ name: this.name, labels, value }));
+            }
+        });
+    }
+
+    function gauge(name, help, { labelNames = [], collect = null } = {}) {
+        const values = new Map();
+
+        return register({
+            name,
+            help,
+            type: 'gauge',
+            set(labels = {}, value) {
+                values.set(labelKey(labelNames, labels), { labels: pickLabels(labelNames, labels), value });
+            },
+            // Para gauges con `collect` que reconstruyen todas sus series en cada lectura
+            reset() {
+                values.clear();
+            },
+            samples() {
+                if (collect) collect(this);
+                return Array.from(values.values()).map(({ labels, value }) => ({ name: this.name, labels, value }));
+            }
+        });
+    }
+
+    function histogram(name, help, { buckets, labelNames = [] }) {
+        const sorted = buckets.slice().sort((a, b) => a - b);
+        const values = new Map(); // labelKey -> { labels, counts, sum, count }
+
+        return register({
+            name,
+            help,
+            type: 'histogram',
+            observe(labels = {}, value) {
+                const key = labelKey(labelNames, labels);
+                let entry = values.get(key);
+                if (!entry) {
+                    entry = { labels: pickLabels(labelNames, labels), counts: sorted.map(() => 0), sum: 0, count: 0 };
+                    values.set(key, entry);
+                }
+                sorted.forEach((bound, index) => {
+                    if (value <= bound) entry.counts[index]++;
+                });
+                entry.sum += value;
+                entry.count++;
+            },
+            // Devuelve una función que registra los segundos transcurridos al llamarla
+            startTimer(labels = {}) {
+                const start = process.hrtime.bigint();
+                return (extraLabels = {}) => {
+                    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+                    this.observe({ ...labels, ...extraLabels }, seconds);
+                    return seconds;
+                };
+            },
+            samples() {
+                const result = [];
+                values.forEach(({ labels, counts, sum, count }) => {
+                    sorted.forEach((bound, index) => {
+                        result.push({ name: `${this.name}_bucket`, labels: { ...labels, le: formatValue(bound) }, value: counts[index] });
+                    });
+                    result.push({ name: `${this.name}_bucket`, labels: { ...labels, le: '+Inf' }, value: count });
+                    result.push({ name: `${this.name}_sum`, labels, value: sum });
+                    result.push({ name: `${this.name}_count`, labels, value: count });
+                });
+                return result;
+            }
+        });
+    }
+
+    function render() {
+        return metrics.map(metric => {
+            const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+            metric.samples().forEach(sample => {
+                lines.push(`${sample.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+            });
+            return lines.join('\n');
+        }).join('\n') + '\n';
+    }
+
+    return { counter, gauge, histogram, render, contentType: CONTENT_TYPE };
+}
+
+// Retraso del bucle de eventos medido por Node (perf_hooks). Cada lectura informa
+// de la ventana desde la anterior. El histograma incluye el propio intervalo de
+// muestreo, que se descuenta.
+function trackEventLoopLag(registry, resolution = 20) {
+    const monitor = monitorEventLoopDelay({ resolution });
+    monitor.enable();
+
+    const read = (pick) => () => {
+        const nanoseconds = pick(monitor) - resolution * 1e6;
+        return Number.isFinite(nanoseconds) ? Math.max(0, nanoseconds) / 1e9 : 0;
+    };
+    const lag = {
+        mean: read(m => m.mean),
+        p99: read(m => m.percentile(99)),
+        max: read(m => m.max)
+    };
+
+    registry.gauge('nodejs_eventloop_lag_seconds', 'Retraso medio del bucle de eventos', {
+        collect: gauge => gauge.set({}, lag.mean())
+    });
+    registry.gauge('nodejs_eventloop_lag_p99_seconds', 'Percentil 99 del retraso del bucle de eventos', {
+        collect: gauge => gauge.set({}, lag.p99())
+    });
+    registry.gauge('nodejs_eventloop_lag_max_seconds', 'Retraso máximo del bucle de eventos', {
+        collect: gauge => {
+            gauge.set({}, lag.max());
+            // El último gauge en leerse reinicia la ventana
+            monitor.reset();
+        }
+    });
+
+    return monitor;
+}
+
+// /metrics puede protegerse con un token (Authorization: Bearer <token>)
+function isMetricsRequestAllowed(req, token) {
+    if (!token) return true;
+    return req.headers.authorization === `Bearer ${token}`;
+}
+
+module.exports = {
+    createMetricsRegistry,
+    trackEventLoopLag,
+    isMetricsRequestAllowed
+};
@@ -0,0 +1,573 @@
+const { validate } = require('./schema');
+
+// ==================== PROTOCOLO WATCH PARTY ====================
+// Esquemas (JSON Schema draft-07) de todos los mensajes de /watch-party, por versión.
+// El cliente anuncia las versiones que entiende en la query (?protocol=1,2) y el
+// servidor responde en `connected` con la elegida. Para generar tipos en el frontend:
+//   npm run export-schema > watch-party-protocol.json
+
+const PROTOCOL_VERSION = 1;
+const SUPPORTED_VERSIONS = [1];
+
+// ==================== FRAGMENTOS COMUNES ====================
+const ROLE = { type: 'string', enum: ['viewer', 'member', 'cohost', 'host'] };
+const USER_ID = { type: ['string', 'integer'], pattern: '^[A-Za-z0-9_-]{1,64}$' };
+const VIDEO_ID = { type: ['string', 'integer'], pattern: '^[A-Za-z0-9_-]{1,64}$' };
+const TIMESTAMP = { type: 'integer', minimum: 0 };
+const CURRENT_TIME = { type: 'number', minimum: 0, maximum: 7 * 24 * 60 * 60 };
+const REASON = { type: 'string', maxLength: 200 };
+const ITEM_ID = { type: 'integer', minimum: 1 };
+const MESSAGE_ID = { type: 'integer', minimum: 1 };
+const EMOJI = { type: 'string', minLength: 1, maxLength: 32 };
+
+const POLICIES = {
+    type: 'object',
+    properties: {
+        playback: ROLE,
+        chat: ROLE,
+        change_video: ROLE,
+        queue_add: ROLE,
+        polls: ROLE,
+        default_role: { type: 'string', enum: ['viewer', 'member', 'cohost'] }
+    },
+    additionalProperties: false
+};
+
+const PLAYER_STATE = { type: 'string', enum: ['buffering', 'ready', 'ended'] };
+
+const WAIT_MODE = {
+    type: 'object',
+    properties: {
+        enabled: { type: 'boolean' },
+        quorum: { type: 'number', minimum: 0.1, maximum: 1 } // fracción de participantes que debe estar lista
+    },
+    required: ['enabled', 'quorum']
+};
+
+const PARTICIPANT = {
+    type: 'object',
+    properties: {
+        user_id: USER_ID,
+        username: { type: 'string' },
+        isHost: { type: 'boolean' },
+        role: ROLE,
+        joined_at: TIMESTAMP,
+        last_seen: TIMESTAMP,
+        player_state: { type: ['string', 'null'], enum: ['buffering', 'ready', 'ended', null] },
+        disconnected_at: { type: ['integer', 'null'] } // esperando reconexión desde este instante
+    },
+    required: ['user_id', 'username', 'isHost', 'role']
+};
+
+const CHAT_MESSAGE = {
+    type: 'object',
+    properties: {
+        id: { type: 'integer' },
+        type: { const: 'chat_message' },
+        user_id: USER_ID,
+        username: { type: 'string' },
+        message: { type: 'string' },
+        reply_to: { type: ['integer', 'null'] },
+        edited_at: TIMESTAMP,
+        deleted: { type: 'boolean' },
+        deleted_by: USER_ID,
+        deleted_at: TIMESTAMP,
+        reactions: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    emoji: { type: 'string' },
+                    count: { type: 'integer' },
+                    user_ids: { type: 'array', items: USER_ID }
+                },
+                required: ['emoji', 'count']
+            }
+        },
+        timestamp: TIMESTAMP
+    },
+    required: ['id', 'user_id', 'username', 'message', 'timestamp']
+};
+
+const QUEUE = {
+    type: 'object',
+    properties: {
+        current_video_id: { type: ['string', 'integer', 'null'] },
+        current_item_id: { type: ['integer', 'null'] },
+        items: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    id: ITEM_ID,
+                    video_id: VIDEO_ID,
+                    title: { type: ['string', 'null'] },
+                    added_by: USER_ID,
+                    added_by_username: { type: 'string' },
+                    added_at: TIMESTAMP
+                },
+                required: ['id', 'video_id', 'added_by', 'added_at']
+            }
+        }
+    },
+    required: ['items']
+};
+
+const INVITE = {
+    type: 'object',
+    properties: {
+        code: { type: 'string' },
+        created_by: USER_ID,
+        created_at: TIMESTAMP,
+        expires_at: TIMESTAMP,
+        max_uses: { type: ['integer', 'null'] },
+        uses: { type: 'integer' }
+    },
+    required: ['code', 'expires_at', 'max_uses', 'uses']
+};
+
+const POLL = {
+    type: 'object',
+    properties: {
+        id: ITEM_ID,
+        kind: { type: 'string', enum: ['poll', 'skip', 'seek'] },
+        question: { type: 'string' },
+        options: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: { id: { type: 'integer' }, text: { type: 'string' }, votes: { type: 'integer' } },
+                required: ['id', 'text', 'votes']
+            }
+        },
+        total_votes: { type: 'integer' },
+        voters: { type: 'array', items: USER_ID },
+        required_votes: { type: 'integer' }, // solo skip y seek
+        target_time: CURRENT_TIME, // solo seek
+        created_by: USER_ID,
+        created_by_username: { type: 'string' },
+        created_at: TIMESTAMP,
+        closes_at: TIMESTAMP,
+        closed: { type: 'boolean' },
+        result: {
+            type: ['object', 'null'],
+            properties: {
+                outcome: { type: 'string', enum: ['winner', 'no_winner', 'passed', 'failed'] },
+                option_id: { type: 'integer' }
+            }
+        }
+    },
+    required: ['id', 'kind', 'question', 'options', 'total_votes', 'closes_at', 'closed']
+};
+
+const PLAYBACK_STATE = {
+    current_time: CURRENT_TIME,
+    is_playing: { type: 'boolean' },
+    video_id: { type: ['string', 'integer', 'null'] },
+    server_time: TIMESTAMP,
+    start_at: TIMESTAMP // inicio coordinado pendiente: la posición no avanza hasta entonces
+};
+
+// Mensaje con `type` fijo; el resto de campos se declara en `properties`
+function message(type, properties = {}, required = []) {
+    return {
+        type: 'object',
+        properties: { type: { const: type }, ...properties },
+        required: ['type', ...required]
+    };
+}
+
+// ==================== VERSIÓN 1 ====================
+const INBOUND_V1 = {
+    join: message('join', {
+        create: { type: 'boolean' },
+        room_name: { type: 'string', maxLength: 100 },
+        video_id: VIDEO_ID,
+        max_participants: { type: 'integer', minimum: 1, maximum: 50 },
+        is_private: { type: 'boolean' },
+        policies: POLICIES,
+        invite_code: { type: 'string', maxLength: 32 },
+        invite_token: { type: 'string', maxLength: 1024 },
+        resume_token: { type: 'string', maxLength: 64 },
+        last_message_id: { type: 'integer', minimum: 0 }
+    }),
+    chat_message: message('chat_message', {
+        message: { type: 'string', minLength: 1, maxLength: 1000 },
+        reply_to: MESSAGE_ID
+    }, ['message']),
+    edit_message: message('edit_message', {
+        message_id: MESSAGE_ID,
+        message: { type: 'string', minLength: 1, maxLength: 1000 }
+    }, ['message_id', 'message']),
+    delete_message: message('delete_message', { message_id: MESSAGE_ID }, ['message_id']),
+    add_reaction: message('add_reaction', { message_id: MESSAGE_ID, emoji: EMOJI }, ['message_id', 'emoji']),
+    remove_reaction: message('remove_reaction', { message_id: MESSAGE_ID, emoji: EMOJI }, ['message_id', 'emoji']),
+    playback_update: message('playback_update', {
+        current_time: CURRENT_TIME,
+        is_playing: { type: 'boolean' },
+        event_type: { type: 'string', maxLength: 32 }
+    }, ['current_time', 'is_playing']),
+    player_state: message('player_state', {
+        state: PLAYER_STATE,
+        current_time: CURRENT_TIME
+    }, ['state']),
+    set_wait_mode: message('set_wait_mode', {
+        enabled: { type: 'boolean' },
+        quorum: WAIT_MODE.properties.quorum
+    }, ['enabled']),
+    create_poll: message('create_poll', {
+        question: { type: 'string', minLength: 1, maxLength: 200 },
+        options: { type: 'array', maxItems: 10, items: { type: 'string', maxLength: 100 } },
+        duration: { type: 'integer', minimum: 10, maximum: 60 * 60 }
+    }, ['question', 'options']),
+    start_vote: message('start_vote', {
+        kind: { type: 'string', enum: ['skip', 'seek'] },
+        target_time: CURRENT_TIME,
+        duration: { type: 'integer', minimum: 10, maximum: 60 * 60 }
+    }, ['kind']),
+    poll_vote: message('poll_vote', {
+        poll_id: ITEM_ID,
+        option_id: { type: 'integer', minimum: 0 }
+    }, ['poll_id', 'option_id']),
+    close_poll: message('close_poll', { poll_id: ITEM_ID }, ['poll_id']),
+    participants_request: message('participants_request'),
+    sync_request: message('sync_request'),
+    time_sync: message('time_sync', {
+        client_time: { type: 'number' }
+    }, ['client_time']),
+    leave: message('leave'),
+    create_invite: message('create_invite', {
+        expires_in: { type: 'integer', minimum: 60, maximum: 7 * 24 * 60 * 60 },
+        max_uses: { type: 'integer', minimum: 1, maximum: 1000 },
+        single_use: { type: 'boolean' }
+    }),
+    list_invites: message('list_invites'),
+    revoke_invite: message('revoke_invite', {
+        code: { type: 'string', maxLength: 32 }
+    }, ['code']),
+    set_role: message('set_role', {
+        user_id: USER_ID,
+        role: ROLE
+    }, ['user_id', 'role']),
+    update_policies: message('update_policies', {
+        policies: POLICIES
+    }, ['policies']),
+    change_video: message('change_video', {
+        video_id: VIDEO_ID
+    }, ['video_id']),
+    queue_add: message('queue_add', {
+        video_id: VIDEO_ID,
+        title: { type: 'string', maxLength: 200 }
+    }, ['video_id']),
+    queue_remove: message('queue_remove', {
+        item_id: ITEM_ID
+    }, ['item_id']),
+    queue_move: message('queue_move', {
+        item_id: ITEM_ID,
+        to_index: { type: 'integer', minimum: 0 }
+    }, ['item_id', 'to_index']),
+    queue_skip: message('queue_skip'),
+    video_ended: message('video_ended', {
+        video_id: VIDEO_ID,
+        // Obligatorio si el video vino de la cola (queue.current_item_id)
+        item_id: ITEM_ID
+    }, ['video_id']),
+    kick: message('kick', { user_id: USER_ID, reason: REASON }, ['user_id']),
+    ban: message('ban', { user_id: USER_ID, reason: REASON }, ['user_id']),
+    unban: message('unban', { user_id: USER_ID }, ['user_id']),
+    mute: message('mute', {
+        user_id: USER_ID,
+        duration: { type: 'integer', minimum: 1, maximum: 24 * 60 * 60 },
+        reason: REASON
+    }, ['user_id']),
+    unmute: message('unmute', { user_id: USER_ID }, ['user_id']),
+    slow_mode: message('slow_mode', {
+        seconds: { type: 'integer', minimum: 0, maximum: 10 * 60 }
+    }, ['seconds'])
+};
+
+const OUTBOUND_V1 = {
+    connected: message('connected', {
+        message: { type: 'string' },
+        room: { type: 'string' },
+        user: { type: 'object', properties: { id: USER_ID, username: { type: 'string' } } },
+        protocol_version: { type: 'integer' },
+        supported_versions: { type: 'array', items: { type: 'integer' } }
+    }, ['room', 'user', 'protocol_version']),
+    error: message('error', {
+        code: { type: 'string' },
+        message: { type: 'string' },
+        action: { type: 'string' },
+        reason: { type: 'string' },
+        until: TIMESTAMP,
+        retry_after: { type: 'integer' },
+        errors: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: { field: { type: 'string' }, message: { type: 'string' } },
+                required: ['field', 'message']
+            }
+        }
+    }, ['message']),
+    room_joined: message('room_joined', {
+        room: {
+            type: 'object',
+            properties: {
+                room_code: { type: 'string' },
+                room_name: { type: 'string' },
+                host_user_id: USER_ID,
+                host_username: { type: 'string' },
+                video_id: { type: ['string', 'integer', 'null'] },
+                max_participants: { type: 'integer' },
+                is_private: { type: 'boolean' },
+                video_current_time: CURRENT_TIME,
+                is_playing: { type: 'boolean' },
+                policies: POLICIES,
+                queue: QUEUE,
+                wait_mode: WAIT_MODE,
+                polls: { type: 'array', items: POLL },
+                created_at: TIMESTAMP
+            },
+            required: ['room_code', 'host_user_id', 'is_playing']
+        },
+        user: {
+            type: 'object',
+            properties: { id: USER_ID, username: { type: 'string' }, isHost: { type: 'boolean' }, role: ROLE }
+        },
+        resume_token: { type: 'string' },
+        resumed: { type: 'boolean' }
+    }, ['room', 'user']),
+    session_resumed: message('session_resumed', {
+        room_code: { type: 'string' },
+        last_message_id: { type: 'integer' },
+        // chat_message (con su estado actual), playback_update y video_changed perdidos, en orden
+        missed_events: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: { id: { type: 'integer' }, type: { type: 'string' } },
+                required: ['id', 'type']
+            }
+        },
+        timestamp: TIMESTAMP
+    }, ['missed_events']),
+    user_joined: message('user_joined', {
+        user_id: USER_ID, username: { type: 'string' }, isHost: { type: 'boolean' }, role: ROLE, timestamp: TIMESTAMP
+    }, ['user_id', 'username']),
+    user_left: message('user_left', {
+        user_id: USER_ID, username: { type: 'string' }, timestamp: TIMESTAMP
+    }, ['user_id']),
+    participants_update: message('participants_update', {
+        participants: { type: 'array', items: PARTICIPANT }
+    }, ['participants']),
+    participants_list: message('participants_list', {
+        participants: { type: 'array', items: PARTICIPANT }
+    }, ['participants']),
+    chat_history: message('chat_history', {
+        messages: { type: 'array', items: CHAT_MESSAGE }
+    }, ['messages']),
+    chat_message: CHAT_MESSAGE,
+    chat_message_edited: message('chat_message_edited', {
+        id: { type: 'integer' },
+        message_id: MESSAGE_ID,
+        user_id: USER_ID,
+        message: { type: 'string' },
+        edited_at: TIMESTAMP,
+        timestamp: TIMESTAMP
+    }, ['id', 'message_id', 'message']),
+    chat_message_deleted: message('chat_message_deleted', {
+        id: { type: 'integer' },
+        message_id: MESSAGE_ID,
+        deleted_by: USER_ID,
+        timestamp: TIMESTAMP
+    }, ['id', 'message_id']),
+    chat_reaction_updated: message('chat_reaction_updated', {
+        id: { type: 'integer' },
+        message_id: MESSAGE_ID,
+        emoji: { type: 'string' },
+        action: { type: 'string', enum: ['add', 'remove'] },
+        user_id: USER_ID,
+        count: { type: 'integer', minimum: 0 },
+        user_ids: { type: 'array', items: USER_ID },
+        timestamp: TIMESTAMP
+    }, ['id', 'message_id', 'emoji', 'count']),
+    system_message: message('system_message', {
+        message: { type: 'string' }, announcement: { type: 'boolean' }, timestamp: TIMESTAMP
+    }, ['message']),
+    playback_update: message('playback_update', {
+        id: { type: 'integer' },
+        user_id: { type: ['string', 'integer', 'null'] },
+        username: { type: ['string', 'null'] },
+        event_type: { type: 'string' },
+        current_time: CURRENT_TIME,
+        is_playing: { type: 'boolean' },
+        server_time: TIMESTAMP,
+        start_at: TIMESTAMP,
+        // Solo en waiting_for_ready y auto_pause
+        pending: {
+            type: 'object',
+            properties: {
+                ready: { type: 'integer' },
+                required: { type: 'integer' },
+                waiting_for: { type: 'array', items: USER_ID }
+            },
+            required: ['ready', 'required', 'waiting_for']
+        },
+        timestamp: TIMESTAMP
+    }, ['current_time', 'is_playing']),
+    poll_created: message('poll_created', { poll: POLL, timestamp: TIMESTAMP }, ['poll']),
+    poll_updated: message('poll_updated', { poll: POLL, timestamp: TIMESTAMP }, ['poll']),
+    poll_closed: message('poll_closed', {
+        poll: POLL,
+        reason: { type: 'string', enum: ['expired', 'closed', 'passed', 'rejected'] },
+        timestamp: TIMESTAMP
+    }, ['poll', 'reason']),
+    player_state_updated: message('player_state_updated', {
+        user_id: USER_ID, username: { type: 'string' }, state: PLAYER_STATE, timestamp: TIMESTAMP
+    }, ['user_id', 'state']),
+    wait_mode_updated: message('wait_mode_updated', { wait_mode: WAIT_MODE, timestamp: TIMESTAMP }, ['wait_mode']),
+    playback_sync: message('playback_sync', { ...PLAYBACK_STATE, timestamp: TIMESTAMP }, ['current_time', 'is_playing', 'server_time']),
+    sync_tick: message('sync_tick', PLAYBACK_STATE, ['current_time', 'is_playing', 'server_time']),
+    time_sync_response: message('time_sync_response', {
+        client_time: { type: 'number' },
+        server_receive_time: TIMESTAMP,
+        server_send_time: TIMESTAMP
+    }, ['server_receive_time', 'server_send_time']),
+    invite_created: message('invite_created', {
+        room_code: { type: 'string' }, invite: INVITE
+    }, ['invite']),
+    invites_list: message('invites_list', {
+        room_code: { type: 'string' }, invites: { type: 'array', items: INVITE }
+    }, ['invites']),
+    invite_revoked: message('invite_revoked', {
+        room_code: { type: 'string' }, code: { type: 'string' }, revoked: { type: 'boolean' }
+    }, ['code', 'revoked']),
+    role_changed: message('role_changed', {
+        user_id: USER_ID,
+        username: { type: 'string' },
+        role: ROLE,
+        previous_role: ROLE,
+        changed_by: USER_ID,
+        host_user_id: USER_ID,
+        timestamp: TIMESTAMP
+    }, ['user_id', 'role']),
+    policies_updated: message('policies_updated', { policies: POLICIES, timestamp: TIMESTAMP }, ['policies']),
+    video_changed: message('video_changed', {
+        id: { type: 'integer' },
+        video_id: VIDEO_ID,
+        item_id: { type: ['integer', 'null'] },
+        user_id: { type: ['string', 'integer', 'null'] },
+        username: { type: ['string', 'null'] },
+        reason: { type: 'string', enum: ['manual', 'skip', 'ended'] },
+        is_playing: { type: 'boolean' },
+        server_time: TIMESTAMP,
+        timestamp: TIMESTAMP
+    }, ['video_id']),
+    queue_updated: message('queue_updated', { queue: QUEUE, timestamp: TIMESTAMP }, ['queue']),
+    user_kicked: message('user_kicked', {
+        user_id: USER_ID, username: { type: ['string', 'null'] }, reason: REASON, timestamp: TIMESTAMP
+    }, ['user_id']),
+    kicked: message('kicked', { room_code: { type: 'string' }, reason: REASON, timestamp: TIMESTAMP }),
+    user_banned: message('user_banned', {
+        user_id: USER_ID, username: { type: ['string', 'null'] }, reason: REASON, timestamp: TIMESTAMP
+    }, ['user_id']),
+    banned: message('banned', { room_code: { type: 'string' }, reason: REASON, timestamp: TIMESTAMP }),
+    room_closed: message('room_closed', {
+        room_code: { type: 'string' }, reason: REASON, timestamp: TIMESTAMP
+    }, ['room_code']),
+    user_unbanned: message('user_unbanned', { user_id: USER_ID, timestamp: TIMESTAMP }, ['user_id']),
+    user_muted: message('user_muted', {
+        user_id: USER_ID, username: { type: ['string', 'null'] }, reason: REASON, until: TIMESTAMP, timestamp: TIMESTAMP
+    }, ['user_id', 'until']),
+    user_unmuted: message('user_unmuted', { user_id: USER_ID, timestamp: TIMESTAMP }, ['user_id']),
+    slow_mode_updated: message('slow_mode_updated', { seconds: { type: 'integer' }, timestamp: TIMESTAMP }, ['seconds']),
+    rate_limited: message('rate_limited', {
+        level: { type: 'string', enum: ['warning', 'throttled'] },
+        message_type: { type: ['string', 'null'] },
+        retry_after: { type: 'integer' },
+        message: { type: 'string' }
+    }, ['level']),
+    server_draining: message('server_draining', {
+        message: { type: 'string' },
+        retry_after: { type: 'integer' },
+        reconnect_url: { type: 'string' },
+        timestamp: TIMESTAMP
+    }, ['retry_after'])
+};
+
+const SCHEMAS = {
+    1: { inbound: INBOUND_V1, outbound: OUTBOUND_V1 }
+};
+
+// ==================== API ====================
+// Elige la versión más alta que entienden ambos lados. Sin preferencia del cliente,
+// la actual; si no hay ninguna en común, null.
+function negotiateVersion(requested) {
+    if (!requested) return PROTOCOL_VERSION;
+
+    const versions = String(requested)
+        .split(',')
+        .map(v => parseInt(v.trim()))
+        .filter(v => SUPPORTED_VERSIONS.includes(v));
+
+    return versions.length > 0 ? Math.max(...versions) : null;
+}
+
+function validateMessage(direction, message, version = PROTOCOL_VERSION) {
+    if (message === null || typeof message !== 'object' || Array.isArray(message)) {
+        return [{ field: 'mensaje', message: 'debe ser un objeto JSON' }];
+    }
+    if (typeof message.type !== 'string') {
+        return [{ field: 'type', message: 'es obligatorio' }];
+    }
+
+    // Solo tipos propios: 'constructor' o '__proto__' no son mensajes del protocolo
+    const schemas = SCHEMAS[version][direction];
+    const schema = Object.prototype.hasOwnProperty.call(schemas, message.type) ? schemas[message.type] : null;
+    if (!schema) {
+        return [{ field: 'type', message: `no es un tipo conocido (${message.type})` }];
+    }
+
+    return validate(schema, message);
+}
+
+function validateInbound(message, version) {
+    return validateMessage('inbound', message, version);
+}
+
+function validateOutbound(message, version) {
+    return validateMessage('outbound', message, version);
+}
+
+// Documento JSON Schema con todas las versiones, para generar tipos en el frontend
+function exportSchemas() {
+    const versions = {};
+    SUPPORTED_VERSIONS.forEach(version => {
+        versions[version] = {
+            inbound: SCHEMAS[version].inbound,
+            outbound: SCHEMAS[version].outbound
+        };
+    });
+
+    return {
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        title: 'Watch Party WebSocket protocol',
+        current_version: PROTOCOL_VERSION,
+        supported_versions: SUPPORTED_VERSIONS,
+        versions
+    };
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    SUPPORTED_VERSIONS,
+    negotiateVersion,
+    validateInbound,
+    validateOutbound,
+    exportSchemas
+};
+
+if (require.main === module) {
+    process.stdout.write(JSON.stringify(exportSchemas(), null, 2) + '\n');
+}
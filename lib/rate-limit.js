@@ -0,0 +1,235 @@
+// ==================== LÍMITES DE TASA ====================
+// Cubetas de tokens por conexión y por usuario, configurables por tipo de mensaje,
+// con escalado progresivo: aviso -> limitación temporal -> desconexión.
+
+function createTokenBucket({ capacity, refill }) {
+    let tokens = capacity;
+    let lastRefill = Date.now();
+
+    return {
+        take() {
+            const now = Date.now();
+            tokens = Math.min(capacity, tokens + ((now - lastRefill) / 1000) * refill);
+            lastRefill = now;
+
+            if (tokens < 1) return false;
+            tokens -= 1;
+            return true;
+        },
+        // Segundos hasta que vuelva a haber un token
+        retryAfter() {
+            return tokens >= 1 ? 0 : Math.ceil((1 - tokens) / refill);
+        },
+        isFull() {
+            return tokens + ((Date.now() - lastRefill) / 1000) * refill >= capacity;
+        }
+    };
+}
+
+// Mezcla los límites por defecto con los de la variable de entorno (JSON por tipo de mensaje)
+function parseLimits(defaults, json) {
+    if (!json) return defaults;
+    try {
+        return { ...defaults, ...JSON.parse(json) };
+    } catch (error) {
+        console.error('❌ RATE_LIMITS no es JSON válido, se usan los límites por defecto');
+        return defaults;
+    }
+}
+
+// limits: { [tipo]: { capacity, refill } } con una entrada 'default' para el resto
+function createRateLimiter({
+    limits,
+    warnings = 3,          // infracciones que solo generan aviso
+    maxStrikes = 8,        // infracciones tras las que se desconecta
+    throttleMs = 10000,    // duración de la limitación temporal
+    strikeDecayMs = 60000  // sin infracciones en este tiempo, el contador vuelve a cero
+}) {
+    const userStates = new Map(); // userId -> { buckets, lastUsed }
+
+    function getBucket(buckets, type) {
+        // Solo claves propias: 'constructor' o '__proto__' no pueden sacar una cubeta del prototipo
+        const key = Object.prototype.hasOwnProperty.call(limits, type) ? type : 'default';
+        if (!buckets.has(key)) {
+            buckets.set(key, createTokenBucket(limits[key]));
+        }
+        return buckets.get(key);
+    }
+
+    function getUserState(userId) {
+        let state = userStates.get(userId);
+        if (!state) {
+            state = { buckets: new Map(), lastUsed: Date.now() };
+            userStates.set(userId, state);
+        }
+        state.lastUsed = Date.now();
+        return state;
+    }
+
+    // Olvidar usuarios inactivos con las cubetas llenas
+    const pruneInterval = setInterval(() => {
+        const threshold = Date.now() - 10 * 60 * 1000;
+        userStates.forEach((state, userId) => {
+            const idle = state.lastUsed < threshold;
+            if (idle && Array.from(state.buckets.values()).every(bucket => bucket.isFull())) {
+                userStates.delete(userId);
+            }
+        });
+    }, 60000);
+    pruneInterval.unref();
+
+    function registerStrike(connection, now, forcedAction, retryAfter) {
+        if (now - connection.lastStrikeAt > strikeDecayMs) {
+            connection.strikes = 0;
+        }
+        connection.strikes++;
+        connection.lastStrikeAt = now;
+
+        if (connection.strikes >= maxStrikes) {
+            return { action: 'disconnect', retryAfter };
+        }
+        if (forcedAction) {
+            return { action: forcedAction, retryAfter };
+        }
+        if (connection.strikes > warnings) {
+            connection.throttledUntil = now + throttleMs;
+            return { action: 'throttle', retryAfter: Math.ceil(throttleMs / 1000) };
+        }
+        return { action: 'warn', retryAfter };
+    }
+
+    return {
+        // Estado por conexión; se guarda junto al socket
+        createConnectionState() {
+            return { buckets: new Map(), strikes: 0, lastStrikeAt: 0, throttledUntil: 0 };
+        },
+
+        // Devuelve { action: 'allow' | 'warn' | 'throttle' | 'throttled' | 'disconnect', retryAfter }
+        check(connection, userId, type) {
+            const now = Date.now();
+
+            if (connection.throttledUntil > now) {
+                return registerStrike(connection, now, 'throttled', Math.ceil((connection.throttledUntil - now) / 1000));
+            }
+
+            const connectionBucket = getBucket(connection.buckets, type);
+            const userBucket = getBucket(getUserState(userId).buckets, type);
+            // Ambas cubetas se consumen siempre para que varias conexiones no sumen cupo
+            const connectionOk = connectionBucket.take();
+            const userOk = userBucket.take();
+            if (connectionOk && userOk) {
+                return { action: 'allow' };
+            }
+
+            const retryAfter = Math.max(connectionBucket.retryAfter(), userBucket.retryAfter());
+            return registerStrike(connection, now, null, retryAfter);
+        }
+    };
+}
+
+// Aplica el veredicto del limitador a un socket. Devuelve true si el mensaje puede procesarse.
+function enforceRateLimit(limiter, ws, connection, userId, type, closeCode) {
+    const verdict = limiter.check(connection, userId, type);
+
+    const notify = (payload) => {
+        try {
+            if (ws.readyState === 1) ws.send(JSON.stringify(payload));
+        } catch (error) {
+            console.error('No se pudo enviar aviso de límite de tasa:', error);
+        }
+    };
+
+    switch (verdict.action) {
+        case 'allow':
+            return true;
+
+        case 'warn':
+            notify({
+                type: 'rate_limited',
+                level: 'warning',
+                message_type: type,
+                retry_after: verdict.retryAfter,
+                message: 'Estás enviando mensajes demasiado rápido'
+            });
+            break;
+
+        case 'throttle':
+            notify({
+                type: 'rate_limited',
+                level: 'throttled',
+                message_type: type,
+                retry_after: verdict.retryAfter,
+                message: `Tus mensajes se ignorarán durante ${verdict.retryAfter} segundos`
+            });
+            break;
+
+        case 'disconnect':
+            console.warn(`🚫 Usuario ${userId} desconectado por exceso de mensajes`);
+            ws.close(closeCode, 'Demasiados mensajes');
+            break;
+
+        // 'throttled': se descarta en silencio, el cliente ya fue avisado
+    }
+
+    return false;
+}
+
+// ==================== CONEXIONES POR IP ====================
+function createConnectionLimiter({ maxPerIp }) {
+    const counts = new Map(); // ip -> conexiones abiertas
+
+    return {
+        acquire(ip) {
+            const count = counts.get(ip) || 0;
+            if (count >= maxPerIp) return false;
+            counts.set(ip, count + 1);
+            return true;
+        },
+        release(ip) {
+            const count = (counts.get(ip) || 1) - 1;
+            if (count <= 0) {
+                counts.delete(ip);
+            } else {
+                counts.set(ip, count);
+            }
+        }
+    };
+}
+
+// verifyClient de ws que reserva una plaza para la IP antes de delegar en `verify`.
+// La plaza se libera cuando se cierra el socket TCP, sea cual sea el resultado: una
+// conexión rechazada, un upgrade que falla después de verificar o un WebSocket que
+// se cierra con normalidad.
+function limitConnections(limiter, verify, { trustProxy = false } = {}) {
+    return (info, done) => {
+        const ip = getClientIp(info.req, trustProxy);
+        if (!limiter.acquire(ip)) {
+            console.warn(`🚫 Demasiadas conexiones desde ${ip}`);
+            done(false, 429, 'Demasiadas conexiones');
+            return;
+        }
+
+        info.req.socket.once('close', () => limiter.release(ip));
+        verify(info, done);
+    };
+}
+
+// Detrás de un proxy (Render) la IP real llega en X-Forwarded-For; solo se confía
+// en esa cabecera si se configura, porque el cliente puede falsificarla.
+function getClientIp(req, trustProxy = false) {
+    if (trustProxy) {
+        const forwarded = req.headers['x-forwarded-for'];
+        if (forwarded) return forwarded.split(',')[0].trim();
+    }
+    return req.socket.remoteAddress;
+}
+
+module.exports = {
+    createTokenBucket,
+    createRateLimiter,
+    createConnectionLimiter,
+    limitConnections,
+    enforceRateLimit,
+    getClientIp,
+    parseLimits
+};
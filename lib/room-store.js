@@ -0,0 +1,92 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// ==================== ALMACENAMIENTO DE SALAS ====================
+// Todos los backends exponen la misma interfaz asíncrona:
+//   loadAll()               -> [snapshot]
+//   save(roomCode, snapshot)
+//   remove(roomCode)
+//   close()
+
+// Backend por defecto: no persiste nada (comportamiento original)
+function createMemoryRoomStore() {
+    const snapshots = new Map();
+
+    return {
+        name: 'memory',
+        async loadAll() {
+            return Array.from(snapshots.values());
+        },
+        async save(roomCode, snapshot) {
+            snapshots.set(roomCode, snapshot);
+        },
+        async remove(roomCode) {
+            snapshots.delete(roomCode);
+        },
+        async close() {}
+    };
+}
+
+// Un archivo JSON por sala. La escritura va a un temporal y luego se renombra
+// para que un corte a mitad de escritura no deje un snapshot corrupto.
+function createFileRoomStore(directory) {
+    const fileFor = (roomCode) => path.join(directory, `${encodeURIComponent(roomCode)}.json`);
+    let ready = null;
+
+    function ensureDirectory() {
+        if (!ready) ready = fs.mkdir(directory, { recursive: true });
+        return ready;
+    }
+
+    return {
+        name: 'file',
+        async loadAll() {
+            await ensureDirectory();
+            const files = (await fs.readdir(directory)).filter(f => f.endsWith('.json'));
+            const snapshots = [];
+
+            for (const file of files) {
+                try {
+                    snapshots.push(JSON.parse(await fs.readFile(path.join(directory, file), 'utf8')));
+                } catch (error) {
+                    console.error(`❌ Snapshot de sala ilegible (${file}):`, error.message);
+                }
+            }
+
+            return snapshots;
+        },
+        async save(roomCode, snapshot) {
+            await ensureDirectory();
+            const target = fileFor(roomCode);
+            const temp = `${target}.${process.pid}.tmp`;
+            await fs.writeFile(temp, JSON.stringify(snapshot));
+            await fs.rename(temp, target);
+        },
+        async remove(roomCode) {
+            try {
+                await fs.unlink(fileFor(roomCode));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        },
+        async close() {}
+    };
+}
+
+// Selecciona el backend según la configuración (ROOM_STORE=memory|file)
+function createRoomStore({ type = 'memory', directory } = {}) {
+    switch (type) {
+        case 'file':
+            return createFileRoomStore(directory || path.join(process.cwd(), 'data', 'rooms'));
+        case 'memory':
+            return createMemoryRoomStore();
+        default:
+            throw new Error(`Backend de persistencia desconocido: ${type}`);
+    }
+}
+
+module.exports = {
+    createRoomStore,
+    createMemoryRoomStore,
+    createFileRoomStore
+};
@@ -0,0 +1,111 @@
+// ==================== VALIDACIÓN DE ESQUEMAS ====================
+// Validador de un subconjunto de JSON Schema (draft-07): type, enum, const,
+// minimum/maximum, minLength/maxLength, pattern, properties, required,
+// additionalProperties, items y maxItems. Suficiente para los mensajes del
+// protocolo y mantiene los esquemas exportables tal cual.
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        default:
+            return typeOf(value) === type;
+    }
+}
+
+function hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function describeType(type) {
+    return Array.isArray(type) ? type.join(' o ') : type;
+}
+
+// Devuelve una lista de errores { field, message }; vacía si el valor es válido
+function validate(schema, value, field = '') {
+    const errors = [];
+    const name = field || 'mensaje';
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push({ field: name, message: `debe ser de tipo ${describeType(schema.type)}` });
+            return errors;
+        }
+    }
+
+    if (schema.const !== undefined && value !== schema.const) {
+        errors.push({ field: name, message: `debe ser ${JSON.stringify(schema.const)}` });
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ field: name, message: `debe ser uno de: ${schema.enum.join(', ')}` });
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ field: name, message: `debe ser mayor o igual que ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ field: name, message: `debe ser menor o igual que ${schema.maximum}` });
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ field: name, message: `debe tener al menos ${schema.minLength} caracteres` });
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ field: name, message: `debe tener como máximo ${schema.maxLength} caracteres` });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ field: name, message: 'tiene un formato inválido' });
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ field: name, message: `debe tener como máximo ${schema.maxItems} elementos` });
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validate(schema.items, item, `${name}[${index}]`));
+            });
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push({ field: field ? `${field}.${key}` : key, message: 'es obligatorio' });
+            }
+        });
+
+        Object.keys(value).forEach(key => {
+            const childField = field ? `${field}.${key}` : key;
+            if (hasOwn(properties, key)) {
+                if (value[key] !== undefined) {
+                    errors.push(...validate(properties[key], value[key], childField));
+                }
+            } else if (schema.additionalProperties === false) {
+                errors.push({ field: childField, message: 'no está permitido' });
+            } else if (typeOf(schema.additionalProperties) === 'object') {
+                errors.push(...validate(schema.additionalProperties, value[key], childField));
+            }
+        });
+    }
+
+    return errors;
+}
+
+module.exports = { validate };
@@ -1,17 +1,127 @@
 const WebSocket = require('ws');
 const http = require('http');
 const url = require('url');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const { verifyClient, handleProtocols, authenticateAdmin, verifyRoomInviteToken, getRoomInviteRevocationKey } = require('./lib/auth');
+const { createRoomStore } = require('./lib/room-store');
+const { createClusterAdapter } = require('./lib/cluster-adapter');
+const { SUPPORTED_VERSIONS, negotiateVersion, validateInbound, validateOutbound, exportSchemas } = require('./lib/protocol');
+const { createRateLimiter, createConnectionLimiter, limitConnections, enforceRateLimit, parseLimits } = require('./lib/rate-limit');
+const { createMetricsRegistry, trackEventLoopLag, isMetricsRequestAllowed } = require('./lib/metrics');
+const { sendJson, httpError, readJsonBody, matchRoute } = require('./lib/http');
 
 // ==================== CONFIGURACIÓN ====================
 const PORT = process.env.PORT || 10000;
+const SYNC_TICK_INTERVAL = parseInt(process.env.SYNC_TICK_INTERVAL) || 5000; // ms entre ticks de sincronización
+const QUEUE_MAX_LENGTH = 100;
+const ROOM_STORE = process.env.ROOM_STORE || 'file'; // file | memory (memory no sobrevive a un reinicio)
+const ROOM_STORE_PATH = process.env.ROOM_STORE_PATH; // directorio para el backend file
+const PERSIST_INTERVAL = parseInt(process.env.PERSIST_INTERVAL) || 10000; // ms entre snapshots
+const INSTANCE_ID = process.env.INSTANCE_ID || uuidv4();
+const CLUSTER_ADAPTER = process.env.CLUSTER_ADAPTER || 'local'; // local | redis
+const REDIS_URL = process.env.REDIS_URL;
+const CLUSTER_STATS_INTERVAL = 5000; // ms entre publicaciones de estadísticas de la instancia
+const CLUSTER_STATS_TTL = 15000; // una instancia que no publica en este tiempo se da por caída
+const CLUSTER_ROOM_TTL = 30000;
+const KICK_CLOSE_CODE = 4010; // expulsado de la sala
+const BAN_CLOSE_CODE = 4011; // vetado en la sala
+const MAX_MUTE_DURATION = 24 * 60 * 60; // segundos
+const MAX_SLOW_MODE = 10 * 60; // segundos entre mensajes
+const MAX_MESSAGE_SIZE = parseInt(process.env.MAX_MESSAGE_SIZE) || 16 * 1024; // bytes por frame
+const MAX_CONNECTIONS_PER_IP = parseInt(process.env.MAX_CONNECTIONS_PER_IP) || 10;
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true'; // usar X-Forwarded-For para la IP del cliente
+const RATE_LIMIT_CLOSE_CODE = 4029;
+const PROTOCOL_CLOSE_CODE = 4005; // sin versión de protocolo en común
+const RECONNECT_GRACE_PERIOD = parseInt(process.env.RECONNECT_GRACE_PERIOD ?? 30000); // ms que se guarda el sitio tras un corte (0 = desactivado)
+const SESSION_REPLACED_CLOSE_CODE = 4012; // la sesión se reanudó desde otra conexión
+const ROOM_CLOSED_CLOSE_CODE = 4013; // sala cerrada por un administrador
+const VALIDATE_OUTBOUND = process.env.VALIDATE_OUTBOUND === 'true'; // registrar mensajes salientes que no cumplen su esquema
+const METRICS_TOKEN = process.env.METRICS_TOKEN; // si se define, /metrics exige Authorization: Bearer <token>
+// Cubetas por tipo de mensaje: capacity = ráfaga máxima, refill = mensajes por segundo.
+// Se pueden sobreescribir con RATE_LIMITS='{"chat_message":{"capacity":3,"refill":0.5}}'
+const RATE_LIMITS = parseLimits({
+    chat_message: { capacity: 5, refill: 1 },
+    playback_update: { capacity: 10, refill: 4 },
+    time_sync: { capacity: 10, refill: 2 },
+    default: { capacity: 20, refill: 5 }
+}, process.env.RATE_LIMITS);
+const COORDINATED_START_DELAY = parseInt(process.env.COORDINATED_START_DELAY) || 1500; // ms de margen para que todos reciban la orden de inicio
+const WAIT_FOR_READY_TIMEOUT = parseInt(process.env.WAIT_FOR_READY_TIMEOUT) || 20000; // ms máximos esperando a los rezagados
+const CHAT_EDIT_WINDOW = 15 * 60 * 1000; // tiempo durante el que el autor puede editar o borrar su mensaje
+const MAX_REACTIONS_PER_MESSAGE = 20; // emojis distintos por mensaje
+const VOTE_THRESHOLD = parseFloat(process.env.VOTE_THRESHOLD) || 0.5; // un voto para saltar o buscar necesita más de esta fracción de participantes
+const POLL_DEFAULT_DURATION = 60; // segundos
+const POLL_MAX_DURATION = 60 * 60; // segundos
+const MAX_ACTIVE_POLLS = 5;
+const SERVER_RESTART_CLOSE_CODE = 1012; // código estándar "Service Restart": el cliente debe reconectar
+const DRAIN_RETRY_AFTER = parseInt(process.env.DRAIN_RETRY_AFTER) || 5; // segundos que el cliente espera antes de reconectar
+const DRAIN_RECONNECT_URL = process.env.DRAIN_RECONNECT_URL; // endpoint alternativo opcional al que reconectar
+const DRAIN_DELAY = parseInt(process.env.DRAIN_DELAY ?? 0); // ms en drenaje antes de desconectar, para que el balanceador deje de enviar tráfico
+const SHUTDOWN_TIMEOUT = parseInt(process.env.SHUTDOWN_TIMEOUT) || 10000; // ms máximos esperando a que cierren los sockets
+const INVITE_DEFAULT_TTL = 24 * 60 * 60 * 1000; // 24 horas
+const INVITE_MAX_TTL = 7 * 24 * 60 * 60 * 1000; // 7 días
+
+// Roles de participante, de menor a mayor privilegio
+const ROLES = ['viewer', 'member', 'cohost', 'host'];
+
+// Rol mínimo necesario para cada acción de la sala
+const DEFAULT_POLICIES = {
+    playback: 'member',     // play / pause / seek
+    chat: 'viewer',         // enviar mensajes de chat
+    change_video: 'cohost', // cambiar el video y gestionar la cola (quitar, reordenar, saltar)
+    queue_add: 'member',    // añadir videos a la cola
+    polls: 'member',        // crear encuestas y votaciones para saltar o buscar
+    default_role: 'member'  // rol asignado a quien entra
+};
 
 // ==================== ALMACENAMIENTO EN MEMORIA ====================
 const rooms = new Map(); // roomCode -> { roomInfo, participants: Map<userId, ws> }
 const connections = new Map(); // ws -> { userId, roomCode, username, isHost }
+const roomStore = createRoomStore({ type: ROOM_STORE, directory: ROOM_STORE_PATH });
+const savedSnapshots = new Map(); // roomCode -> último snapshot escrito (JSON), para no reescribir salas sin cambios
+const clusterAdapter = createClusterAdapter({ type: CLUSTER_ADAPTER, instanceId: INSTANCE_ID, url: REDIS_URL });
+const pendingPlayTimers = new Map(); // roomCode -> timeout de WAIT_FOR_READY_TIMEOUT
+const pollTimers = new Map(); // `${roomCode}:${pollId}` -> timeout de cierre
+const rateLimiter = createRateLimiter({ limits: RATE_LIMITS });
+const connectionLimiter = createConnectionLimiter({ maxPerIp: MAX_CONNECTIONS_PER_IP });
+let draining = false; // en apagado: no se crean salas y se pide a los clientes que reconecten
+
+// ==================== MÉTRICAS ====================
+const metrics = createMetricsRegistry();
+const messagesReceived = metrics.counter('watch_party_messages_received_total', 'Mensajes recibidos de los clientes por tipo', ['type']);
+const messagesSent = metrics.counter('watch_party_messages_sent_total', 'Mensajes entregados a sockets de esta instancia por tipo', ['type']);
+const sendErrors = metrics.counter('watch_party_send_errors_total', 'Errores al enviar a un socket');
+const heartbeatTerminations = metrics.counter('watch_party_heartbeat_terminations_total', 'Conexiones cerradas por no responder al heartbeat');
+const broadcastFanout = metrics.histogram('watch_party_broadcast_fanout', 'Sockets de esta instancia que reciben cada broadcast', {
+    buckets: [0, 1, 2, 5, 10, 20, 50]
+});
+const roomLifetime = metrics.histogram('watch_party_room_lifetime_seconds', 'Vida de las salas desde su creación hasta su eliminación', {
+    buckets: [60, 300, 900, 1800, 3600, 2 * 3600, 4 * 3600, 12 * 3600, 24 * 3600]
+});
+metrics.gauge('watch_party_rooms', 'Salas en memoria en esta instancia', {
+    collect: gauge => gauge.set({}, rooms.size)
+});
+metrics.gauge('watch_party_participants', 'Participantes de esta instancia por estado de conexión', {
+    labelNames: ['state'],
+    collect: gauge => {
+        let connected = 0;
+        let reconnecting = 0;
+        rooms.forEach(room => room.participants.forEach(participant => {
+            if (participant.disconnectedAt) reconnecting++;
+            else connected++;
+        }));
+        gauge.set({ state: 'connected' }, connected);
+        gauge.set({ state: 'reconnecting' }, reconnecting);
+    }
+});
+metrics.gauge('watch_party_connections', 'Conexiones WebSocket abiertas en esta instancia', {
+    collect: gauge => gauge.set({}, connections.size)
+});
+trackEventLoopLag(metrics);
 
 // ==================== FUNCIONES DE SALAS ====================
-function createRoom(roomCode, roomName, hostUserId, hostUsername, videoId, maxParticipants = 10, isPrivate = false) {
+function createRoom(roomCode, roomName, hostUserId, hostUsername, videoId, maxParticipants = 10, isPrivate = false, policies = {}) {
     const room = {
         id: uuidv4(),
         room_code: roomCode,
@@ -23,15 +133,32 @@ function createRoom(roomCode, roomName, hostUserId, hostUsername, videoId, maxPa
         is_private: isPrivate,
         is_active: true,
         created_at: Date.now(),
-        video_current_time: 0,
+        video_current_time: 0, // posición en el instante playback_updated_at
         is_playing: false,
-        participants: new Map(), // userId -> { ws, username, joinedAt, lastSeen, isHost }
+        playback_updated_at: Date.now(),
+        policies: sanitizePolicies(policies),
+        participants: new Map(), // userId -> { ws, username, joinedAt, lastSeen, isHost, role }
+        remoteParticipants: new Map(), // instanceId -> participantes conectados a otra instancia
         messages: [],
         playbackHistory: [],
-        lastMessageId: 0
+        invites: new Map(), // code -> { code, created_by, created_at, expires_at, max_uses, uses }
+        queue: [], // [{ id, video_id, title, added_by, added_by_username, added_at }]
+        current_item_id: null, // id del elemento de la cola que se está viendo (null si se eligió a mano)
+        members: {}, // userId -> último rol; permite volver a entrar (p. ej. tras un reinicio)
+        bans: {}, // userId -> { reason, banned_by, banned_at }
+        mutes: {}, // userId -> { until, reason, muted_by }
+        slow_mode: 0, // segundos mínimos entre mensajes de chat (0 = desactivado)
+        wait_mode: { enabled: false, quorum: 1 }, // esperar a que los reproductores estén listos antes de reproducir
+        polls: {}, // pollId -> encuesta abierta (ver ENCUESTAS)
+        pending_play: null, // { current_time, requested_by, username, requested_at, reason } mientras se espera
+        emptied_at: null,
+        lastMessageId: 0,
+        lastQueueId: 0,
+        lastPollId: 0
     };
     
     rooms.set(roomCode, room);
+    publishRoomSnapshot(room);
     console.log(`🎉 Sala ${roomCode} creada por ${hostUsername}`);
     return room;
 }
@@ -44,19 +171,32 @@ function joinRoom(roomCode, userId, username, ws, isCreating = false) {
     const room = rooms.get(roomCode);
     if (!room) return null;
     
-    // Verificar límite de participantes
-    if (room.participants.size >= room.max_participants) {
+    // Los usuarios vetados no pueden volver a entrar
+    const ban = room.bans[userId];
+    if (ban) {
+        return { error: 'Has sido vetado en esta sala', code: 'banned', reason: ban.reason };
+    }
+    
+    // Verificar límite de participantes (en todo el clúster); quien vuelve ya ocupa su sitio
+    const previous = room.participants.get(userId);
+    if (getParticipantCount(room) - (previous ? 1 : 0) >= room.max_participants) {
         return { error: 'La sala está llena' };
     }
+    if (previous) clearTimeout(previous.graceTimer);
     
     const isHost = isCreating || (room.host_user_id === userId);
+    const knownRole = room.members[userId];
     const participant = {
         ws,
         userId,
         username,
         joinedAt: Date.now(),
         lastSeen: Date.now(),
-        isHost
+        isHost,
+        role: isHost ? 'host' : (knownRole && knownRole !== 'host' ? knownRole : room.policies.default_role),
+        playerState: null, // buffering | ready | ended, según informe el cliente
+        resumeToken: createResumeToken(),
+        disconnectedAt: null // mientras no es null, el sitio está guardado esperando la reconexión
     };
     
     // Si es el creador, asegurarse de que sea host
@@ -66,6 +206,9 @@ function joinRoom(roomCode, userId, username, ws, isCreating = false) {
     }
     
     room.participants.set(userId, participant);
+    room.members[userId] = participant.role;
+    room.emptied_at = null;
+    publishParticipants(room);
     return { room, participant, isHost };
 }
 
@@ -76,13 +219,20 @@ function leaveRoom(roomCode, userId, username) {
     const participant = room.participants.get(userId);
     if (participant) {
         room.participants.delete(userId);
+        if (participant.disconnectedAt) discardHeldSession(room, participant);
+        publishParticipants(room);
+        // Quien se va deja de bloquear una reproducción en espera
+        checkPendingPlayback(room);
         
-        // Si el host se va, asignar nuevo host
-        if (participant.isHost && room.participants.size > 0) {
-            const newHost = Array.from(room.participants.values())[0];
-            newHost.isHost = true;
-            room.host_user_id = newHost.userId;
-            room.host_username = newHost.username;
+        // Si el host se va, asignar nuevo host (primero un co-anfitrión si lo hay,
+        // antes los conectados que los que esperan reconexión, y antes los de esta
+        // instancia que los de otras)
+        if (participant.isHost && getParticipantCount(room) > 0) {
+            const remaining = Array.from(room.participants.values()).concat(getRemoteParticipants(room));
+            const connected = remaining.filter(p => !p.disconnectedAt);
+            const candidates = connected.length > 0 ? connected : remaining;
+            const newHost = candidates.find(p => p.role === 'cohost') || candidates[0];
+            setHost(room, newHost);
             
             // Notificar cambio de host
             broadcastToRoom(roomCode, {
@@ -94,9 +244,10 @@ function leaveRoom(roomCode, userId, username) {
         
         // Si no hay más participantes, eliminar la sala
         if (room.participants.size === 0) {
+            room.emptied_at = Date.now();
             setTimeout(() => {
                 if (rooms.get(roomCode)?.participants.size === 0) {
-                    rooms.delete(roomCode);
+                    deleteRoom(roomCode);
                     console.log(`🗑️ Sala ${roomCode} eliminada por inactividad`);
                 }
             }, 300000); // 5 minutos
@@ -108,455 +259,2711 @@ function leaveRoom(roomCode, userId, username) {
     return false;
 }
 
-// ==================== MANEJO DE WEBSOCKET ====================
-const server = http.createServer((req, res) => {
-    // Endpoint de salud para Render
-    if (req.url === '/health') {
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ 
-            status: 'ok', 
-            rooms: rooms.size,
-            connections: connections.size 
-        }));
-        return;
-    }
+// Saca al participante y avisa al resto de la sala
+function leaveRoomAndNotify(roomCode, userId, username) {
+    if (!leaveRoom(roomCode, userId, username)) return false;
     
-    // Endpoint para obtener información de salas públicas
-    if (req.url === '/public-rooms') {
-        const publicRooms = Array.from(rooms.values())
-            .filter(room => !room.is_private && room.participants.size > 0)
-            .map(room => ({
-                room_code: room.room_code,
-                room_name: room.room_name,
-                host_username: room.host_username,
-                participant_count: room.participants.size,
-                max_participants: room.max_participants,
-                video_id: room.video_id,
-                created_at: room.created_at
-            }));
-        
-        res.writeHead(200, { 
-            'Content-Type': 'application/json', 
-            'Access-Control-Allow-Origin': '*',
-            'Cache-Control': 'no-cache'
-        });
-        res.end(JSON.stringify({ success: true, rooms: publicRooms }));
-        return;
-    }
+    broadcastToRoom(roomCode, {
+        type: 'user_left',
+        user_id: userId,
+        username: username,
+        timestamp: Date.now()
+    });
     
-    res.writeHead(404, { 'Content-Type': 'text/plain' });
-    res.end('Not Found');
-});
-
-const wss = new WebSocket.Server({ 
-    server, 
-    path: '/watch-party',
-    perMessageDeflate: false // Desactivar compresión para menor latencia
-});
+    broadcastToRoom(roomCode, {
+        type: 'participants_update',
+        participants: getRoomParticipants(roomCode)
+    });
+    return true;
+}
 
-wss.on('connection', (ws, req) => {
-    console.log('🔌 Nueva conexión WebSocket');
-    
-    const query = url.parse(req.url, true).query;
-    const roomCode = query.room?.toUpperCase();
-    const userId = query.user;
-    const username = decodeURIComponent(query.username || 'Usuario');
-    
-    if (!roomCode || !userId) {
-        ws.close(1008, 'Parámetros inválidos: se requieren room y user');
-        return;
+function deleteRoom(roomCode) {
+    const room = rooms.get(roomCode);
+    if (room) {
+        Object.keys(room.polls).forEach(pollId => clearPollTimer(roomCode, pollId));
+        roomLifetime.observe({}, (Date.now() - room.created_at) / 1000);
     }
-    
-    // Configurar heartbeat para mantener conexión activa
-    let isAlive = true;
-    ws.on('pong', () => {
-        isAlive = true;
+    rooms.delete(roomCode);
+    clearPendingPlayTimer(roomCode);
+    savedSnapshots.delete(roomCode);
+    roomStore.remove(roomCode).catch(error => {
+        console.error(`❌ No se pudo borrar el snapshot de ${roomCode}:`, error);
     });
-    
-    // Registrar conexión
-    connections.set(ws, { roomCode, userId, username, ws });
-    
-    // Manejar mensajes
-    ws.on('message', async (data) => {
+}
+
+// ==================== PERSISTENCIA ====================
+// Los participantes (sockets) no se guardan: al volver, cada cliente se une de nuevo
+// y recupera su rol y el anfitrión gracias a room.members y host_user_id.
+// La reproducción se guarda como posición base + playback_updated_at (no la posición
+// proyectada), así el snapshot no cambia mientras la sala sigue reproduciendo y al
+// restaurar se proyecta desde el instante real del último cambio.
+function serializeRoom(room) {
+    const { participants, remoteParticipants, invites, ...data } = room;
+    return {
+        ...data,
+        invites: Array.from(invites.values())
+    };
+}
+
+// Construye la sala a partir de un snapshot sin registrarla en `rooms`
+function roomFromSnapshot(snapshot) {
+    const { saved_at, invites = [], ...data } = snapshot;
+    const room = {
+        ...data,
+        participants: new Map(),
+        remoteParticipants: new Map(),
+        invites: new Map(invites.map(invite => [invite.code, invite])),
+        wait_mode: data.wait_mode || { enabled: false, quorum: 1 },
+        polls: data.polls || {},
+        // Las políticas añadidas después de guardar el snapshot toman su valor por defecto
+        policies: sanitizePolicies(data.policies),
+        // Con is_playing, getCurrentPlaybackTime proyecta desde este instante (los
+        // snapshots antiguos no lo traen: continúan desde la posición guardada)
+        playback_updated_at: data.playback_updated_at || Date.now(),
+        emptied_at: Date.now()
+    };
+    return room;
+}
+
+function restoreRoom(snapshot) {
+    const room = roomFromSnapshot(snapshot);
+    rooms.set(room.room_code, room);
+    return room;
+}
+
+async function persistRooms() {
+    for (const [roomCode, room] of rooms) {
+        const snapshot = serializeRoom(room);
+        const fingerprint = JSON.stringify(snapshot);
+        if (savedSnapshots.get(roomCode) === fingerprint) continue;
+        
         try {
-            const message = JSON.parse(data.toString());
-            await handleMessage(ws, roomCode, userId, username, message);
+            await roomStore.save(roomCode, { ...snapshot, saved_at: Date.now() });
+            savedSnapshots.set(roomCode, fingerprint);
         } catch (error) {
-            console.error('❌ Error al procesar mensaje:', error);
-            try {
-                ws.send(JSON.stringify({
-                    type: 'error',
-                    message: 'Error al procesar el mensaje'
-                }));
-            } catch (e) {
-                console.error('No se pudo enviar error al cliente:', e);
-            }
+            console.error(`❌ No se pudo guardar la sala ${roomCode}:`, error);
+        }
+    }
+}
+
+async function restoreRooms() {
+    const snapshots = await roomStore.loadAll();
+    snapshots.forEach(snapshot => {
+        const room = restoreRoom(snapshot);
+        // El temporizador de la espera no sobrevive al reinicio: se vuelve a armar con lo que le quedaba
+        if (room.pending_play) {
+            schedulePendingPlayTimeout(room, room.pending_play.requested_at + WAIT_FOR_READY_TIMEOUT - Date.now());
         }
     });
     
-    // Manejar cierre
-    ws.on('close', (code, reason) => {
-        console.log(`👋 ${username} (${userId}) desconectado. Código: ${code}, Razón: ${reason || 'Sin razón'}`);
-        const connectionInfo = connections.get(ws);
-        if (connectionInfo) {
-            const left = leaveRoom(connectionInfo.roomCode, userId, username);
-            connections.delete(ws);
-            
-            if (left) {
-                // Notificar a los demás participantes
-                const room = getRoom(connectionInfo.roomCode);
-                if (room) {
-                    broadcastToRoom(room.room_code, {
-                        type: 'user_left',
-                        user_id: userId,
-                        username: username,
-                        timestamp: Date.now()
-                    }, ws);
-                    
-                    // Actualizar lista de participantes
-                    broadcastToRoom(room.room_code, {
-                        type: 'participants_update',
-                        participants: getRoomParticipants(room.room_code)
-                    });
-                }
-            }
+    if (snapshots.length > 0) {
+        console.log(`♻️ ${snapshots.length} salas restauradas desde ${roomStore.name}`);
+    }
+}
+
+// ==================== CLÚSTER ====================
+// Cada instancia tiene su propia copia de las salas con sus sockets locales. Los
+// broadcasts viajan por el adaptador junto con el estado compartido de la sala para
+// que todas las copias converjan, y cada instancia publica la lista de sus
+// participantes para que las demás la incluyan (room.remoteParticipants).
+const SHARED_ROOM_FIELDS = [
+    'room_name', 'host_user_id', 'host_username', 'video_id', 'max_participants', 'is_private',
+    'video_current_time', 'is_playing', 'playback_updated_at', 'policies', 'queue', 'current_item_id', 'members',
+    'bans', 'mutes', 'slow_mode', 'wait_mode', 'pending_play', 'polls', 'lastMessageId', 'lastQueueId',
+    'lastPollId'
+];
+
+function publishToCluster(event) {
+    clusterAdapter.publish(event).catch(error => {
+        console.error('❌ Error publicando en el clúster:', error);
+    });
+}
+
+function getSharedRoomState(room) {
+    const state = { invites: Array.from(room.invites.values()) };
+    SHARED_ROOM_FIELDS.forEach(field => {
+        state[field] = room[field];
+    });
+    return state;
+}
+
+function applySharedRoomState(room, state) {
+    const { invites = [], members = {}, ...fields } = state;
+    Object.assign(room, fields);
+    room.members = { ...room.members, ...members };
+    room.invites = new Map(invites.map(invite => [invite.code, invite]));
+    
+    // Los cambios de anfitrión y de rol pueden venir de otra instancia
+    room.participants.forEach(participant => {
+        participant.isHost = participant.userId === room.host_user_id;
+        participant.role = resolveRole(room, participant.userId, participant.role);
+    });
+}
+
+// Aplica a la copia local los efectos de un mensaje difundido desde otra instancia
+function applyRemoteMessage(room, message) {
+    if (message.type === 'chat_message') {
+        room.messages.push(message);
+        if (room.messages.length > 200) {
+            room.messages = room.messages.slice(-200);
         }
+    } else if (message.type === 'playback_update' || message.type === 'video_changed') {
+        recordPlaybackEvent(room, message);
+    } else if (CHAT_CHANGE_EVENTS.includes(message.type)) {
+        applyChatChange(room, message);
+    }
+}
+
+function resolveRole(room, userId, currentRole) {
+    if (userId === room.host_user_id) return 'host';
+    const known = room.members[userId] || currentRole;
+    return known === 'host' ? room.policies.default_role : known;
+}
+
+function getRemoteParticipants(room) {
+    const result = [];
+    room.remoteParticipants.forEach(list => {
+        list.forEach(p => result.push({
+            userId: p.user_id,
+            username: p.username,
+            joinedAt: p.joined_at,
+            isHost: p.user_id === room.host_user_id,
+            role: resolveRole(room, p.user_id, p.role),
+            playerState: p.player_state || null,
+            disconnectedAt: p.disconnected_at || null,
+            remote: true
+        }));
+    });
+    return result;
+}
+
+function getParticipantCount(room) {
+    let count = room.participants.size;
+    room.remoteParticipants.forEach(list => {
+        count += list.length;
+    });
+    return count;
+}
+
+function publishParticipants(room) {
+    publishToCluster({
+        kind: 'participants',
+        room_code: room.room_code,
+        participants: Array.from(room.participants.values()).map(toPublicParticipant)
+    });
+    saveParticipantsList(room);
+}
+
+// Copia en el estado compartido para las instancias que todavía no tienen la sala
+function saveParticipantsList(room) {
+    clusterAdapter.set(`participants:${room.room_code}:${INSTANCE_ID}`, {
+        instance_id: INSTANCE_ID,
+        participants: Array.from(room.participants.values()).map(toPublicParticipant)
+    }, CLUSTER_ROOM_TTL).catch(error => {
+        console.error(`❌ No se pudieron guardar los participantes de ${room.room_code}:`, error);
     });
+}
+
+// Guarda la sala en el estado compartido para que otras instancias puedan encontrarla
+function publishRoomSnapshot(room) {
+    const snapshot = serializeRoom(room);
     
-    // Manejar errores
-    ws.on('error', (error) => {
-        console.error('❌ Error en WebSocket:', error);
+    Promise.all([
+        clusterAdapter.set(`room:${room.room_code}`, snapshot, CLUSTER_ROOM_TTL),
+        clusterAdapter.set(`room-state:${room.room_code}`, getSharedRoomState(room), CLUSTER_ROOM_TTL)
+    ]).catch(error => {
+        console.error(`❌ No se pudo publicar la sala ${room.room_code} en el clúster:`, error);
+    });
+}
+
+// Lee del clúster una sala que vive en otra instancia, sin crear la copia local
+async function loadClusterRoom(roomCode) {
+    const [snapshot, state, lists] = await Promise.all([
+        clusterAdapter.get(`room:${roomCode}`),
+        clusterAdapter.get(`room-state:${roomCode}`),
+        clusterAdapter.getAll(`participants:${roomCode}:`)
+    ]);
+    if (!snapshot) return null;
+    
+    const room = roomFromSnapshot(snapshot);
+    // El estado compartido se actualiza en cada broadcast; el snapshot completo no
+    if (state) applySharedRoomState(room, state);
+    
+    lists.forEach(list => {
+        if (list.instance_id !== INSTANCE_ID && list.participants.length > 0) {
+            room.remoteParticipants.set(list.instance_id, list.participants);
+        }
     });
+    return room;
+}
+
+// Crea la copia local de una sala que vive en otra instancia
+async function fetchClusterRoom(roomCode) {
+    const room = await loadClusterRoom(roomCode);
+    if (!room) return null;
     
-    // Enviar confirmación de conexión
-    try {
-        ws.send(JSON.stringify({
-            type: 'connected',
-            message: 'Conectado al servidor Watch Party',
-            room: roomCode,
-            user: { id: userId, username: username }
-        }));
-    } catch (error) {
-        console.error('No se pudo enviar mensaje de conexión:', error);
-    }
-});
+    rooms.set(room.room_code, room);
+    console.log(`🔗 Sala ${roomCode} obtenida del clúster`);
+    return room;
+}
 
-// ==================== MANEJO DE MENSAJES ====================
-async function handleMessage(ws, roomCode, userId, username, message) {
-    console.log(`📨 Mensaje de ${username} (${userId}) en ${roomCode}: ${message.type}`);
+function handleClusterEvent(event) {
+    const room = rooms.get(event.room_code);
+    if (!room) return; // Sin copia local no hay nadie a quien entregar
     
-    switch (message.type) {
-        case 'join':
-            await handleJoin(ws, roomCode, userId, username, message);
-            break;
-            
-        case 'chat_message':
-            await handleChatMessage(roomCode, userId, username, message);
+    switch (event.kind) {
+        case 'broadcast':
+            applySharedRoomState(room, event.state);
+            applyRemoteMessage(room, event.message);
+            deliverToLocalRoom(room, event.message, event.exclude);
             break;
             
-        case 'playback_update':
-            await handlePlaybackUpdate(roomCode, userId, username, message);
+        case 'disconnect':
+            disconnectLocalParticipant(room, event.user_id, event.code, event.reason, event.notice);
             break;
             
-        case 'participants_request':
-            handleParticipantsRequest(ws, roomCode);
+        case 'resumed':
+            releaseHeldParticipant(room, event.user_id);
             break;
             
-        case 'sync_request':
-            handleSyncRequest(ws, roomCode);
+        case 'close_room':
+            closeLocalRoom(room, event.notice);
             break;
             
-        case 'leave':
-            await handleLeave(roomCode, userId, username);
+        case 'participants':
+            if (event.participants.length > 0) {
+                room.remoteParticipants.set(event.origin, event.participants);
+            } else {
+                room.remoteParticipants.delete(event.origin);
+            }
+            // Los participantes de otra instancia también cuentan para el quórum
+            checkPendingPlayback(room);
             break;
-            
-        default:
-            console.warn(`⚠️ Tipo de mensaje desconocido: ${message.type}`);
     }
 }
 
-async function handleJoin(ws, roomCode, userId, username, message) {
-    let room = getRoom(roomCode);
-    let isCreating = message.create || false;
+clusterAdapter.subscribe(handleClusterEvent);
+
+function getInstanceStats() {
+    return {
+        instance_id: INSTANCE_ID,
+        connections: connections.size,
+        updated_at: Date.now(),
+        rooms: Array.from(rooms.values()).map(room => ({
+            room_code: room.room_code,
+            room_name: room.room_name,
+            host_username: room.host_username,
+            is_private: room.is_private,
+            participant_count: room.participants.size,
+            max_participants: room.max_participants,
+            video_id: room.video_id,
+            created_at: room.created_at
+        }))
+    };
+}
+
+async function publishInstanceStats() {
+    await clusterAdapter.set(`instance:${INSTANCE_ID}`, getInstanceStats(), CLUSTER_STATS_TTL);
     
-    // Si la sala no existe, crearla
-    if (!room) {
-        if (isCreating) {
-            room = createRoom(
-                roomCode,
-                message.room_name,
-                userId,
-                username,
-                message.video_id,
-                message.max_participants || 10,
-                message.is_private || false
-            );
-            console.log(`🎉 Sala ${roomCode} creada por ${username}`);
-        } else {
-            try {
-                ws.send(JSON.stringify({
-                    type: 'error',
-                    message: 'La sala no existe'
-                }));
-            } catch (e) {
-                console.error('No se pudo enviar error de sala inexistente:', e);
+    rooms.forEach(room => {
+        if (room.participants.size === 0) return;
+        publishRoomSnapshot(room);
+        saveParticipantsList(room);
+    });
+    
+    // Olvidar los participantes de instancias caídas
+    const alive = new Set((await clusterAdapter.getAll('instance:')).map(stats => stats.instance_id));
+    rooms.forEach(room => {
+        room.remoteParticipants.forEach((list, instanceId) => {
+            if (!alive.has(instanceId)) room.remoteParticipants.delete(instanceId);
+        });
+    });
+}
+
+// Suma las estadísticas de todas las instancias vivas. Si el adaptador falla,
+// devuelve solo las de esta instancia.
+async function getClusterStats() {
+    let others = [];
+    try {
+        others = (await clusterAdapter.getAll('instance:')).filter(stats => stats.instance_id !== INSTANCE_ID);
+    } catch (error) {
+        console.error('❌ No se pudieron leer las estadísticas del clúster:', error);
+    }
+    
+    const instances = [getInstanceStats()].concat(others);
+    const roomsByCode = new Map();
+    instances.forEach(stats => {
+        stats.rooms.forEach(summary => {
+            const existing = roomsByCode.get(summary.room_code);
+            if (existing) {
+                existing.participant_count += summary.participant_count;
+            } else {
+                roomsByCode.set(summary.room_code, { ...summary });
             }
-            return;
-        }
-    } else if (room.is_private && !isCreating) {
-        // Para salas privadas, solo se puede unir si se crea
-        try {
-            ws.send(JSON.stringify({
-                type: 'error',
-                message: 'Esta sala es privada. Necesitas una invitación para unirte.'
-            }));
-        } catch (e) {
-            console.error('No se pudo enviar error de sala privada:', e);
-        }
+        });
+    });
+    
+    return {
+        instances: instances.length,
+        connections: instances.reduce((total, stats) => total + stats.connections, 0),
+        rooms: Array.from(roomsByCode.values())
+    };
+}
+
+// ==================== RELOJ DE REPRODUCCIÓN ====================
+// El servidor es la referencia: guarda la última posición conocida y cuándo se fijó,
+// y mientras se reproduce proyecta la posición hacia adelante.
+// `at` puede ser futuro (inicio coordinado): hasta entonces la posición no avanza
+function setPlaybackState(room, currentTime, isPlaying, at = Date.now()) {
+    room.video_current_time = Math.max(0, Number(currentTime) || 0);
+    room.is_playing = Boolean(isPlaying);
+    room.playback_updated_at = at;
+}
+
+function getCurrentPlaybackTime(room, now = Date.now()) {
+    const base = room.video_current_time || 0;
+    if (!room.is_playing) return base;
+    return base + Math.max(0, now - room.playback_updated_at) / 1000;
+}
+
+// Historial de eventos de reproducción (máximo 50). Comparten numeración con el chat
+// (room.lastMessageId) para que un solo id marque hasta dónde llegó el cliente.
+function recordPlaybackEvent(room, event) {
+    room.playbackHistory.push(event);
+    if (room.playbackHistory.length > 50) {
+        room.playbackHistory = room.playbackHistory.slice(-50);
+    }
+}
+
+function getPlaybackState(room) {
+    const now = Date.now();
+    const state = {
+        current_time: getCurrentPlaybackTime(room, now),
+        is_playing: room.is_playing || false,
+        video_id: room.video_id,
+        server_time: now
+    };
+    if (room.is_playing && room.playback_updated_at > now) {
+        state.start_at = room.playback_updated_at;
+    }
+    return state;
+}
+
+// Fija el estado de reproducción y lo difunde como playback_update
+function applyPlaybackChange(room, currentTime, isPlaying, { userId = null, username = null, eventType = 'update' } = {}, exclude = null) {
+    setPlaybackState(room, currentTime, isPlaying);
+    
+    const event = {
+        id: ++room.lastMessageId,
+        type: 'playback_update',
+        user_id: userId,
+        username: username,
+        event_type: eventType,
+        current_time: room.video_current_time,
+        is_playing: room.is_playing,
+        server_time: room.playback_updated_at,
+        timestamp: Date.now()
+    };
+    
+    // Guardar en historial para reenviarlo a quien reanude la sesión
+    recordPlaybackEvent(room, event);
+    broadcastToRoom(room.room_code, event, exclude);
+}
+
+// ==================== ESPERAR A TODOS ====================
+// Con room.wait_mode activo, un play no se aplica en el acto: la sala queda en pausa
+// (pending_play) hasta que los reproductores de todos, o del quórum configurado,
+// informen 'ready'. Entonces se arranca a la vez en un instante futuro (start_at)
+// que cada cliente convierte a su reloj con time_sync. Si alguien entra en
+// 'buffering' mientras se reproduce, la sala se pausa y vuelve a esperar.
+// Los clientes que nunca informan del estado de su reproductor no bloquean.
+function getReadiness(room) {
+    const participants = Array.from(room.participants.values())
+        .concat(getRemoteParticipants(room))
+        .filter(p => !p.disconnectedAt);
+    const waiting = participants.filter(p => p.playerState && p.playerState !== 'ready');
+    
+    return {
+        ready: participants.length - waiting.length,
+        required: Math.ceil(participants.length * room.wait_mode.quorum),
+        waiting_for: waiting.map(p => p.userId)
+    };
+}
+
+function clearPendingPlayTimer(roomCode) {
+    clearTimeout(pendingPlayTimers.get(roomCode));
+    pendingPlayTimers.delete(roomCode);
+}
+
+// Pausa la sala en currentTime y espera a que estén listos para reanudar
+function holdPlayback(room, currentTime, { userId = null, username = null, reason = 'play' } = {}) {
+    setPlaybackState(room, currentTime, false);
+    room.pending_play = {
+        current_time: room.video_current_time,
+        requested_by: userId,
+        username,
+        requested_at: Date.now(),
+        reason
+    };
+    
+    const readiness = getReadiness(room);
+    if (readiness.ready >= readiness.required) {
+        startPendingPlayback(room);
+        return;
+    }
+    
+    schedulePendingPlayTimeout(room, WAIT_FOR_READY_TIMEOUT);
+    
+    const event = {
+        id: ++room.lastMessageId,
+        type: 'playback_update',
+        user_id: userId,
+        username,
+        event_type: reason === 'buffering' ? 'auto_pause' : 'waiting_for_ready',
+        current_time: room.video_current_time,
+        is_playing: false,
+        server_time: room.playback_updated_at,
+        pending: readiness,
+        timestamp: Date.now()
+    };
+    recordPlaybackEvent(room, event);
+    broadcastToRoom(room.room_code, event);
+}
+
+// Un reproductor colgado no puede bloquear la sala para siempre
+function schedulePendingPlayTimeout(room, delay) {
+    clearPendingPlayTimer(room.room_code);
+    pendingPlayTimers.set(room.room_code, setTimeout(() => {
+        pendingPlayTimers.delete(room.room_code);
+        console.log(`⏱️ ${room.room_code}: se reanuda sin esperar a ${getReadiness(room).waiting_for.join(', ')}`);
+        startPendingPlayback(room);
+    }, Math.max(delay, 0)));
+}
+
+// Arranca la reproducción en espera dentro de COORDINATED_START_DELAY
+function startPendingPlayback(room) {
+    const pending = room.pending_play;
+    if (!pending) return;
+    
+    room.pending_play = null;
+    clearPendingPlayTimer(room.room_code);
+    
+    const startAt = Date.now() + COORDINATED_START_DELAY;
+    setPlaybackState(room, pending.current_time, true, startAt);
+    
+    const event = {
+        id: ++room.lastMessageId,
+        type: 'playback_update',
+        user_id: pending.requested_by,
+        username: pending.username,
+        event_type: 'coordinated_start',
+        current_time: room.video_current_time,
+        is_playing: true,
+        server_time: startAt,
+        start_at: startAt,
+        timestamp: Date.now()
+    };
+    recordPlaybackEvent(room, event);
+    broadcastToRoom(room.room_code, event);
+}
+
+function checkPendingPlayback(room) {
+    if (!room.pending_play) return;
+    
+    const readiness = getReadiness(room);
+    if (readiness.ready >= readiness.required) {
+        startPendingPlayback(room);
+    }
+}
+
+// ==================== COLA DE VIDEOS ====================
+function changeVideo(room, videoId, { userId = null, username = null, reason = 'manual', autoplay = false, itemId = null } = {}) {
+    room.video_id = videoId;
+    room.current_item_id = itemId;
+    setPlaybackState(room, 0, autoplay);
+    
+    const event = {
+        id: ++room.lastMessageId,
+        type: 'video_changed',
+        video_id: room.video_id,
+        item_id: room.current_item_id,
+        user_id: userId,
+        username: username,
+        reason,
+        is_playing: room.is_playing,
+        server_time: room.playback_updated_at,
+        timestamp: Date.now()
+    };
+    recordPlaybackEvent(room, event);
+    broadcastToRoom(room.room_code, event);
+}
+
+// Pasa al siguiente video de la cola. Devuelve false si la cola está vacía.
+function advanceQueue(room, options = {}) {
+    const next = room.queue.shift();
+    if (!next) return false;
+    
+    changeVideo(room, next.video_id, { ...options, itemId: next.id });
+    broadcastQueueUpdate(room);
+    return true;
+}
+
+function getQueueState(room) {
+    return {
+        current_video_id: room.video_id,
+        current_item_id: room.current_item_id || null,
+        items: room.queue
+    };
+}
+
+function broadcastQueueUpdate(room) {
+    broadcastToRoom(room.room_code, {
+        type: 'queue_updated',
+        queue: getQueueState(room),
+        timestamp: Date.now()
+    });
+}
+
+// ==================== ENCUESTAS Y VOTACIONES ====================
+// Tres tipos de votación comparten estructura y mensajes:
+//   poll -> encuesta libre con opciones; al cerrar gana la más votada
+//   skip -> "¿saltamos este video?" (opciones Sí/No)
+//   seek -> "¿vamos a target_time?" (opciones Sí/No)
+// Las de saltar y buscar se aprueban en cuanto los "Sí" superan VOTE_THRESHOLD de los
+// participantes de la sala en ese momento, y aplican el cambio ellas mismas.
+// Cada participante vota una sola vez; las encuestas se cierran al llegar closes_at.
+const YES_NO_OPTIONS = ['Sí', 'No'];
+
+function pollTimerKey(roomCode, pollId) {
+    return `${roomCode}:${pollId}`;
+}
+
+function clearPollTimer(roomCode, pollId) {
+    const key = pollTimerKey(roomCode, pollId);
+    clearTimeout(pollTimers.get(key));
+    pollTimers.delete(key);
+}
+
+function schedulePollClose(room, poll) {
+    clearPollTimer(room.room_code, poll.id);
+    pollTimers.set(pollTimerKey(room.room_code, poll.id), setTimeout(() => {
+        pollTimers.delete(pollTimerKey(room.room_code, poll.id));
+        // La encuesta pudo cerrarse en otra instancia
+        if (room.polls[poll.id]) closePoll(room, room.polls[poll.id], 'expired');
+    }, Math.max(0, poll.closes_at - Date.now())));
+}
+
+// 83.5 -> "1:23"
+function formatPlaybackTime(seconds) {
+    const total = Math.floor(seconds);
+    const minutes = Math.floor(total / 60);
+    const rest = String(total % 60).padStart(2, '0');
+    return minutes >= 60 ? `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+}
+
+// Votos "Sí" necesarios para aprobar un voto de saltar o buscar: mayoría estricta, para
+// que quien lo propone (que vota a favor) no decida solo en una sala de dos
+function getVoteThreshold(room) {
+    const count = getParticipantCount(room);
+    return Math.max(1, Math.min(count, Math.floor(count * VOTE_THRESHOLD) + 1));
+}
+
+function toPublicPoll(room, poll) {
+    const counts = poll.options.map(() => 0);
+    Object.values(poll.votes).forEach(optionId => {
+        counts[optionId]++;
+    });
+    
+    const result = {
+        id: poll.id,
+        kind: poll.kind,
+        question: poll.question,
+        options: poll.options.map((text, index) => ({ id: index, text, votes: counts[index] })),
+        total_votes: Object.keys(poll.votes).length,
+        voters: Object.keys(poll.votes),
+        created_by: poll.created_by,
+        created_by_username: poll.created_by_username,
+        created_at: poll.created_at,
+        closes_at: poll.closes_at,
+        closed: Boolean(poll.closed),
+        result: poll.result || null
+    };
+    if (poll.kind !== 'poll') result.required_votes = getVoteThreshold(room);
+    if (poll.kind === 'seek') result.target_time = poll.target_time;
+    return result;
+}
+
+function getActivePolls(room) {
+    return Object.values(room.polls).map(poll => toPublicPoll(room, poll));
+}
+
+function createPoll(room, { kind, question, options, duration, targetTime, userId, username }) {
+    const poll = {
+        id: ++room.lastPollId,
+        kind,
+        question,
+        options,
+        votes: {}, // userId -> índice de la opción
+        created_by: userId,
+        created_by_username: username,
+        created_at: Date.now(),
+        closes_at: Date.now() + Math.min(duration || POLL_DEFAULT_DURATION, POLL_MAX_DURATION) * 1000
+    };
+    if (kind === 'seek') poll.target_time = targetTime;
+    
+    room.polls[poll.id] = poll;
+    schedulePollClose(room, poll);
+    broadcastToRoom(room.room_code, {
+        type: 'poll_created',
+        poll: toPublicPoll(room, poll),
+        timestamp: Date.now()
+    });
+    return poll;
+}
+
+// reason: 'expired' | 'closed' (a mano) | 'passed' / 'rejected' (votos de saltar o buscar)
+function closePoll(room, poll, reason) {
+    clearPollTimer(room.room_code, poll.id);
+    delete room.polls[poll.id];
+    poll.closed = true;
+    
+    if (poll.kind === 'poll') {
+        const options = toPublicPoll(room, poll).options;
+        const top = Math.max(...options.map(option => option.votes));
+        const winners = options.filter(option => option.votes === top);
+        // Sin votos o con empate no hay ganadora
+        poll.result = top > 0 && winners.length === 1 ? { outcome: 'winner', option_id: winners[0].id } : { outcome: 'no_winner' };
+    } else {
+        poll.result = { outcome: reason === 'passed' ? 'passed' : 'failed' };
+    }
+    
+    broadcastToRoom(room.room_code, {
+        type: 'poll_closed',
+        poll: toPublicPoll(room, poll),
+        reason,
+        timestamp: Date.now()
+    });
+    console.log(`🗳️ Votación ${poll.id} de ${room.room_code} cerrada (${poll.result.outcome})`);
+}
+
+// Aplica el resultado de un voto de saltar o buscar aprobado
+function applyVoteResult(room, poll) {
+    const by = { userId: poll.created_by, username: poll.created_by_username };
+    
+    if (poll.kind === 'skip') {
+        advanceQueue(room, { ...by, reason: 'skip', autoplay: room.is_playing });
+    } else if (room.wait_mode.enabled && room.is_playing) {
+        holdPlayback(room, poll.target_time, { ...by, reason: 'play' });
+    } else {
+        applyPlaybackChange(room, poll.target_time, room.is_playing, { ...by, eventType: 'vote_seek' });
+    }
+}
+
+// ==================== ROLES Y PERMISOS ====================
+function getRoleRank(role) {
+    return ROLES.indexOf(role);
+}
+
+function sanitizePolicies(policies = {}) {
+    const result = { ...DEFAULT_POLICIES };
+    if (!policies || typeof policies !== 'object') return result;
+    
+    Object.keys(DEFAULT_POLICIES).forEach(key => {
+        const role = policies[key];
+        // Nadie entra como anfitrión por política
+        if (getRoleRank(role) === -1 || (key === 'default_role' && role === 'host')) return;
+        result[key] = role;
+    });
+    return result;
+}
+
+// ¿Puede el participante realizar la acción según las políticas de la sala?
+function canPerform(room, participant, action) {
+    if (!participant) return false;
+    const required = room.policies[action] || 'host';
+    return getRoleRank(participant.role) >= getRoleRank(required);
+}
+
+function setHost(room, participant) {
+    participant.isHost = true;
+    participant.role = 'host';
+    room.host_user_id = participant.userId;
+    room.host_username = participant.username;
+    room.members[participant.userId] = 'host';
+}
+
+function setRole(room, participant, role) {
+    if (role === 'host') {
+        // Transferir el anfitrión: el anterior pasa a co-anfitrión
+        const previousHost = room.participants.get(room.host_user_id);
+        if (previousHost) {
+            previousHost.isHost = false;
+            previousHost.role = 'cohost';
+            room.members[previousHost.userId] = 'cohost';
+        }
+        setHost(room, participant);
+    } else {
+        participant.isHost = false;
+        participant.role = role;
+        room.members[participant.userId] = role;
+    }
+}
+
+function sendForbidden(ws, action, message) {
+    sendToClient(ws, {
+        type: 'error',
+        code: 'forbidden',
+        action,
+        message
+    });
+}
+
+// ==================== MODERACIÓN ====================
+// Cierra el socket del participante en esta instancia, avisándole antes del motivo
+function disconnectLocalParticipant(room, userId, code, reason, notice) {
+    const participant = room.participants.get(userId);
+    if (!participant) return false;
+    
+    // Sin conexión no hay a quién avisar: se libera el sitio guardado
+    if (participant.disconnectedAt) {
+        leaveRoomAndNotify(room.room_code, userId, participant.username);
+        return true;
+    }
+    
+    sendToClient(participant.ws, notice);
+    participant.ws.close(code, reason);
+    return true;
+}
+
+// El participante puede estar en otra instancia: si no está aquí se pide al clúster
+function disconnectParticipant(room, userId, code, reason, notice) {
+    if (disconnectLocalParticipant(room, userId, code, reason, notice)) return;
+    
+    publishToCluster({
+        kind: 'disconnect',
+        room_code: room.room_code,
+        user_id: userId,
+        code,
+        reason,
+        notice
+    });
+}
+
+// target: { userId, username }
+function kickParticipant(room, target, reason) {
+    console.log(`👢 ${target.username || target.userId} expulsado de ${room.room_code}: ${reason}`);
+    
+    broadcastRoomMessage(room, {
+        type: 'user_kicked',
+        user_id: target.userId,
+        username: target.username,
+        reason,
+        timestamp: Date.now()
+    });
+    
+    disconnectParticipant(room, target.userId, KICK_CLOSE_CODE, reason, {
+        type: 'kicked',
+        room_code: room.room_code,
+        reason,
+        timestamp: Date.now()
+    });
+}
+
+function getActiveMute(room, userId) {
+    const mute = room.mutes[userId];
+    if (!mute) return null;
+    if (mute.until <= Date.now()) {
+        delete room.mutes[userId];
+        return null;
+    }
+    return mute;
+}
+
+// Valida quien modera y a quién: solo el anfitrión, y nunca sobre sí mismo ni sobre otro anfitrión
+function getModerationTarget(ws, room, userId, action, message) {
+    const actor = room.participants.get(userId);
+    if (!actor || !actor.isHost) {
+        sendForbidden(ws, action, 'Solo el anfitrión puede moderar la sala');
+        return null;
+    }
+    
+    const targetId = message.user_id !== undefined && message.user_id !== null ? String(message.user_id) : '';
+    if (!targetId || targetId === userId || targetId === room.host_user_id) {
+        sendToClient(ws, { type: 'error', code: 'invalid_target', message: 'Participante no válido' });
+        return null;
+    }
+    
+    const participant = room.participants.get(targetId) || getRemoteParticipants(room).find(p => p.userId === targetId);
+    return {
+        userId: targetId,
+        username: participant ? participant.username : null
+    };
+}
+
+// ==================== CHAT ====================
+// Las ediciones, borrados y reacciones modifican el mensaje guardado en room.messages
+// y se difunden como eventos incrementales. Cada cambio toma un id nuevo de la
+// numeración de la sala (updated_id) para que una sesión reanudada también lo reciba.
+const CHAT_CHANGE_EVENTS = ['chat_message_edited', 'chat_message_deleted', 'chat_reaction_updated'];
+
+function findChatMessage(room, messageId) {
+    return room.messages.find(msg => msg.id === messageId) || null;
+}
+
+// Un emoji (o secuencia de emojis), nunca texto libre
+function isEmoji(value) {
+    return /^[\p{Extended_Pictographic}\p{Emoji_Component}\u200d\ufe0f]+$/u.test(value) &&
+        /\p{Extended_Pictographic}/u.test(value);
+}
+
+function canEditChatMessage(chatMessage, userId) {
+    return chatMessage.user_id === userId && Date.now() - chatMessage.timestamp <= CHAT_EDIT_WINDOW;
+}
+
+// Permiso de chat y silencio; avisa al cliente si no puede escribir
+function ensureCanChat(ws, room, participant) {
+    if (!canPerform(room, participant, 'chat')) {
+        sendForbidden(ws, 'chat', 'No tienes permiso para escribir en el chat de esta sala');
+        return false;
+    }
+    
+    const mute = getActiveMute(room, participant.userId);
+    if (mute) {
+        sendToClient(ws, {
+            type: 'error',
+            code: 'muted',
+            message: 'Estás silenciado en esta sala',
+            reason: mute.reason,
+            until: mute.until
+        });
+        return false;
+    }
+    return true;
+}
+
+function sendChatMessageNotFound(ws) {
+    sendToClient(ws, {
+        type: 'error',
+        code: 'message_not_found',
+        message: 'El mensaje no existe o ya no está en el historial'
+    });
+}
+
+// Estado actual del mensaje para chat_history: las reacciones pasan a [{ emoji, count, user_ids }]
+function toPublicChatMessage(chatMessage) {
+    const { updated_id, reactions = {}, ...data } = chatMessage;
+    return {
+        ...data,
+        reactions: Object.keys(reactions).map(emoji => ({
+            emoji,
+            count: reactions[emoji].length,
+            user_ids: reactions[emoji]
+        }))
+    };
+}
+
+// Aplica un evento de cambio al mensaje guardado; se usa igual para los eventos
+// propios que para los que llegan de otra instancia
+function applyChatChange(room, event) {
+    const chatMessage = findChatMessage(room, event.message_id);
+    if (!chatMessage) return;
+    
+    switch (event.type) {
+        case 'chat_message_edited':
+            chatMessage.message = event.message;
+            chatMessage.edited_at = event.edited_at;
+            break;
+            
+        case 'chat_message_deleted':
+            chatMessage.message = '';
+            chatMessage.deleted = true;
+            chatMessage.deleted_by = event.deleted_by;
+            chatMessage.deleted_at = event.timestamp;
+            delete chatMessage.reactions;
+            break;
+            
+        case 'chat_reaction_updated':
+            chatMessage.reactions = chatMessage.reactions || {};
+            if (event.user_ids.length > 0) {
+                chatMessage.reactions[event.emoji] = event.user_ids;
+            } else {
+                delete chatMessage.reactions[event.emoji];
+            }
+            break;
+    }
+    chatMessage.updated_id = event.id;
+}
+
+function broadcastChatChange(room, event) {
+    const change = { id: ++room.lastMessageId, ...event, timestamp: Date.now() };
+    applyChatChange(room, change);
+    broadcastToRoom(room.room_code, change);
+}
+
+// ==================== INVITACIONES ====================
+function createInvite(room, createdBy, { expiresIn, maxUses, singleUse } = {}) {
+    const ttl = Math.min(Number(expiresIn) > 0 ? Number(expiresIn) * 1000 : INVITE_DEFAULT_TTL, INVITE_MAX_TTL);
+    const invite = {
+        code: crypto.randomBytes(6).toString('hex').toUpperCase(),
+        created_by: createdBy,
+        created_at: Date.now(),
+        expires_at: Date.now() + ttl,
+        max_uses: singleUse ? 1 : (Number(maxUses) > 0 ? Math.floor(Number(maxUses)) : null),
+        uses: 0
+    };
+    
+    room.invites.set(invite.code, invite);
+    return invite;
+}
+
+// Devuelve la invitación si todavía es válida, o null
+function getValidInvite(room, code) {
+    if (!code) return null;
+    const invite = room.invites.get(String(code).toUpperCase());
+    if (!invite) return null;
+    
+    if (invite.expires_at <= Date.now() || (invite.max_uses !== null && invite.uses >= invite.max_uses)) {
+        room.invites.delete(invite.code);
+        return null;
+    }
+    
+    return invite;
+}
+
+// Invitación de un amigo emitida por el servidor de chat (invite_token). Solo vale
+// mientras quien invitó siga siendo el anfitrión, igual que las invitaciones normales,
+// y una sola vez: usarla (o que el chat la revoque) la marca en el clúster.
+async function getValidFriendInvite(room, token, userId) {
+    const friendInvite = verifyRoomInviteToken(token, room.room_code, userId);
+    if (!friendInvite || friendInvite.inviterId !== String(room.host_user_id)) return null;
+    
+    try {
+        if (await clusterAdapter.get(getRoomInviteRevocationKey(friendInvite.inviteId))) return null;
+    } catch (error) {
+        // Sin poder comprobarlo no se admite a nadie en una sala privada
+        console.error('❌ Error comprobando la invitación en el clúster:', error);
+        return null;
+    }
+    return friendInvite;
+}
+
+function consumeFriendInvite(friendInvite) {
+    const ttl = Math.max(friendInvite.expiresAt - Date.now(), 1000);
+    clusterAdapter.set(getRoomInviteRevocationKey(friendInvite.inviteId), { reason: 'used' }, ttl).catch(error => {
+        console.error('❌ Error marcando la invitación como usada:', error);
+    });
+}
+
+function consumeInvite(room, invite) {
+    invite.uses++;
+    if (invite.max_uses !== null && invite.uses >= invite.max_uses) {
+        room.invites.delete(invite.code);
+    }
+}
+
+function pruneExpiredInvites(room) {
+    const now = Date.now();
+    room.invites.forEach((invite, code) => {
+        if (invite.expires_at <= now) {
+            room.invites.delete(code);
+        }
+    });
+}
+
+// ==================== REANUDACIÓN DE SESIÓN ====================
+// Cuando un socket se cae (cambio de red, recarga), el participante conserva su sitio
+// y el anfitrión durante RECONNECT_GRACE_PERIOD. El cliente vuelve a enviar join con el
+// resume_token de room_joined y el id del último mensaje que recibió, y el servidor le
+// reenvía el chat y los eventos de reproducción posteriores. Las salidas forzadas
+// (expulsión, veto, límite de tasa) no tienen periodo de gracia.
+const NO_GRACE_CLOSE_CODES = [
+    KICK_CLOSE_CODE, BAN_CLOSE_CODE, RATE_LIMIT_CLOSE_CODE, SESSION_REPLACED_CLOSE_CODE, ROOM_CLOSED_CLOSE_CODE
+];
+
+function createResumeToken() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+// Clave del clúster con el token de un sitio guardado, por si la reconexión llega a otra instancia
+function resumeKey(roomCode, userId) {
+    return `resume:${roomCode}:${userId}`;
+}
+
+// Guarda el sitio del participante tras un corte. Devuelve false si debe salir ya.
+function holdParticipant(room, participant, closeCode) {
+    if (RECONNECT_GRACE_PERIOD <= 0 || NO_GRACE_CLOSE_CODES.includes(closeCode)) return false;
+    
+    participant.disconnectedAt = Date.now();
+    participant.graceTimer = setTimeout(() => {
+        if (room.participants.get(participant.userId) !== participant) return;
+        console.log(`⌛ ${participant.username} no volvió a tiempo a ${room.room_code}`);
+        leaveRoomAndNotify(room.room_code, participant.userId, participant.username);
+    }, RECONNECT_GRACE_PERIOD);
+    
+    clusterAdapter.set(resumeKey(room.room_code, participant.userId), {
+        token: participant.resumeToken,
+        instance_id: INSTANCE_ID
+    }, RECONNECT_GRACE_PERIOD).catch(error => {
+        console.error(`❌ No se pudo guardar la sesión de ${participant.username} en el clúster:`, error);
+    });
+    
+    publishParticipants(room);
+    broadcastToRoom(room.room_code, {
+        type: 'participants_update',
+        participants: getRoomParticipants(room.room_code)
+    });
+    checkPendingPlayback(room);
+    
+    console.log(`⏳ Sitio de ${participant.username} guardado en ${room.room_code} durante ${RECONNECT_GRACE_PERIOD / 1000}s`);
+    return true;
+}
+
+function discardHeldSession(room, participant) {
+    clearTimeout(participant.graceTimer);
+    clusterAdapter.del(resumeKey(room.room_code, participant.userId)).catch(() => {});
+}
+
+// La sesión se reanudó en otra instancia: se suelta el sitio sin anunciar la salida
+function releaseHeldParticipant(room, userId) {
+    const participant = room.participants.get(userId);
+    if (!participant || !participant.disconnectedAt) return;
+    
+    clearTimeout(participant.graceTimer);
+    room.participants.delete(userId);
+    if (room.participants.size === 0) room.emptied_at = Date.now();
+    publishParticipants(room);
+}
+
+// Chat y eventos de reproducción posteriores al último id que recibió el cliente. Los
+// mensajes editados, borrados o con reacciones nuevas se reenvían con su estado actual.
+function getMissedEvents(room, lastMessageId) {
+    const sequence = event => event.updated_id || event.id;
+    return room.messages
+        .concat(room.playbackHistory)
+        .filter(event => sequence(event) > lastMessageId)
+        .sort((a, b) => sequence(a) - sequence(b))
+        .map(event => event.type === 'chat_message' ? toPublicChatMessage(event) : event);
+}
+
+// Devuelve true si se reanudó la sesión; si no, el join sigue como una entrada normal
+async function resumeSession(ws, room, userId, username, message) {
+    let participant = room.participants.get(userId);
+    
+    if (participant) {
+        if (participant.resumeToken !== message.resume_token) return false;
+        
+        // Puede que el socket anterior siga medio abierto: se sustituye
+        const previousWs = participant.ws;
+        if (previousWs !== ws && previousWs.readyState === 1) {
+            previousWs.close(SESSION_REPLACED_CLOSE_CODE, 'Sesión reanudada desde otra conexión');
+        }
+        if (participant.disconnectedAt) discardHeldSession(room, participant);
+        
+        participant.ws = ws;
+        participant.disconnectedAt = null;
+        participant.lastSeen = Date.now();
+        publishParticipants(room);
+    } else {
+        // El sitio puede estar guardado en otra instancia del clúster
+        const held = await clusterAdapter.get(resumeKey(room.room_code, userId)).catch(() => null);
+        if (!held || held.token !== message.resume_token || held.instance_id === INSTANCE_ID) return false;
+        
+        publishToCluster({ kind: 'resumed', room_code: room.room_code, user_id: userId });
+        room.remoteParticipants.forEach((list, instanceId) => {
+            room.remoteParticipants.set(instanceId, list.filter(p => p.user_id !== userId));
+        });
+        
+        // El rol y el anfitrión se conservan gracias a room.members y host_user_id
+        const joinResult = joinRoom(room.room_code, userId, username, ws);
+        if (!joinResult || joinResult.error) return false;
+        
+        participant = joinResult.participant;
+        participant.resumeToken = message.resume_token;
+        clusterAdapter.del(resumeKey(room.room_code, userId)).catch(() => {});
+    }
+    
+    const connectionInfo = connections.get(ws);
+    if (connectionInfo) {
+        connectionInfo.isHost = participant.isHost;
+    }
+    
+    const lastMessageId = message.last_message_id || 0;
+    const missed = getMissedEvents(room, lastMessageId);
+    console.log(`🔁 ${username} reanudó su sesión en ${room.room_code} (${missed.length} eventos pendientes)`);
+    
+    sendRoomJoined(ws, room, participant, true);
+    sendToClient(ws, {
+        type: 'session_resumed',
+        room_code: room.room_code,
+        last_message_id: room.lastMessageId,
+        missed_events: missed,
+        timestamp: Date.now()
+    });
+    
+    broadcastToRoom(room.room_code, {
+        type: 'participants_update',
+        participants: getRoomParticipants(room.room_code)
+    });
+    
+    // Estado actual de reproducción, por si se perdieron eventos que ya no están en el historial
+    sendToClient(ws, {
+        type: 'playback_sync',
+        ...getPlaybackState(room),
+        timestamp: Date.now()
+    });
+    return true;
+}
+
+// ==================== API DE ADMINISTRACIÓN ====================
+// Rutas REST para operaciones, protegidas con ADMIN_SECRET o un JWT de administrador
+// (ver authenticateAdmin). Todas las respuestas son JSON { success, ... }.
+//   GET    /admin/rooms                                  -> todas las salas, también privadas
+//   GET    /admin/rooms/:code?messages=50                -> detalle, participantes y chat reciente
+//   POST   /admin/rooms/:code/close       { reason }     -> cierra la sala y desconecta a todos
+//   DELETE /admin/rooms/:code/participants/:userId       -> expulsa a un participante ({ reason } opcional)
+//   POST   /admin/announcements  { message, room_code? } -> aviso del sistema a una sala o a todas
+const ADMIN_ROUTES = [
+    ['GET', /^\/admin\/rooms$/, adminListRooms],
+    ['GET', /^\/admin\/rooms\/([^/]+)$/, adminGetRoom],
+    ['POST', /^\/admin\/rooms\/([^/]+)\/close$/, adminCloseRoom],
+    ['DELETE', /^\/admin\/rooms\/([^/]+)\/participants\/([^/]+)$/, adminRemoveParticipant],
+    ['POST', /^\/admin\/announcements$/, adminAnnounce]
+];
+
+async function handleAdminRequest(req, res) {
+    const auth = authenticateAdmin(req);
+    if (auth.error) {
+        sendJson(res, auth.error.status, { success: false, error: auth.error.message });
+        return;
+    }
+    
+    const { pathname, query } = url.parse(req.url, true);
+    try {
+        const route = matchRoute(ADMIN_ROUTES, req.method, pathname);
+        if (!route) throw httpError(404, 'Ruta no encontrada');
+        if (route.methodNotAllowed) throw httpError(405, 'Método no permitido');
+        
+        const body = req.method === 'GET' ? {} : await readJsonBody(req);
+        const result = await route.handler({ params: route.params, query, body, admin: auth.admin });
+        sendJson(res, 200, { success: true, ...result });
+    } catch (error) {
+        if (!error.status) console.error('❌ Error en la API de administración:', error);
+        sendJson(res, error.status || 500, { success: false, error: error.status ? error.message : 'Error interno' });
+    }
+}
+
+// Las salas de otras instancias se leen del clúster sin crear una copia local: la
+// API solo consulta o publica eventos, no tiene sockets que atender en ellas
+async function getAdminRoom(roomCode) {
+    const code = roomCode.toUpperCase();
+    const room = getRoom(code) || await loadClusterRoom(code);
+    if (!room) throw httpError(404, 'La sala no existe');
+    return room;
+}
+
+function requireText(value, field, maxLength) {
+    if (typeof value !== 'string' || value.trim() === '') {
+        throw httpError(400, `${field} es obligatorio`);
+    }
+    if (value.length > maxLength) {
+        throw httpError(400, `${field} debe tener como máximo ${maxLength} caracteres`);
+    }
+    return value.trim();
+}
+
+async function adminListRooms() {
+    const cluster = await getClusterStats();
+    return { rooms: cluster.rooms };
+}
+
+async function adminGetRoom({ params, query }) {
+    const room = await getAdminRoom(params[0]);
+    const limit = Math.min(Math.max(parseInt(query.messages) || 50, 0), 200);
+    
+    return {
+        room: {
+            room_code: room.room_code,
+            room_name: room.room_name,
+            host_user_id: room.host_user_id,
+            host_username: room.host_username,
+            is_private: room.is_private,
+            max_participants: room.max_participants,
+            created_at: room.created_at,
+            policies: room.policies,
+            slow_mode: room.slow_mode,
+            wait_mode: room.wait_mode,
+            playback: getPlaybackState(room),
+            queue: getQueueState(room),
+            bans: room.bans,
+            mutes: room.mutes,
+            participants: listRoomParticipants(room),
+            messages: limit > 0 ? room.messages.slice(-limit).map(toPublicChatMessage) : []
+        }
+    };
+}
+
+async function adminCloseRoom({ params, body, admin }) {
+    const room = await getAdminRoom(params[0]);
+    const reason = requireText(body.reason, 'reason', 200);
+    
+    closeRoom(room, reason);
+    console.log(`🛑 Sala ${room.room_code} cerrada por el administrador ${admin.username}: ${reason}`);
+    return { room_code: room.room_code };
+}
+
+async function adminRemoveParticipant({ params, body, admin }) {
+    const room = await getAdminRoom(params[0]);
+    const userId = params[1];
+    
+    const participant = room.participants.get(userId) || getRemoteParticipants(room).find(p => p.userId === userId);
+    if (!participant) throw httpError(404, 'El participante no está en la sala');
+    
+    const reason = body.reason ? requireText(body.reason, 'reason', 200) : 'Expulsado por un administrador';
+    kickParticipant(room, { userId, username: participant.username }, reason);
+    console.log(`🛡️ ${admin.username} expulsó a ${participant.username} de ${room.room_code}`);
+    return { room_code: room.room_code, user_id: userId };
+}
+
+async function adminAnnounce({ body, admin }) {
+    const text = requireText(body.message, 'message', 1000);
+    const announcement = {
+        type: 'system_message',
+        message: text,
+        announcement: true,
+        timestamp: Date.now()
+    };
+    
+    let roomCodes;
+    if (body.room_code) {
+        roomCodes = [(await getAdminRoom(String(body.room_code))).room_code];
+    } else {
+        roomCodes = (await getClusterStats()).rooms.map(room => room.room_code);
+    }
+    
+    // Se envía desde esta instancia una sola vez por sala; broadcastRoomMessage lo
+    // reparte al resto del clúster
+    let delivered = 0;
+    for (const roomCode of roomCodes) {
+        const room = getRoom(roomCode) || await loadClusterRoom(roomCode).catch(() => null);
+        if (!room) continue;
+        broadcastRoomMessage(room, announcement);
+        delivered++;
+    }
+    
+    console.log(`📢 Anuncio de ${admin.username} enviado a ${delivered} salas`);
+    return { rooms: delivered };
+}
+
+// Cierra la sala en todo el clúster: avisa a los participantes, los desconecta y
+// borra la sala y su estado compartido
+function closeRoom(room, reason) {
+    const notice = {
+        type: 'room_closed',
+        room_code: room.room_code,
+        reason,
+        timestamp: Date.now()
+    };
+    
+    publishToCluster({ kind: 'close_room', room_code: room.room_code, notice });
+    closeLocalRoom(room, notice);
+    
+    Promise.all([
+        clusterAdapter.del(`room:${room.room_code}`),
+        clusterAdapter.del(`room-state:${room.room_code}`)
+    ]).catch(error => {
+        console.error(`❌ No se pudo borrar la sala ${room.room_code} del clúster:`, error);
+    });
+}
+
+function closeLocalRoom(room, notice) {
+    // Primero se borra: así el cierre de los sockets no intenta salir de la sala
+    deleteRoom(room.room_code);
+    clusterAdapter.del(`participants:${room.room_code}:${INSTANCE_ID}`).catch(() => {});
+    
+    room.participants.forEach(participant => {
+        if (participant.disconnectedAt) {
+            discardHeldSession(room, participant);
+            return;
+        }
+        sendToClient(participant.ws, notice);
+        participant.ws.close(ROOM_CLOSED_CLOSE_CODE, 'Sala cerrada por un administrador');
+    });
+}
+
+// ==================== MANEJO DE WEBSOCKET ====================
+const server = http.createServer(async (req, res) => {
+    // Endpoint de salud para Render (cifras de todo el clúster)
+    if (req.url === '/health') {
+        const cluster = await getClusterStats();
+        // 503 mientras drena para que el balanceador saque la instancia de la rotación
+        res.writeHead(draining ? 503 : 200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ 
+            status: draining ? 'draining' : 'ok', 
+            rooms: cluster.rooms.length,
+            connections: cluster.connections,
+            instances: cluster.instances,
+            instance: {
+                id: INSTANCE_ID,
+                rooms: rooms.size,
+                connections: connections.size
+            }
+        }));
+        return;
+    }
+    
+    // Métricas en formato Prometheus
+    if (req.url === '/metrics') {
+        if (!isMetricsRequestAllowed(req, METRICS_TOKEN)) {
+            res.writeHead(401, { 'Content-Type': 'text/plain' });
+            res.end('Unauthorized');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': metrics.contentType });
+        res.end(metrics.render());
+        return;
+    }
+    
+    // API de administración
+    if (req.url.startsWith('/admin/')) {
+        await handleAdminRequest(req, res);
+        return;
+    }
+    
+    // Esquemas del protocolo, para generar tipos en el frontend
+    if (req.url === '/protocol') {
+        res.writeHead(200, {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*'
+        });
+        res.end(JSON.stringify(exportSchemas()));
+        return;
+    }
+    
+    // Endpoint para obtener información de salas públicas de todo el clúster
+    if (req.url === '/public-rooms') {
+        const cluster = await getClusterStats();
+        const publicRooms = cluster.rooms
+            .filter(room => !room.is_private && room.participant_count > 0)
+            .map(({ is_private, ...room }) => room);
+        
+        res.writeHead(200, { 
+            'Content-Type': 'application/json', 
+            'Access-Control-Allow-Origin': '*',
+            'Cache-Control': 'no-cache'
+        });
+        res.end(JSON.stringify({ success: true, rooms: publicRooms }));
+        return;
+    }
+    
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not Found');
+});
+
+const wss = new WebSocket.Server({ 
+    server, 
+    path: '/watch-party',
+    perMessageDeflate: false, // Desactivar compresión para menor latencia
+    maxPayload: MAX_MESSAGE_SIZE, // Frames mayores cierran la conexión con 1009
+    // Límite de conexiones por IP antes de verificar el token
+    verifyClient: limitConnections(connectionLimiter, verifyClient, { trustProxy: TRUST_PROXY }),
+    handleProtocols
+});
+
+wss.on('connection', (ws, req) => {
+    console.log('🔌 Nueva conexión WebSocket');
+    
+    // La identidad sale del token verificado durante el upgrade, nunca de la query
+    if (req.auth.error) {
+        console.log(`🔒 Conexión rechazada: ${req.auth.error.reason}`);
+        ws.close(req.auth.error.code, req.auth.error.reason);
+        return;
+    }
+    
+    const query = url.parse(req.url, true).query;
+    const roomCode = query.room?.toUpperCase();
+    const userId = req.auth.user.id;
+    const username = req.auth.user.username;
+    
+    if (!roomCode) {
+        ws.close(1008, 'Parámetros inválidos: se requiere room');
+        return;
+    }
+    
+    const protocolVersion = negotiateVersion(query.protocol);
+    if (!protocolVersion) {
+        ws.close(PROTOCOL_CLOSE_CODE, `Versión de protocolo no soportada (soportadas: ${SUPPORTED_VERSIONS.join(', ')})`);
+        return;
+    }
+    
+    // Mientras drena, las conexiones nuevas se mandan directamente a reconectar
+    if (draining) {
+        sendDrainNotice(ws);
+        ws.close(SERVER_RESTART_CLOSE_CODE, 'Servidor reiniciándose');
+        return;
+    }
+    
+    // Registrar conexión
+    const connection = { roomCode, userId, username, ws, protocolVersion, isAlive: true };
+    connections.set(ws, connection);
+    
+    // Configurar heartbeat para mantener conexión activa
+    ws.on('pong', () => {
+        connection.isAlive = true;
+    });
+    
+    // Manejar mensajes
+    const rateLimitState = rateLimiter.createConnectionState();
+    ws.on('message', async (data) => {
+        try {
+            const message = JSON.parse(data.toString());
+            if (!enforceRateLimit(rateLimiter, ws, rateLimitState, userId, message.type, RATE_LIMIT_CLOSE_CODE)) {
+                return;
+            }
+            
+            const errors = validateInbound(message, protocolVersion);
+            // Solo los tipos válidos se usan como etiqueta, para no crear series sin límite
+            messagesReceived.inc({ type: errors.length > 0 ? 'invalid' : message.type });
+            if (errors.length > 0) {
+                sendToClient(ws, {
+                    type: 'error',
+                    code: 'invalid_message',
+                    message: `Mensaje inválido: ${errors[0].field} ${errors[0].message}`,
+                    message_type: typeof message.type === 'string' ? message.type : null,
+                    errors
+                });
+                return;
+            }
+            
+            await handleMessage(ws, roomCode, userId, username, message);
+        } catch (error) {
+            messagesReceived.inc({ type: 'invalid' });
+            // Los mensajes ilegibles también cuentan para el límite
+            if (!enforceRateLimit(rateLimiter, ws, rateLimitState, userId, 'invalid', RATE_LIMIT_CLOSE_CODE)) {
+                return;
+            }
+            console.error('❌ Error al procesar mensaje:', error);
+            sendToClient(ws, {
+                type: 'error',
+                message: 'Error al procesar el mensaje'
+            });
+        }
+    });
+    
+    // Manejar cierre
+    ws.on('close', (code, reason) => {
+        console.log(`👋 ${username} (${userId}) desconectado. Código: ${code}, Razón: ${reason || 'Sin razón'}`);
+        const connectionInfo = connections.get(ws);
+        if (!connectionInfo) return;
+        connections.delete(ws);
+        
+        const room = getRoom(connectionInfo.roomCode);
+        const participant = room && room.participants.get(userId);
+        // Si el sitio ya pertenece a otra conexión (sesión reanudada o pestaña nueva), no se toca
+        if (!participant || participant.ws !== ws) return;
+        
+        // Un corte de red no saca al participante: se le guarda el sitio un tiempo
+        if (holdParticipant(room, participant, code)) return;
+        
+        leaveRoomAndNotify(room.room_code, userId, username);
+    });
+    
+    // Manejar errores
+    ws.on('error', (error) => {
+        console.error('❌ Error en WebSocket:', error);
+    });
+    
+    // Enviar confirmación de conexión
+    sendToClient(ws, {
+        type: 'connected',
+        message: 'Conectado al servidor Watch Party',
+        room: roomCode,
+        user: { id: userId, username: username },
+        protocol_version: protocolVersion,
+        supported_versions: SUPPORTED_VERSIONS
+    });
+});
+
+// ==================== MANEJO DE MENSAJES ====================
+async function handleMessage(ws, roomCode, userId, username, message) {
+    console.log(`📨 Mensaje de ${username} (${userId}) en ${roomCode}: ${message.type}`);
+    
+    switch (message.type) {
+        case 'join':
+            await handleJoin(ws, roomCode, userId, username, message);
+            break;
+            
+        case 'chat_message':
+            await handleChatMessage(ws, roomCode, userId, username, message);
+            break;
+            
+        case 'edit_message':
+            handleEditMessage(ws, roomCode, userId, message);
+            break;
+            
+        case 'delete_message':
+            handleDeleteMessage(ws, roomCode, userId, message);
+            break;
+            
+        case 'add_reaction':
+        case 'remove_reaction':
+            handleReaction(ws, roomCode, userId, message);
+            break;
+            
+        case 'playback_update':
+            await handlePlaybackUpdate(ws, roomCode, userId, username, message);
+            break;
+            
+        case 'player_state':
+            handlePlayerState(ws, roomCode, userId, username, message);
+            break;
+            
+        case 'set_wait_mode':
+            handleSetWaitMode(ws, roomCode, userId, message);
+            break;
+            
+        case 'create_poll':
+            handleCreatePoll(ws, roomCode, userId, username, message);
+            break;
+            
+        case 'start_vote':
+            handleStartVote(ws, roomCode, userId, username, message);
+            break;
+            
+        case 'poll_vote':
+            handlePollVote(ws, roomCode, userId, message);
+            break;
+            
+        case 'close_poll':
+            handleClosePoll(ws, roomCode, userId, message);
+            break;
+            
+        case 'participants_request':
+            handleParticipantsRequest(ws, roomCode);
+            break;
+            
+        case 'sync_request':
+            handleSyncRequest(ws, roomCode);
+            break;
+            
+        case 'time_sync':
+            handleTimeSync(ws, message);
+            break;
+            
+        case 'leave':
+            await handleLeave(roomCode, userId, username);
+            break;
+            
+        case 'create_invite':
+            handleCreateInvite(ws, roomCode, userId, message);
+            break;
+            
+        case 'list_invites':
+            handleListInvites(ws, roomCode, userId);
+            break;
+            
+        case 'revoke_invite':
+            handleRevokeInvite(ws, roomCode, userId, message);
+            break;
+            
+        case 'set_role':
+            handleSetRole(ws, roomCode, userId, message);
+            break;
+            
+        case 'update_policies':
+            handleUpdatePolicies(ws, roomCode, userId, message);
+            break;
+            
+        case 'change_video':
+            handleChangeVideo(ws, roomCode, userId, username, message);
+            break;
+            
+        case 'kick':
+            handleKick(ws, roomCode, userId, message);
+            break;
+            
+        case 'ban':
+            handleBan(ws, roomCode, userId, message);
+            break;
+            
+        case 'unban':
+            handleUnban(ws, roomCode, userId, message);
+            break;
+            
+        case 'mute':
+            handleMute(ws, roomCode, userId, message);
+            break;
+            
+        case 'unmute':
+            handleUnmute(ws, roomCode, userId, message);
+            break;
+            
+        case 'slow_mode':
+            handleSlowMode(ws, roomCode, userId, message);
+            break;
+            
+        case 'queue_add':
+            handleQueueAdd(ws, roomCode, userId, username, message);
+            break;
+            
+        case 'queue_remove':
+            handleQueueRemove(ws, roomCode, userId, message);
+            break;
+            
+        case 'queue_move':
+            handleQueueMove(ws, roomCode, userId, message);
+            break;
+            
+        case 'queue_skip':
+            handleQueueSkip(ws, roomCode, userId, username);
+            break;
+            
+        case 'video_ended':
+            handleVideoEnded(roomCode, userId, message);
+            break;
+            
+        default:
+            console.warn(`⚠️ Tipo de mensaje desconocido: ${message.type}`);
+    }
+}
+
+async function handleJoin(ws, roomCode, userId, username, message) {
+    // La sala puede existir solo en otra instancia del clúster
+    let room = getRoom(roomCode) || await fetchClusterRoom(roomCode).catch(error => {
+        console.error(`❌ Error buscando la sala ${roomCode} en el clúster:`, error);
+        return null;
+    });
+    
+    // Reconexión dentro del periodo de gracia: recupera su sitio y lo que se perdió
+    if (room && message.resume_token && await resumeSession(ws, room, userId, username, message)) {
+        return;
+    }
+    
+    // "create" solo tiene efecto si la sala aún no existe; así nadie se apropia de una sala ajena
+    let isCreating = !room && (message.create || false);
+    let invite = null;
+    let friendInvite = null;
+    
+    // Si la sala no existe, crearla
+    if (!room) {
+        if (isCreating && draining) {
+            sendToClient(ws, {
+                type: 'error',
+                code: 'server_draining',
+                message: 'El servidor se está reiniciando. Vuelve a intentarlo en unos segundos.',
+                retry_after: DRAIN_RETRY_AFTER
+            });
+            return;
+        }
+        if (isCreating) {
+            room = createRoom(
+                roomCode,
+                message.room_name,
+                userId,
+                username,
+                message.video_id,
+                message.max_participants || 10,
+                message.is_private || false,
+                message.policies
+            );
+            console.log(`🎉 Sala ${roomCode} creada por ${username}`);
+        } else {
+            sendToClient(ws, {
+                type: 'error',
+                message: 'La sala no existe'
+            });
+            return;
+        }
+    } else if (room.is_private && room.host_user_id !== userId && !room.members[userId]) {
+        // Para salas privadas se necesita una invitación válida (el anfitrión y los miembros pueden volver a entrar)
+        friendInvite = message.invite_token ? await getValidFriendInvite(room, message.invite_token, userId) : null;
+        invite = friendInvite ? null : getValidInvite(room, message.invite_code);
+        if (!invite && !friendInvite) {
+            const hasInvite = Boolean(message.invite_code || message.invite_token);
+            sendToClient(ws, {
+                type: 'error',
+                code: hasInvite ? 'invite_invalid' : 'invite_required',
+                message: hasInvite
+                    ? 'La invitación no es válida o ha expirado'
+                    : 'Esta sala es privada. Necesitas una invitación para unirte.'
+            });
+            return;
+        }
+    }
+    
+    // Unirse a la sala
+    const joinResult = joinRoom(roomCode, userId, username, ws, isCreating);
+    if (joinResult && joinResult.error) {
+        sendToClient(ws, {
+            type: 'error',
+            code: joinResult.code,
+            message: joinResult.error,
+            reason: joinResult.reason
+        });
+        return;
+    }
+    
+    if (!joinResult) {
+        console.error(`Error al unirse a la sala ${roomCode}`);
+        return;
+    }
+    
+    if (invite) {
+        consumeInvite(room, invite);
+        console.log(`🎟️ ${username} entró a ${roomCode} con la invitación ${invite.code}`);
+    }
+    if (friendInvite) {
+        consumeFriendInvite(friendInvite);
+        console.log(`🎟️ ${username} entró a ${roomCode} invitado por ${friendInvite.inviterId} desde el chat`);
+    }
+    
+    // Actualizar conexión con información de la sala
+    const connectionInfo = connections.get(ws);
+    if (connectionInfo) {
+        connectionInfo.isHost = joinResult.isHost;
+    }
+    
+    // Enviar información de la sala al nuevo participante
+    sendRoomJoined(ws, room, joinResult.participant, false);
+    
+    // Notificar a todos sobre el nuevo participante (excepto al mismo)
+    broadcastToRoom(roomCode, {
+        type: 'user_joined',
+        user_id: userId,
+        username: username,
+        isHost: joinResult.isHost,
+        role: joinResult.participant.role,
+        timestamp: Date.now()
+    }, ws);
+    
+    // Enviar lista actualizada de participantes a todos
+    const participantsUpdate = {
+        type: 'participants_update',
+        participants: getRoomParticipants(roomCode)
+    };
+    
+    // Enviar al nuevo participante también
+    sendToClient(ws, participantsUpdate);
+    
+    // Enviar también a los demás
+    broadcastToRoom(roomCode, participantsUpdate, ws);
+    
+    // Enviar historial del chat (últimos 50 mensajes)
+    if (room.messages && room.messages.length > 0) {
+        sendToClient(ws, {
+            type: 'chat_history',
+            messages: room.messages.slice(-50).map(msg => toPublicChatMessage({
+                ...msg,
+                timestamp: msg.timestamp || Date.now()
+            }))
+        });
+    }
+    
+    // Enviar estado actual de reproducción, proyectado al instante actual
+    sendToClient(ws, {
+        type: 'playback_sync',
+        ...getPlaybackState(room),
+        timestamp: Date.now()
+    });
+}
+
+function sendRoomJoined(ws, room, participant, resumed) {
+    sendToClient(ws, {
+        type: 'room_joined',
+        room: {
+            room_code: room.room_code,
+            room_name: room.room_name,
+            host_user_id: room.host_user_id,
+            host_username: room.host_username,
+            video_id: room.video_id,
+            max_participants: room.max_participants,
+            is_private: room.is_private,
+            video_current_time: getCurrentPlaybackTime(room),
+            is_playing: room.is_playing || false,
+            policies: room.policies,
+            queue: getQueueState(room),
+            wait_mode: room.wait_mode,
+            polls: getActivePolls(room),
+            created_at: room.created_at
+        },
+        user: {
+            id: participant.userId,
+            username: participant.username,
+            isHost: participant.isHost,
+            role: participant.role
+        },
+        // Para reanudar la sesión si se corta la conexión
+        resume_token: participant.resumeToken,
+        resumed
+    });
+}
+
+async function handleChatMessage(ws, roomCode, userId, username, message) {
+    const room = getRoom(roomCode);
+    if (!room) return;
+    
+    // Validar que el mensaje tenga contenido
+    if (!message.message || message.message.trim() === '') {
+        return;
+    }
+    
+    // Asegurarse de que el usuario esté en la sala
+    const participant = room.participants.get(userId);
+    if (!participant) {
+        console.log(`Usuario ${userId} no encontrado en la sala ${roomCode}`);
+        return;
+    }
+    
+    if (!ensureCanChat(ws, room, participant)) return;
+    
+    // La respuesta tiene que apuntar a un mensaje que siga en el historial
+    const replyTo = message.reply_to ? findChatMessage(room, message.reply_to) : null;
+    if (message.reply_to && (!replyTo || replyTo.deleted)) {
+        sendChatMessageNotFound(ws);
+        return;
+    }
+    
+    // Modo lento: los co-anfitriones y el anfitrión no están limitados
+    if (room.slow_mode > 0 && getRoleRank(participant.role) < getRoleRank('cohost')) {
+        const elapsed = Date.now() - (participant.lastChatAt || 0);
+        if (elapsed < room.slow_mode * 1000) {
+            sendToClient(ws, {
+                type: 'error',
+                code: 'slow_mode',
+                message: `Modo lento activado: espera ${room.slow_mode} segundos entre mensajes`,
+                retry_after: Math.ceil((room.slow_mode * 1000 - elapsed) / 1000)
+            });
+            return;
+        }
+    }
+    participant.lastChatAt = Date.now();
+    
+    const chatMessage = {
+        id: ++room.lastMessageId,
+        type: 'chat_message',
+        user_id: userId,
+        username: username,
+        message: message.message.trim(),
+        reply_to: replyTo ? replyTo.id : null,
+        timestamp: Date.now()
+    };
+    
+    // Guardar en memoria (máximo 200 mensajes)
+    room.messages.push(chatMessage);
+    if (room.messages.length > 200) {
+        room.messages = room.messages.slice(-200);
+    }
+    
+    // Transmitir a todos en la sala INCLUYENDO al remitente
+    broadcastToRoom(roomCode, chatMessage);
+    
+    console.log(`💬 Chat en ${roomCode}: ${username}: ${message.message.substring(0, 50)}...`);
+}
+
+function handleEditMessage(ws, roomCode, userId, message) {
+    const room = getRoom(roomCode);
+    if (!room) return;
+    
+    const participant = room.participants.get(userId);
+    if (!participant || !ensureCanChat(ws, room, participant)) return;
+    
+    const chatMessage = findChatMessage(room, message.message_id);
+    if (!chatMessage || chatMessage.deleted) {
+        sendChatMessageNotFound(ws);
+        return;
+    }
+    
+    if (!canEditChatMessage(chatMessage, userId)) {
+        sendForbidden(ws, 'edit_message', `Solo puedes editar tus mensajes durante ${CHAT_EDIT_WINDOW / 60000} minutos`);
+        return;
+    }
+    
+    const text = message.message.trim();
+    if (text === '' || text === chatMessage.message) return;
+    
+    broadcastChatChange(room, {
+        type: 'chat_message_edited',
+        message_id: chatMessage.id,
+        user_id: userId,
+        message: text,
+        edited_at: Date.now()
+    });
+    
+    console.log(`✏️ Mensaje ${chatMessage.id} editado en ${roomCode}`);
+}
+
+function handleDeleteMessage(ws, roomCode, userId, message) {
+    const room = getRoom(roomCode);
+    if (!room) return;
+    
+    const participant = room.participants.get(userId);
+    if (!participant) return;
+    
+    const chatMessage = findChatMessage(room, message.message_id);
+    if (!chatMessage || chatMessage.deleted) {
+        sendChatMessageNotFound(ws);
+        return;
+    }
+    
+    // El anfitrión puede borrar cualquier mensaje; el autor, los suyos dentro del plazo
+    if (!participant.isHost && !canEditChatMessage(chatMessage, userId)) {
+        sendForbidden(ws, 'delete_message', `Solo puedes borrar tus mensajes durante ${CHAT_EDIT_WINDOW / 60000} minutos`);
+        return;
+    }
+    
+    broadcastChatChange(room, {
+        type: 'chat_message_deleted',
+        message_id: chatMessage.id,
+        deleted_by: userId
+    });
+    
+    console.log(`🗑️ Mensaje ${chatMessage.id} borrado en ${roomCode} por ${participant.username}`);
+}
+
+function handleReaction(ws, roomCode, userId, message) {
+    const room = getRoom(roomCode);
+    if (!room) return;
+    
+    const participant = room.participants.get(userId);
+    if (!participant || !ensureCanChat(ws, room, participant)) return;
+    
+    const chatMessage = findChatMessage(room, message.message_id);
+    if (!chatMessage || chatMessage.deleted) {
+        sendChatMessageNotFound(ws);
+        return;
+    }
+    
+    const emoji = message.emoji;
+    if (!isEmoji(emoji)) {
+        sendToClient(ws, { type: 'error', code: 'invalid_emoji', message: 'La reacción debe ser un emoji' });
+        return;
+    }
+    
+    const reactions = chatMessage.reactions || {};
+    const current = reactions[emoji] || [];
+    const adding = message.type === 'add_reaction';
+    
+    if (adding === current.includes(userId)) return; // Nada que cambiar
+    if (adding && !reactions[emoji] && Object.keys(reactions).length >= MAX_REACTIONS_PER_MESSAGE) {
+        sendToClient(ws, {
+            type: 'error',
+            code: 'too_many_reactions',
+            message: `Un mensaje admite como máximo ${MAX_REACTIONS_PER_MESSAGE} reacciones distintas`
+        });
+        return;
+    }
+    
+    const userIds = adding ? current.concat(userId) : current.filter(id => id !== userId);
+    broadcastChatChange(room, {
+        type: 'chat_reaction_updated',
+        message_id: chatMessage.id,
+        emoji,
+        action: adding ? 'add' : 'remove',
+        user_id: userId,
+        count: userIds.length,
+        user_ids: userIds
+    });
+}
+
+async function handlePlaybackUpdate(ws, roomCode, userId, username, message) {
+    const room = getRoom(roomCode);
+    if (!room) return;
+    
+    if (!canPerform(room, room.participants.get(userId), 'playback')) {
+        sendForbidden(ws, 'playback', 'No tienes permiso para controlar la reproducción');
+        return;
+    }
+    
+    // En modo espera, play y seek durante la reproducción esperan a que todos estén listos;
+    // una pausa cancela la espera
+    if (room.wait_mode.enabled) {
+        if (message.is_playing) {
+            holdPlayback(room, message.current_time, { userId, username, reason: 'play' });
+            return;
+        }
+        room.pending_play = null;
+        clearPendingPlayTimer(roomCode);
+    }
+    
+    // Transmitir a todos excepto al remitente
+    applyPlaybackChange(room, message.current_time, message.is_playing, {
+        userId,
+        username,
+        eventType: message.event_type || 'update'
+    }, userId);
+}
+
+function handlePlayerState(ws, roomCode, userId, username, message) {
+    const room = getRoom(roomCode);
+    if (!room) return;
+    
+    const participant = room.participants.get(userId);
+    if (!participant || participant.playerState === message.state) return;
+    
+    participant.playerState = message.state;
+    publishParticipants(room);
+    broadcastToRoom(roomCode, {
+        type: 'player_state_updated',
+        user_id: userId,
+        username,
+        state: message.state,
+        timestamp: Date.now()
+    });
+    
+    if (!room.wait_mode.enabled) return;
+    
+    // Pausa automática si alguien se queda cargando (no durante la cuenta atrás de un inicio coordinado)
+    if (message.state === 'buffering' && room.is_playing && room.playback_updated_at <= Date.now()) {
+        console.log(`⏸️ ${roomCode} en pausa: ${username} está cargando`);
+        holdPlayback(room, getCurrentPlaybackTime(room), { userId, username, reason: 'buffering' });
+        return;
+    }
+    
+    checkPendingPlayback(room);
+}
+
+function handleSetWaitMode(ws, roomCode, userId, message) {
+    const room = getRoom(roomCode);
+    if (!room) return;
+    
+    const actor = room.participants.get(userId);
+    if (!actor || getRoleRank(actor.role) < getRoleRank('cohost')) {
+        sendForbidden(ws, 'set_wait_mode', 'Solo el anfitrión y los co-anfitriones pueden cambiar el modo de espera');
+        return;
+    }
+    
+    room.wait_mode = {
+        enabled: message.enabled,
+        quorum: message.quorum !== undefined ? message.quorum : room.wait_mode.quorum
+    };
+    
+    broadcastToRoom(roomCode, {
+        type: 'wait_mode_updated',
+        wait_mode: room.wait_mode,
+        timestamp: Date.now()
+    });
+    
+    // Sin modo espera no hay nada que esperar
+    if (!room.wait_mode.enabled) {
+        startPendingPlayback(room);
+    } else {
+        checkPendingPlayback(room);
+    }
+}
+
+function handleCreatePoll(ws, roomCode, userId, username, message) {
+    const room = getRoom(roomCode);
+    if (!room) return;
+    
+    if (!canPerform(room, room.participants.get(userId), 'polls')) {
+        sendForbidden(ws, 'create_poll', 'No tienes permiso para crear encuestas en esta sala');
+        return;
+    }
+    
+    if (Object.keys(room.polls).length >= MAX_ACTIVE_POLLS) {
+        sendToClient(ws, {
+            type: 'error',
+            code: 'too_many_polls',
+            message: `Ya hay ${MAX_ACTIVE_POLLS} encuestas abiertas en la sala`
+        });
+        return;
+    }
+    
+    const options = message.options.map(option => option.trim()).filter(Boolean);
+    if (new Set(options).size !== options.length || options.length < 2) {
+        sendToClient(ws, { type: 'error', code: 'invalid_poll', message: 'La encuesta necesita al menos dos opciones distintas' });
+        return;
+    }
+    
+    createPoll(room, {
+        kind: 'poll',
+        question: message.question.trim(),
+        options,
+        duration: message.duration,
+        userId,
+        username
+    });
+}
+
+function handleStartVote(ws, roomCode, userId, username, message) {
+    const room = getRoom(roomCode);
+    if (!room) return;
+    
+    if (!canPerform(room, room.participants.get(userId), 'polls')) {
+        sendForbidden(ws, 'start_vote', 'No tienes permiso para iniciar votaciones en esta sala');
+        return;
+    }
+    
+    // Una sola votación de reproducción a la vez
+    if (Object.values(room.polls).some(poll => poll.kind !== 'poll')) {
+        sendToClient(ws, { type: 'error', code: 'vote_in_progress', message: 'Ya hay una votación en curso' });
+        return;
+    }
+    
+    if (message.kind === 'skip' && room.queue.length === 0) {
+        sendToClient(ws, { type: 'error', code: 'queue_empty', message: 'No hay más videos en la cola' });
+        return;
+    }
+    
+    if (message.kind === 'seek' && message.target_time === undefined) {
+        sendToClient(ws, { type: 'error', code: 'invalid_vote', message: 'Indica a qué minuto quieres ir (target_time)' });
+        return;
+    }
+    
+    const poll = createPoll(room, {
+        kind: message.kind,
+        question: message.kind === 'skip'
+            ? '¿Saltamos este video?'
+            : `¿Vamos al ${formatPlaybackTime(message.target_time)}?`,
+        options: YES_NO_OPTIONS,
+        duration: message.duration,
+        targetTime: message.target_time,
+        userId,
+        username
+    });
+    
+    // Quien la propone vota a favor
+    castVote(room, poll, userId, 0);
+}
+
+function handlePollVote(ws, roomCode, userId, message) {
+    const room = getRoom(roomCode);
+    if (!room || !room.participants.has(userId)) return;
+    
+    const poll = room.polls[message.poll_id];
+    if (!poll) {
+        sendToClient(ws, { type: 'error', code: 'poll_not_found', message: 'La encuesta no existe o ya está cerrada' });
+        return;
+    }
+    
+    if (poll.votes[userId] !== undefined) {
+        sendToClient(ws, { type: 'error', code: 'already_voted', message: 'Ya has votado en esta encuesta' });
+        return;
+    }
+    
+    if (message.option_id >= poll.options.length) {
+        sendToClient(ws, { type: 'error', code: 'invalid_option', message: 'Esa opción no existe' });
+        return;
+    }
+    
+    castVote(room, poll, userId, message.option_id);
+}
+
+function castVote(room, poll, userId, optionId) {
+    poll.votes[userId] = optionId;
+    
+    if (poll.kind !== 'poll') {
+        const yes = Object.values(poll.votes).filter(vote => vote === 0).length;
+        const pending = getParticipantCount(room) - Object.keys(poll.votes).length;
+        const required = getVoteThreshold(room);
+        
+        if (yes >= required) {
+            closePoll(room, poll, 'passed');
+            applyVoteResult(room, poll);
+            return;
+        }
+        // Ni con los votos que faltan se llegaría
+        if (yes + pending < required) {
+            closePoll(room, poll, 'rejected');
+            return;
+        }
+    }
+    
+    broadcastToRoom(room.room_code, {
+        type: 'poll_updated',
+        poll: toPublicPoll(room, poll),
+        timestamp: Date.now()
+    });
+}
+
+function handleClosePoll(ws, roomCode, userId, message) {
+    const room = getRoom(roomCode);
+    if (!room) return;
+    
+    const poll = room.polls[message.poll_id];
+    if (!poll) {
+        sendToClient(ws, { type: 'error', code: 'poll_not_found', message: 'La encuesta no existe o ya está cerrada' });
+        return;
+    }
+    
+    // Puede cerrarla quien la creó o el anfitrión
+    const actor = room.participants.get(userId);
+    if (!actor || (poll.created_by !== userId && !actor.isHost)) {
+        sendForbidden(ws, 'close_poll', 'Solo quien creó la encuesta o el anfitrión pueden cerrarla');
+        return;
+    }
+    
+    closePoll(room, poll, 'closed');
+}
+
+function handleParticipantsRequest(ws, roomCode) {
+    const participants = getRoomParticipants(roomCode);
+    sendToClient(ws, {
+        type: 'participants_list',
+        participants: participants
+    });
+}
+
+function handleSyncRequest(ws, roomCode) {
+    const room = getRoom(roomCode);
+    if (!room) return;
+    
+    sendToClient(ws, {
+        type: 'playback_sync',
+        ...getPlaybackState(room),
+        timestamp: Date.now()
+    });
+}
+
+// Intercambio estilo NTP: el cliente envía client_time (t0) y al recibir la respuesta (t3)
+// calcula offset = ((t1 - t0) + (t2 - t3)) / 2 y rtt = (t3 - t0) - (t2 - t1)
+function handleTimeSync(ws, message) {
+    const receivedAt = Date.now();
+    sendToClient(ws, {
+        type: 'time_sync_response',
+        client_time: message.client_time,
+        server_receive_time: receivedAt,
+        server_send_time: Date.now()
+    });
+}
+
+async function handleLeave(roomCode, userId, username) {
+    const room = getRoom(roomCode);
+    if (!room) return;
+    
+    leaveRoomAndNotify(roomCode, userId, username);
+}
+
+function handleCreateInvite(ws, roomCode, userId, message) {
+    const room = getRoom(roomCode);
+    if (!room) return;
+    
+    const participant = room.participants.get(userId);
+    if (!participant || !participant.isHost) {
+        sendForbidden(ws, 'create_invite', 'Solo el anfitrión puede crear invitaciones');
+        return;
+    }
+    
+    const invite = createInvite(room, userId, {
+        expiresIn: message.expires_in,
+        maxUses: message.max_uses,
+        singleUse: message.single_use
+    });
+    
+    console.log(`🎟️ Invitación ${invite.code} creada en ${roomCode}`);
+    sendToClient(ws, {
+        type: 'invite_created',
+        room_code: roomCode,
+        invite
+    });
+}
+
+function handleListInvites(ws, roomCode, userId) {
+    const room = getRoom(roomCode);
+    if (!room) return;
+    
+    const participant = room.participants.get(userId);
+    if (!participant || !participant.isHost) {
+        sendForbidden(ws, 'list_invites', 'Solo el anfitrión puede ver las invitaciones');
         return;
     }
     
-    // Unirse a la sala
-    const joinResult = joinRoom(roomCode, userId, username, ws, isCreating);
-    if (joinResult && joinResult.error) {
-        try {
-            ws.send(JSON.stringify({
-                type: 'error',
-                message: joinResult.error
-            }));
-        } catch (e) {
-            console.error('No se pudo enviar error de sala llena:', e);
-        }
+    pruneExpiredInvites(room);
+    sendToClient(ws, {
+        type: 'invites_list',
+        room_code: roomCode,
+        invites: Array.from(room.invites.values())
+    });
+}
+
+function handleRevokeInvite(ws, roomCode, userId, message) {
+    const room = getRoom(roomCode);
+    if (!room) return;
+    
+    const participant = room.participants.get(userId);
+    if (!participant || !participant.isHost) {
+        sendForbidden(ws, 'revoke_invite', 'Solo el anfitrión puede revocar invitaciones');
         return;
     }
     
-    if (!joinResult) {
-        console.error(`Error al unirse a la sala ${roomCode}`);
+    const code = String(message.code || '').toUpperCase();
+    const revoked = room.invites.delete(code);
+    sendToClient(ws, {
+        type: 'invite_revoked',
+        room_code: roomCode,
+        code,
+        revoked
+    });
+}
+
+function handleSetRole(ws, roomCode, userId, message) {
+    const room = getRoom(roomCode);
+    if (!room) return;
+    
+    const actor = room.participants.get(userId);
+    if (!actor || !actor.isHost) {
+        sendForbidden(ws, 'set_role', 'Solo el anfitrión puede cambiar roles');
         return;
     }
     
-    // Actualizar conexión con información de la sala
-    const connectionInfo = connections.get(ws);
-    if (connectionInfo) {
-        connectionInfo.isHost = joinResult.isHost;
+    // El participante puede estar conectado a otra instancia; su rol viaja en room.members
+    const targetId = String(message.user_id);
+    const target = room.participants.get(targetId) || getRemoteParticipants(room).find(p => p.userId === targetId);
+    if (!target || target.userId === userId) {
+        sendToClient(ws, { type: 'error', code: 'invalid_target', message: 'Participante no válido' });
+        return;
     }
     
-    // Enviar información de la sala al nuevo participante
-    try {
-        ws.send(JSON.stringify({
-            type: 'room_joined',
-            room: {
-                room_code: room.room_code,
-                room_name: room.room_name,
-                host_user_id: room.host_user_id,
-                host_username: room.host_username,
-                video_id: room.video_id,
-                max_participants: room.max_participants,
-                is_private: room.is_private,
-                video_current_time: room.video_current_time || 0,
-                is_playing: room.is_playing || false,
-                created_at: room.created_at
-            },
-            user: {
-                id: userId,
-                username: username,
-                isHost: joinResult.isHost
-            }
-        }));
-    } catch (e) {
-        console.error('No se pudo enviar mensaje room_joined:', e);
+    if (getRoleRank(message.role) === -1) {
+        sendToClient(ws, { type: 'error', code: 'invalid_role', message: `Rol desconocido: ${message.role}` });
+        return;
     }
     
-    // Notificar a todos sobre el nuevo participante (excepto al mismo)
+    const previousRole = target.role;
+    setRole(room, target, message.role);
+    console.log(`🎭 ${target.username} en ${roomCode}: ${previousRole} -> ${target.role}`);
+    
     broadcastToRoom(roomCode, {
-        type: 'user_joined',
-        user_id: userId,
-        username: username,
-        isHost: joinResult.isHost,
+        type: 'role_changed',
+        user_id: target.userId,
+        username: target.username,
+        role: target.role,
+        previous_role: previousRole,
+        changed_by: userId,
+        host_user_id: room.host_user_id,
         timestamp: Date.now()
-    }, ws);
+    });
     
-    // Enviar lista actualizada de participantes a todos
-    const participantsUpdate = {
+    broadcastToRoom(roomCode, {
         type: 'participants_update',
         participants: getRoomParticipants(roomCode)
-    };
+    });
+}
+
+function handleUpdatePolicies(ws, roomCode, userId, message) {
+    const room = getRoom(roomCode);
+    if (!room) return;
     
-    // Enviar al nuevo participante también
-    try {
-        ws.send(JSON.stringify(participantsUpdate));
-    } catch (e) {
-        console.error('No se pudo enviar participants_update al nuevo usuario:', e);
+    const actor = room.participants.get(userId);
+    if (!actor || !actor.isHost) {
+        sendForbidden(ws, 'update_policies', 'Solo el anfitrión puede cambiar los permisos de la sala');
+        return;
     }
     
-    // Enviar también a los demás
-    broadcastToRoom(roomCode, participantsUpdate, ws);
+    room.policies = sanitizePolicies({ ...room.policies, ...message.policies });
     
-    // Enviar historial del chat (últimos 50 mensajes)
-    if (room.messages && room.messages.length > 0) {
-        try {
-            ws.send(JSON.stringify({
-                type: 'chat_history',
-                messages: room.messages.slice(-50).map(msg => ({
-                    ...msg,
-                    timestamp: msg.timestamp || Date.now()
-                }))
-            }));
-        } catch (e) {
-            console.error('No se pudo enviar historial de chat:', e);
-        }
+    broadcastToRoom(roomCode, {
+        type: 'policies_updated',
+        policies: room.policies,
+        timestamp: Date.now()
+    });
+}
+
+function handleChangeVideo(ws, roomCode, userId, username, message) {
+    const room = getRoom(roomCode);
+    if (!room) return;
+    
+    if (!canPerform(room, room.participants.get(userId), 'change_video')) {
+        sendForbidden(ws, 'change_video', 'No tienes permiso para cambiar el video');
+        return;
     }
     
-    // Enviar estado actual de reproducción
-    if (room.video_current_time !== undefined) {
-        try {
-            ws.send(JSON.stringify({
-                type: 'playback_sync',
-                current_time: room.video_current_time || 0,
-                is_playing: room.is_playing || false,
-                timestamp: Date.now()
-            }));
-        } catch (e) {
-            console.error('No se pudo enviar sync de reproducción:', e);
-        }
+    if (!message.video_id) return;
+    
+    changeVideo(room, message.video_id, { userId, username });
+}
+
+function handleQueueAdd(ws, roomCode, userId, username, message) {
+    const room = getRoom(roomCode);
+    if (!room) return;
+    
+    if (!canPerform(room, room.participants.get(userId), 'queue_add')) {
+        sendForbidden(ws, 'queue_add', 'No tienes permiso para añadir videos a la cola');
+        return;
+    }
+    
+    if (!message.video_id) return;
+    
+    if (room.queue.length >= QUEUE_MAX_LENGTH) {
+        sendToClient(ws, { type: 'error', code: 'queue_full', message: 'La cola de videos está llena' });
+        return;
     }
+    
+    room.queue.push({
+        id: ++room.lastQueueId,
+        video_id: message.video_id,
+        title: message.title || null,
+        added_by: userId,
+        added_by_username: username,
+        added_at: Date.now()
+    });
+    
+    broadcastQueueUpdate(room);
 }
 
-async function handleChatMessage(roomCode, userId, username, message) {
+function handleQueueRemove(ws, roomCode, userId, message) {
     const room = getRoom(roomCode);
     if (!room) return;
     
-    // Validar que el mensaje tenga contenido
-    if (!message.message || message.message.trim() === '') {
+    const index = room.queue.findIndex(item => item.id === Number(message.item_id));
+    if (index === -1) return;
+    
+    // Cada uno puede quitar lo que añadió; para lo demás hace falta permiso de gestión
+    const isOwnItem = room.queue[index].added_by === userId;
+    if (!isOwnItem && !canPerform(room, room.participants.get(userId), 'change_video')) {
+        sendForbidden(ws, 'queue_remove', 'No tienes permiso para quitar videos de la cola');
         return;
     }
     
-    // Asegurarse de que el usuario esté en la sala
-    const participant = room.participants.get(userId);
-    if (!participant) {
-        console.log(`Usuario ${userId} no encontrado en la sala ${roomCode}`);
+    room.queue.splice(index, 1);
+    broadcastQueueUpdate(room);
+}
+
+function handleQueueMove(ws, roomCode, userId, message) {
+    const room = getRoom(roomCode);
+    if (!room) return;
+    
+    if (!canPerform(room, room.participants.get(userId), 'change_video')) {
+        sendForbidden(ws, 'queue_move', 'No tienes permiso para reordenar la cola');
         return;
     }
     
-    const chatMessage = {
-        id: ++room.lastMessageId,
-        type: 'chat_message',
-        user_id: userId,
-        username: username,
-        message: message.message.trim(),
-        timestamp: Date.now()
-    };
+    const index = room.queue.findIndex(item => item.id === Number(message.item_id));
+    if (index === -1) return;
     
-    // Guardar en memoria (máximo 200 mensajes)
-    room.messages.push(chatMessage);
-    if (room.messages.length > 200) {
-        room.messages = room.messages.slice(-200);
+    const toIndex = Math.max(0, Math.min(room.queue.length - 1, parseInt(message.to_index) || 0));
+    const [item] = room.queue.splice(index, 1);
+    room.queue.splice(toIndex, 0, item);
+    broadcastQueueUpdate(room);
+}
+
+function handleQueueSkip(ws, roomCode, userId, username) {
+    const room = getRoom(roomCode);
+    if (!room) return;
+    
+    if (!canPerform(room, room.participants.get(userId), 'change_video')) {
+        sendForbidden(ws, 'queue_skip', 'No tienes permiso para saltar el video');
+        return;
     }
     
-    // Transmitir a todos en la sala INCLUYENDO al remitente
-    broadcastToRoom(roomCode, chatMessage);
+    if (!advanceQueue(room, { userId, username, reason: 'skip', autoplay: room.is_playing })) {
+        sendToClient(ws, { type: 'error', code: 'queue_empty', message: 'No hay más videos en la cola' });
+    }
+}
+
+// Todos los clientes avisan cuando termina el video y vale el aviso de cualquiera (el
+// anfitrión puede estar desconectado), pero solo el primero: se identifica por el
+// elemento de la cola (item_id), así un video repetido en la cola o varios avisos del
+// mismo final no hacen avanzar la cola dos veces. Solo termina una sala que reproduce.
+function handleVideoEnded(roomCode, userId, message) {
+    const room = getRoom(roomCode);
+    if (!room || !room.participants.has(userId) || !room.is_playing) return;
+    if (message.video_id !== room.video_id) return;
+    if ((message.item_id ?? null) !== (room.current_item_id || null)) return;
     
-    console.log(`💬 Chat en ${roomCode}: ${username}: ${message.message.substring(0, 50)}...`);
+    // Sin más videos la sala se detiene y todos lo saben (si no, los ticks de sincronización
+    // seguirían proyectando una reproducción que ya no existe)
+    if (!advanceQueue(room, { reason: 'ended', autoplay: true })) {
+        applyPlaybackChange(room, getCurrentPlaybackTime(room), false, { eventType: 'ended' });
+    }
 }
 
-async function handlePlaybackUpdate(roomCode, userId, username, message) {
+function handleKick(ws, roomCode, userId, message) {
     const room = getRoom(roomCode);
     if (!room) return;
     
-    // Actualizar estado de la sala
-    room.video_current_time = message.current_time || 0;
-    room.is_playing = message.is_playing || false;
+    const target = getModerationTarget(ws, room, userId, 'kick', message);
+    if (!target) return;
     
-    // Guardar en historial (máximo 50 entradas)
-    room.playbackHistory.push({
-        user_id: userId,
-        current_time: message.current_time || 0,
-        is_playing: message.is_playing || false,
+    kickParticipant(room, target, message.reason || 'Expulsado por el anfitrión');
+}
+
+function handleBan(ws, roomCode, userId, message) {
+    const room = getRoom(roomCode);
+    if (!room) return;
+    
+    const target = getModerationTarget(ws, room, userId, 'ban', message);
+    if (!target) return;
+    
+    const reason = message.reason || 'Vetado por el anfitrión';
+    room.bans[target.userId] = { reason, banned_by: userId, banned_at: Date.now() };
+    // Un vetado deja de ser miembro conocido (no puede volver a entrar a una sala privada)
+    delete room.members[target.userId];
+    console.log(`⛔ ${target.username || target.userId} vetado en ${roomCode}: ${reason}`);
+    
+    broadcastToRoom(roomCode, {
+        type: 'user_banned',
+        user_id: target.userId,
+        username: target.username,
+        reason,
         timestamp: Date.now()
     });
     
-    if (room.playbackHistory.length > 50) {
-        room.playbackHistory = room.playbackHistory.slice(-50);
+    disconnectParticipant(room, target.userId, BAN_CLOSE_CODE, reason, {
+        type: 'banned',
+        room_code: roomCode,
+        reason,
+        timestamp: Date.now()
+    });
+}
+
+function handleUnban(ws, roomCode, userId, message) {
+    const room = getRoom(roomCode);
+    if (!room) return;
+    
+    const actor = room.participants.get(userId);
+    if (!actor || !actor.isHost) {
+        sendForbidden(ws, 'unban', 'Solo el anfitrión puede moderar la sala');
+        return;
     }
     
-    // Transmitir a todos excepto al remitente
+    const targetId = String(message.user_id);
+    if (!room.bans[targetId]) return;
+    
+    delete room.bans[targetId];
     broadcastToRoom(roomCode, {
-        type: 'playback_update',
-        user_id: userId,
-        username: username,
-        event_type: message.event_type || 'update',
-        current_time: message.current_time || 0,
-        is_playing: message.is_playing || false,
+        type: 'user_unbanned',
+        user_id: targetId,
         timestamp: Date.now()
-    }, userId);
+    });
 }
 
-function handleParticipantsRequest(ws, roomCode) {
-    const participants = getRoomParticipants(roomCode);
-    try {
-        ws.send(JSON.stringify({
-            type: 'participants_list',
-            participants: participants
-        }));
-    } catch (e) {
-        console.error('No se pudo enviar lista de participantes:', e);
-    }
+function handleMute(ws, roomCode, userId, message) {
+    const room = getRoom(roomCode);
+    if (!room) return;
+    
+    const target = getModerationTarget(ws, room, userId, 'mute', message);
+    if (!target) return;
+    
+    const duration = Math.min(Math.max(parseInt(message.duration) || 300, 1), MAX_MUTE_DURATION);
+    const reason = message.reason || 'Silenciado por el anfitrión';
+    const until = Date.now() + duration * 1000;
+    room.mutes[target.userId] = { until, reason, muted_by: userId };
+    
+    // Se anuncia a toda la sala; el afectado sabe así por qué y hasta cuándo
+    broadcastToRoom(roomCode, {
+        type: 'user_muted',
+        user_id: target.userId,
+        username: target.username,
+        reason,
+        until,
+        timestamp: Date.now()
+    });
 }
 
-function handleSyncRequest(ws, roomCode) {
+function handleUnmute(ws, roomCode, userId, message) {
     const room = getRoom(roomCode);
     if (!room) return;
     
-    try {
-        ws.send(JSON.stringify({
-            type: 'playback_sync',
-            current_time: room.video_current_time || 0,
-            is_playing: room.is_playing || false,
-            timestamp: Date.now()
-        }));
-    } catch (e) {
-        console.error('No se pudo enviar sync request:', e);
+    const actor = room.participants.get(userId);
+    if (!actor || !actor.isHost) {
+        sendForbidden(ws, 'unmute', 'Solo el anfitrión puede moderar la sala');
+        return;
     }
+    
+    const targetId = String(message.user_id);
+    if (!room.mutes[targetId]) return;
+    
+    delete room.mutes[targetId];
+    broadcastToRoom(roomCode, {
+        type: 'user_unmuted',
+        user_id: targetId,
+        timestamp: Date.now()
+    });
 }
 
-async function handleLeave(roomCode, userId, username) {
+function handleSlowMode(ws, roomCode, userId, message) {
     const room = getRoom(roomCode);
     if (!room) return;
     
-    const left = leaveRoom(roomCode, userId, username);
-    if (left) {
-        broadcastToRoom(roomCode, {
-            type: 'user_left',
-            user_id: userId,
-            username: username,
-            timestamp: Date.now()
-        });
-        
-        broadcastToRoom(roomCode, {
-            type: 'participants_update',
-            participants: getRoomParticipants(roomCode)
-        });
+    const actor = room.participants.get(userId);
+    if (!actor || !actor.isHost) {
+        sendForbidden(ws, 'slow_mode', 'Solo el anfitrión puede moderar la sala');
+        return;
     }
+    
+    room.slow_mode = Math.min(Math.max(parseInt(message.seconds) || 0, 0), MAX_SLOW_MODE);
+    broadcastToRoom(roomCode, {
+        type: 'slow_mode_updated',
+        seconds: room.slow_mode,
+        timestamp: Date.now()
+    });
 }
 
 // ==================== FUNCIONES AUXILIARES ====================
-function getRoomParticipants(roomCode) {
-    const room = getRoom(roomCode);
-    if (!room) return [];
-    
-    return Array.from(room.participants.values()).map(p => ({
+// En desarrollo se puede comprobar que lo que envía el servidor cumple el protocolo
+function checkOutbound(message) {
+    if (!VALIDATE_OUTBOUND) return;
+    const errors = validateOutbound(message);
+    if (errors.length > 0) {
+        console.warn(`⚠️ Mensaje saliente ${message.type} no cumple el esquema:`, errors);
+    }
+}
+
+function sendToClient(ws, message) {
+    checkOutbound(message);
+    try {
+        if (ws.readyState === 1) { // WebSocket.OPEN
+            ws.send(JSON.stringify(message));
+            messagesSent.inc({ type: message.type });
+        }
+    } catch (e) {
+        sendErrors.inc();
+        console.error(`No se pudo enviar ${message.type} al cliente:`, e);
+    }
+}
+
+function toPublicParticipant(p) {
+    return {
         user_id: p.userId,
         username: p.username,
         isHost: p.isHost,
+        role: p.role,
         joined_at: p.joinedAt,
-        last_seen: Date.now()
-    }));
+        last_seen: Date.now(),
+        player_state: p.playerState || null,
+        disconnected_at: p.disconnectedAt || null
+    };
+}
+
+function getRoomParticipants(roomCode) {
+    const room = getRoom(roomCode);
+    return room ? listRoomParticipants(room) : [];
+}
+
+function listRoomParticipants(room) {
+    return Array.from(room.participants.values())
+        .concat(getRemoteParticipants(room))
+        .map(toPublicParticipant);
 }
 
 function broadcastToRoom(roomCode, message, exclude = null) {
     const room = getRoom(roomCode);
-    if (!room) return;
+    if (room) broadcastRoomMessage(room, message, exclude);
+}
+
+// También sirve para una sala de otra instancia sin copia local (API de administración)
+function broadcastRoomMessage(room, message, exclude = null) {
+    const roomCode = room.room_code;
+    deliverToLocalRoom(room, message, exclude);
     
+    // Reenviar al resto de instancias junto con el estado compartido de la sala
+    const state = getSharedRoomState(room);
+    publishToCluster({
+        kind: 'broadcast',
+        room_code: roomCode,
+        message,
+        exclude: typeof exclude === 'string' ? exclude : null,
+        state
+    });
+    clusterAdapter.set(`room-state:${roomCode}`, state, CLUSTER_ROOM_TTL).catch(error => {
+        console.error(`❌ No se pudo guardar el estado de ${roomCode} en el clúster:`, error);
+    });
+}
+
+// Entrega un mensaje solo a los sockets de esta instancia
+function deliverToLocalRoom(room, message, exclude = null) {
+    checkOutbound(message);
+    const roomCode = room.room_code;
     const messageStr = JSON.stringify(message);
     let sentCount = 0;
     
@@ -566,11 +2973,14 @@ function broadcastToRoom(roomCode, message, exclude = null) {
             if (exclude === userId) return;
             if (exclude === participant.ws) return;
         }
+        // Sitio guardado esperando reconexión: lo perdido se reenvía al reanudar
+        if (participant.disconnectedAt) return;
         
         try {
             if (participant.ws.readyState === 1) { // WebSocket.OPEN
                 participant.ws.send(messageStr, (error) => {
                     if (error) {
+                        sendErrors.inc();
                         console.error(`Error enviando mensaje a ${participant.username}:`, error);
                     }
                 });
@@ -579,23 +2989,45 @@ function broadcastToRoom(roomCode, message, exclude = null) {
                 console.log(`WebSocket de ${participant.username} no está abierto`);
             }
         } catch (error) {
+            sendErrors.inc();
             console.error(`Error al enviar a ${participant.username}:`, error);
         }
     });
     
+    broadcastFanout.observe({}, sentCount);
+    if (sentCount > 0) messagesSent.inc({ type: message.type }, sentCount);
+    
     if (sentCount > 0) {
         console.log(`📤 Broadcast en ${roomCode}: ${message.type} enviado a ${sentCount} participantes`);
     }
 }
 
+// ==================== TICKS DE SINCRONIZACIÓN ====================
+// Mientras una sala reproduce, se envía periódicamente la posición autoritativa
+// para que los clientes detecten y corrijan la deriva.
+const syncTickInterval = setInterval(() => {
+    rooms.forEach((room, roomCode) => {
+        if (!room.is_playing || room.participants.size === 0) return;
+        
+        // Cada instancia envía los ticks a sus propios sockets
+        deliverToLocalRoom(room, {
+            type: 'sync_tick',
+            ...getPlaybackState(room)
+        });
+    });
+}, SYNC_TICK_INTERVAL);
+
 // ==================== HEARTBEAT PARA CONEXIONES ====================
 const heartbeatInterval = setInterval(() => {
     wss.clients.forEach((ws) => {
         const conn = connections.get(ws);
-        if (conn && !conn.isAlive) {
+        if (!conn) return;
+        
+        // El evento close se encarga de la salida de la sala (o de guardar el sitio)
+        if (!conn.isAlive) {
             console.log(`💔 Terminando conexión inactiva de ${conn.username}`);
+            heartbeatTerminations.inc();
             ws.terminate();
-            connections.delete(ws);
             return;
         }
         
@@ -622,39 +3054,125 @@ setInterval(() => {
     
     // Limpiar salas vacías después de 10 minutos
     rooms.forEach((room, roomCode) => {
-        if (room.participants.size === 0 && now - room.created_at > inactiveThreshold) {
-            rooms.delete(roomCode);
+        pruneExpiredInvites(room);
+        Object.keys(room.mutes).forEach(mutedId => getActiveMute(room, mutedId));
+        // Encuestas vencidas sin temporizador en esta instancia (restauradas o de una instancia caída)
+        Object.values(room.polls).forEach(poll => {
+            if (poll.closes_at + 5000 <= now) closePoll(room, poll, 'expired');
+        });
+        
+        if (room.participants.size === 0 && now - (room.emptied_at || room.created_at) > inactiveThreshold) {
+            deleteRoom(roomCode);
             console.log(`🗑️ Sala ${roomCode} eliminada por inactividad`);
         }
     });
 }, 60000); // Cada minuto
 
+// ==================== SNAPSHOTS PERIÓDICOS ====================
+const persistInterval = setInterval(() => {
+    persistRooms().catch(error => console.error('❌ Error guardando salas:', error));
+}, PERSIST_INTERVAL);
+
+// ==================== ESTADÍSTICAS DEL CLÚSTER ====================
+const clusterStatsInterval = setInterval(() => {
+    publishInstanceStats().catch(error => console.error('❌ Error publicando estadísticas del clúster:', error));
+}, CLUSTER_STATS_INTERVAL);
+
 // ==================== INICIALIZACIÓN DEL SERVIDOR ====================
-server.listen(PORT, () => {
-    console.log(`🚀 Servidor WebSocket iniciado en el puerto ${PORT}`);
-    console.log(`🔗 URL del servidor: ws://localhost:${PORT}/watch-party`);
-    console.log(`📊 Salas activas en memoria: ${rooms.size}`);
-    console.log(`🏥 Endpoint de salud: http://localhost:${PORT}/health`);
-    console.log(`🌐 Endpoint salas públicas: http://localhost:${PORT}/public-rooms`);
-});
+restoreRooms()
+    .catch(error => console.error('❌ No se pudieron restaurar las salas:', error))
+    .then(() => {
+        server.listen(PORT, () => {
+            console.log(`🚀 Servidor WebSocket iniciado en el puerto ${PORT}`);
+            console.log(`🔗 URL del servidor: ws://localhost:${PORT}/watch-party`);
+            console.log(`📊 Salas activas en memoria: ${rooms.size}`);
+            console.log(`💾 Persistencia de salas: ${roomStore.name}`);
+            if (roomStore.name === 'memory') {
+                console.warn('⚠️ ROOM_STORE=memory: las salas se perderán al reiniciar el servidor');
+            }
+            console.log(`🛰️ Adaptador de clúster: ${clusterAdapter.name} (instancia ${INSTANCE_ID})`);
+            console.log(`🏥 Endpoint de salud: http://localhost:${PORT}/health`);
+            console.log(`📈 Métricas: http://localhost:${PORT}/metrics`);
+            console.log(`🌐 Endpoint salas públicas: http://localhost:${PORT}/public-rooms`);
+        });
+    });
+
+// ==================== APAGADO ORDENADO ====================
+// Con SIGTERM (lo que envían las plataformas de contenedores) o SIGINT la instancia
+// entra en drenaje: /health responde 503, no se crean salas, se guarda el estado y
+// se pide a los clientes que reconecten. Al cerrar con 1012 cada participante conserva
+// su sitio (ver holdParticipant), así que puede reanudar la sesión en otra instancia.
+function sendDrainNotice(ws) {
+    const notice = {
+        type: 'server_draining',
+        message: 'El servidor se está reiniciando. Reconectando...',
+        retry_after: DRAIN_RETRY_AFTER,
+        timestamp: Date.now()
+    };
+    if (DRAIN_RECONNECT_URL) notice.reconnect_url = DRAIN_RECONNECT_URL;
+    sendToClient(ws, notice);
+}
+
+// Resuelve cuando se cierran todos los sockets o vence el plazo
+function waitForClientsToClose(timeout) {
+    return new Promise(resolve => {
+        const deadline = Date.now() + timeout;
+        const check = setInterval(() => {
+            if (wss.clients.size === 0 || Date.now() >= deadline) {
+                clearInterval(check);
+                resolve(wss.clients.size);
+            }
+        }, 100);
+    });
+}
 
-// Manejar cierre limpio
-process.on('SIGINT', () => {
-    console.log('\n👋 Apagando servidor...');
+async function shutdown(signal) {
+    if (draining) return;
+    draining = true;
+    console.log(`\n👋 ${signal} recibido: drenando el servidor...`);
+    
+    // Si el apagado se atasca, se sale igualmente
+    setTimeout(() => {
+        console.error('❌ El apagado tardó demasiado, saliendo a la fuerza');
+        process.exit(1);
+    }, DRAIN_DELAY + SHUTDOWN_TIMEOUT + 5000).unref();
     
     clearInterval(heartbeatInterval);
+    clearInterval(syncTickInterval);
+    clearInterval(persistInterval);
+    clearInterval(clusterStatsInterval);
+    
+    // Fuera del listado del clúster desde ya
+    await clusterAdapter.del(`instance:${INSTANCE_ID}`).catch(() => {});
+    
+    if (DRAIN_DELAY > 0) {
+        await new Promise(resolve => setTimeout(resolve, DRAIN_DELAY));
+    }
+    
+    // Guardar antes de cerrar los sockets. El snapshot del clúster permite a otra
+    // instancia recuperar la sala cuando los clientes reconecten allí.
+    await persistRooms().catch(error => console.error('❌ Error guardando salas:', error));
+    rooms.forEach(room => publishRoomSnapshot(room));
     
-    // Cerrar todas las conexiones WebSocket
     wss.clients.forEach(client => {
-        if (client.readyState === 1) {
-            client.close(1000, 'Servidor apagándose');
-        }
+        sendDrainNotice(client);
+        client.close(SERVER_RESTART_CLOSE_CODE, 'Servidor reiniciándose');
     });
     
-    setTimeout(() => {
-        process.exit(0);
-    }, 1000);
-});
+    const remaining = await waitForClientsToClose(SHUTDOWN_TIMEOUT);
+    if (remaining > 0) {
+        console.warn(`⚠️ ${remaining} sockets no cerraron a tiempo, se terminan`);
+        wss.clients.forEach(client => client.terminate());
+    }
+    
+    await roomStore.close();
+    await clusterAdapter.close().catch(() => {});
+    console.log('✅ Servidor drenado, saliendo');
+    process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 // Manejar errores no capturados
 process.on('uncaughtException', (error) => {
@@ -0,0 +1,57 @@
+const assert = require('assert');
+const jwt = require('jsonwebtoken');
+const { startServer, connect, createToken, runTests } = require('./helpers');
+
+// ==================== AUTENTICACIÓN DEL HANDSHAKE ====================
+// Ambos servidores cierran con un código propio las conexiones sin un JWT válido.
+
+const SCENARIOS = [
+    { title: 'sin token', options: {}, code: 4001 },
+    { title: 'token expirado', options: { token: createToken(1, 'ana', { expiresIn: -10 }) }, code: 4002 },
+    { title: 'firma ajena', options: { token: jwt.sign({ sub: '1' }, 'otro-secreto') }, code: 4003 },
+    { title: 'sin usuario', options: { token: createToken('', 'ana') }, code: 4003 },
+    { title: 'token malformado', options: { token: 'no-es-un-jwt' }, code: 4003 }
+];
+
+async function expectRejections(port, pathname) {
+    for (const { title, options, code } of SCENARIOS) {
+        const ws = connect(port, pathname, options);
+        assert.strictEqual((await ws.closed).code, code, `${pathname} ${title}`);
+    }
+}
+
+runTests('auth', {
+    async 'server.js rechaza tokens ausentes, expirados o inválidos y acepta el subprotocolo'() {
+        const server = await startServer('server.js');
+        try {
+            await expectRejections(server.port, '/watch-party');
+
+            const ws = connect(server.port, '/watch-party', {
+                query: { room: 'AUTH' },
+                protocols: ['access_token', createToken(1, 'ana')]
+            });
+            await ws.opened;
+            assert.strictEqual(ws.protocol, 'access_token');
+            ws.sendJson({ type: 'join', create: true, video_id: 'v0' });
+            assert.strictEqual((await ws.next('room_joined')).user.id, '1');
+            ws.close();
+        } finally {
+            await server.stop();
+        }
+    },
+
+    async 'chat-server.js rechaza tokens ausentes, expirados o inválidos y acepta el subprotocolo'() {
+        const chat = await startServer('chat-server.js');
+        try {
+            await expectRejections(chat.port, '/chat-ws');
+
+            const ws = connect(chat.port, '/chat-ws', { protocols: ['access_token', createToken(2, 'bob')] });
+            await ws.opened;
+            assert.strictEqual(ws.protocol, 'access_token');
+            await ws.next('connected');
+            ws.close();
+        } finally {
+            await chat.stop();
+        }
+    }
+});
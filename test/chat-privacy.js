@@ -0,0 +1,69 @@
+const assert = require('assert');
+const { startServer, connect, createToken, sleep, runTests } = require('./helpers');
+
+// ==================== MENSAJES PRIVADOS, BLOQUEOS Y PRIVACIDAD ====================
+// Con CHAT_STORE=memory: qué mensajes privados se aceptan y a quién llegan.
+
+async function chatClient(port, userId, username) {
+    const ws = connect(port, '/chat-ws', { token: createToken(userId, username) });
+    await ws.opened;
+    await ws.next('connected');
+    return ws;
+}
+
+const privateMessages = ws => ws.received.filter(message => message.type === 'private_message');
+
+runTests('chat-privacy', {
+    async 'rechaza textos vacíos, demasiado largos o que no son texto'() {
+        // Sin el límite de envío de por medio: aquí solo se prueba la validación
+        const chat = await startServer('chat-server.js', {
+            RATE_LIMITS: JSON.stringify({ private_message: { capacity: 20, refill: 1 } })
+        });
+        try {
+            const ana = await chatClient(chat.port, 1, 'ana');
+            const bob = await chatClient(chat.port, 2, 'bob');
+
+            for (const text of [undefined, '', '   ', 42, { html: '<b>' }, 'x'.repeat(2001)]) {
+                ana.sendJson({ type: 'private_message', to_user_id: 2, message: text });
+                assert.strictEqual((await ana.next('error')).code, 'invalid_message');
+            }
+
+            ana.sendJson({ type: 'private_message', to_user_id: 2, message: ' hola ' });
+            assert.strictEqual((await bob.next('private_message')).message, 'hola');
+            assert.strictEqual(privateMessages(bob).length, 1);
+
+            ana.close();
+            bob.close();
+        } finally {
+            await chat.stop();
+        }
+    },
+
+    async 'los bloqueos y dm_friends_only filtran los mensajes privados'() {
+        const chat = await startServer('chat-server.js');
+        try {
+            const ana = await chatClient(chat.port, 1, 'ana');
+            const bob = await chatClient(chat.port, 2, 'bob');
+            const zoe = await chatClient(chat.port, 3, 'zoe');
+
+            // Un bloqueado no sabe que lo está: su mensaje se descarta sin error
+            ana.sendJson({ type: 'block_user', user_id: 2 });
+            await ana.next('user_blocked');
+            bob.sendJson({ type: 'private_message', to_user_id: 1, message: 'hola' });
+
+            zoe.sendJson({ type: 'privacy_settings_update', dm_friends_only: true });
+            await zoe.next('privacy_settings');
+            ana.sendJson({ type: 'private_message', to_user_id: 3, message: 'hola' });
+            assert.strictEqual((await ana.next('error')).code, 'dm_not_allowed');
+
+            await sleep(200);
+            assert.strictEqual(privateMessages(ana).length, 0);
+            assert.strictEqual(privateMessages(zoe).length, 0);
+            assert.ok(!bob.received.some(message => message.type === 'error'));
+
+            [ana, bob, zoe].forEach(ws => ws.close());
+        } finally {
+            await chat.stop();
+        }
+    }
+});
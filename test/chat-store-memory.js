@@ -0,0 +1,54 @@
+const assert = require('assert');
+const { createChatStore } = require('../lib/chat-store');
+
+// ==================== BACKEND MEMORY DEL CHAT ====================
+// Comprobación mínima del comportamiento con CHAT_STORE=memory: lo que chat-server.js
+// espera de la interfaz de lib/chat-store.js sin necesidad de MySQL.
+
+async function run() {
+    const store = createChatStore({
+        type: 'memory',
+        memory: { users: [{ id: 1, username: 'ana' }, { id: '2', username: 'bob' }] }
+    });
+    await store.init();
+
+    // Los usuarios sembrados existen antes de conectarse; los demás, al registrarse
+    assert.deepStrictEqual(await store.findUser(2), { id: 2, username: 'bob' });
+    assert.strictEqual(await store.findUser(3), null);
+    await store.registerUser({ id: 3, username: 'zoe' });
+    assert.deepStrictEqual(await store.findUser(3), { id: 3, username: 'zoe' });
+
+    // Mensajes privados: pendientes con el nombre del remitente hasta marcarlos leídos
+    const messageId = await store.insertMessage(1, 2, 'hola');
+    const unread = await store.getUnreadMessages(2, 0, 10);
+    assert.strictEqual(unread.length, 1);
+    assert.strictEqual(unread[0].sender_username, 'ana');
+    assert.deepStrictEqual(await store.markMessages(2, [messageId], 'read'), [{ id: messageId, sender_id: 1 }]);
+    assert.strictEqual((await store.getUnreadMessages(2, 0, 10)).length, 0);
+
+    // Amistad y bloqueo: bloquear rompe la amistad
+    const requestId = await store.createFriendRequest(1, 2);
+    assert.strictEqual(await store.createFriendRequest(2, 1), null);
+    assert.strictEqual(await store.acceptFriendRequest(requestId), true);
+    assert.deepStrictEqual(Array.from(await store.getFriendIds(1, [2, 3])), [2]);
+    assert.strictEqual(await store.blockUser(2, 1), true);
+    assert.strictEqual(await store.isBlocked(2, 1), true);
+    assert.strictEqual((await store.getFriendIds(1, [2])).size, 0);
+
+    // Grupos: la marca de lectura no pasa del último mensaje del grupo
+    const groupId = await store.createGroup('pelis', 1, [{ userId: 1, role: 'admin' }, { userId: 3, role: 'member' }]);
+    const groupMessageId = await store.insertGroupMessage(groupId, 1, 'primero');
+    await store.markGroupRead(groupId, 3, groupMessageId + 1000);
+    await store.insertGroupMessage(groupId, 1, 'segundo');
+    const [group] = await store.listGroups(3);
+    assert.strictEqual(Number(group.unread_count), 1);
+
+    await store.close();
+}
+
+run()
+    .then(() => console.log('✅ chat-store memory: ok'))
+    .catch(error => {
+        console.error('❌ chat-store memory:', error);
+        process.exit(1);
+    });
@@ -0,0 +1,83 @@
+const assert = require('assert');
+const { startServer, connect, createToken, sleep, runTests } = require('./helpers');
+
+// ==================== PROTECCIÓN CONTRA INUNDACIONES ====================
+// Los dos servidores avisan, luego ignoran y al final desconectan (4029) a quien
+// sigue enviando por encima de su cupo, y limitan las conexiones por IP.
+
+// Cupo de 2 mensajes casi sin recarga: los siguientes son infracciones
+const RATE_LIMITS = JSON.stringify({
+    chat_message: { capacity: 2, refill: 0.01 },
+    private_message: { capacity: 2, refill: 0.01 }
+});
+
+function flood(ws, message, count) {
+    for (let i = 0; i < count; i++) ws.sendJson(message);
+}
+
+// Tras el cupo: tres avisos, una limitación y silencio hasta la octava infracción
+function assertEscalation(ws) {
+    const levels = ws.received.filter(message => message.type === 'rate_limited').map(message => message.level);
+    assert.deepStrictEqual(levels, ['warning', 'warning', 'warning', 'throttled']);
+}
+
+runTests('flood', {
+    async 'server.js desconecta a quien inunda el chat de la sala'() {
+        const server = await startServer('server.js', { RATE_LIMITS });
+        try {
+            const host = connect(server.port, '/watch-party', { token: createToken(1, 'host'), query: { room: 'FLOOD' } });
+            await host.opened;
+            host.sendJson({ type: 'join', create: true, video_id: 'v0' });
+            await host.next('room_joined');
+
+            flood(host, { type: 'chat_message', message: 'spam' }, 12);
+            assert.strictEqual((await host.closed).code, 4029);
+            assert.strictEqual(host.received.filter(message => message.type === 'chat_message').length, 2);
+            assertEscalation(host);
+        } finally {
+            await server.stop();
+        }
+    },
+
+    async 'chat-server.js desconecta a quien inunda los mensajes privados'() {
+        const chat = await startServer('chat-server.js', { RATE_LIMITS });
+        try {
+            const sender = connect(chat.port, '/chat-ws', { token: createToken(1, 'ana') });
+            const receiver = connect(chat.port, '/chat-ws', { token: createToken(2, 'bob') });
+            await sender.next('connected');
+            await receiver.next('connected');
+
+            flood(sender, { type: 'private_message', to_user_id: 2, message: 'spam' }, 12);
+            assert.strictEqual((await sender.closed).code, 4029);
+            assertEscalation(sender);
+
+            await sleep(200);
+            assert.strictEqual(receiver.received.filter(message => message.type === 'private_message').length, 2);
+            receiver.close();
+        } finally {
+            await chat.stop();
+        }
+    },
+
+    async 'se rechazan las conexiones que superan el límite por IP'() {
+        const chat = await startServer('chat-server.js', { MAX_CONNECTIONS_PER_IP: '2' });
+        try {
+            const open = [1, 2].map(userId => connect(chat.port, '/chat-ws', { token: createToken(userId, `user${userId}`) }));
+            await Promise.all(open.map(ws => ws.opened));
+
+            const extra = connect(chat.port, '/chat-ws', { token: createToken(3, 'zoe') });
+            await assert.rejects(extra.opened, /429/);
+
+            // Al cerrar una conexión su plaza queda libre
+            open[0].close();
+            await open[0].closed;
+            await sleep(100);
+            const replacement = connect(chat.port, '/chat-ws', { token: createToken(3, 'zoe') });
+            await replacement.opened;
+
+            [open[1], replacement].forEach(ws => ws.close());
+        } finally {
+            await chat.stop();
+        }
+    }
+});
@@ -0,0 +1,156 @@
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const jwt = require('jsonwebtoken');
+const WebSocket = require('ws');
+
+// ==================== AYUDAS PARA LAS PRUEBAS ====================
+// Arrancan server.js o chat-server.js en un proceso aparte, con su configuración
+// real, y conectan clientes WebSocket que guardan todo lo que reciben.
+
+const JWT_SECRET = 'test-secret';
+const ROOT = path.join(__dirname, '..');
+const WAIT_TIMEOUT = 5000;
+
+// Ningún servidor sobrevive a la prueba, aunque falle a mitad
+const children = new Set();
+process.on('exit', () => children.forEach(child => child.kill('SIGKILL')));
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+function createToken(userId, username, options = { expiresIn: 600 }) {
+    return jwt.sign({ sub: String(userId), username }, JWT_SECRET, options);
+}
+
+// Resuelve cuando el servidor anuncia que escucha; stop() lo apaga con SIGTERM
+async function startServer(script, env = {}) {
+    const port = await freePort();
+    const child = spawn(process.execPath, [path.join(ROOT, script)], {
+        cwd: ROOT,
+        env: {
+            ...process.env,
+            PORT: String(port),
+            JWT_SECRET,
+            ROOM_STORE: 'memory',
+            CHAT_STORE: 'memory',
+            SHUTDOWN_TIMEOUT: '1000',
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    children.add(child);
+    let output = '';
+    const exited = new Promise(resolve => child.once('exit', resolve));
+    exited.then(() => children.delete(child));
+
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`${script} no arrancó:\n${output}`)), WAIT_TIMEOUT);
+        const onData = chunk => {
+            output += chunk;
+            if (output.includes('iniciado en el puerto')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        };
+        child.stdout.on('data', onData);
+        child.stderr.on('data', onData);
+        child.once('exit', code => {
+            clearTimeout(timer);
+            reject(new Error(`${script} terminó con código ${code}:\n${output}`));
+        });
+    });
+
+    return {
+        port,
+        output: () => output,
+        async stop() {
+            if (child.exitCode === null) child.kill('SIGTERM');
+            await exited;
+        }
+    };
+}
+
+// Cliente que acumula los mensajes recibidos; next(type) espera al siguiente de ese tipo
+// (o de cualquiera de una lista de tipos)
+function connect(port, pathname, { token, query = {}, protocols } = {}) {
+    const params = new URLSearchParams(query);
+    if (token) params.set('token', token);
+    const ws = new WebSocket(`ws://localhost:${port}${pathname}?${params}`, protocols);
+
+    ws.received = [];
+    const waiters = [];
+    ws.on('message', data => {
+        const message = JSON.parse(data.toString());
+        ws.received.push(message);
+        waiters.slice().forEach(waiter => waiter.check());
+    });
+
+    ws.sendJson = message => ws.send(JSON.stringify(message));
+
+    // Solo cuentan los mensajes posteriores al último que devolvió next()
+    let consumed = 0;
+    ws.next = (type, predicate = () => true) => new Promise((resolve, reject) => {
+        const types = [].concat(type);
+        const waiter = {
+            check() {
+                const index = ws.received.findIndex((message, i) => i >= consumed && types.includes(message.type) && predicate(message));
+                if (index === -1) return;
+                consumed = index + 1;
+                waiters.splice(waiters.indexOf(waiter), 1);
+                clearTimeout(timer);
+                resolve(ws.received[index]);
+            }
+        };
+        const timer = setTimeout(() => {
+            waiters.splice(waiters.indexOf(waiter), 1);
+            reject(new Error(`No llegó ${types.join(' ni ')}; recibido: ${ws.received.map(m => m.type).join(', ')}`));
+        }, WAIT_TIMEOUT);
+        waiters.push(waiter);
+        waiter.check();
+    });
+
+    ws.opened = new Promise((resolve, reject) => {
+        ws.once('open', () => resolve(ws));
+        ws.once('error', reject);
+    });
+    ws.closed = new Promise(resolve => {
+        ws.once('close', (code, reason) => resolve({ code, reason: reason.toString() }));
+    });
+    return ws;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Ejecuta las pruebas en orden y sale con código 1 si alguna falla
+async function runTests(name, tests) {
+    for (const [title, test] of Object.entries(tests)) {
+        try {
+            await test();
+        } catch (error) {
+            console.error(`❌ ${name}: ${title}`, error);
+            process.exit(1);
+        }
+    }
+    console.log(`✅ ${name}: ok`);
+}
+
+module.exports = {
+    JWT_SECRET,
+    createToken,
+    startServer,
+    connect,
+    sleep,
+    runTests
+};
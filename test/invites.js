@@ -0,0 +1,71 @@
+const assert = require('assert');
+const { startServer, connect, createToken, runTests } = require('./helpers');
+
+// ==================== INVITACIONES A SALAS PRIVADAS ====================
+// Solo se entra a una sala privada con un código vigente del anfitrión, y cada
+// código admite los usos con que se creó.
+
+async function join(port, userId, join = {}) {
+    const ws = connect(port, '/watch-party', { token: createToken(userId, `user${userId}`), query: { room: 'INVITES' } });
+    await ws.opened;
+    ws.sendJson({ type: 'join', ...join });
+    const reply = await ws.next(['room_joined', 'error']);
+    return { ws, reply };
+}
+
+// Los intentos rechazados cierran su socket para no acercarse al límite por IP
+async function rejectedCode(port, userId, message) {
+    const { ws, reply } = await join(port, userId, message);
+    ws.close();
+    return reply.code;
+}
+
+async function createInvite(host, options) {
+    host.sendJson({ type: 'create_invite', ...options });
+    return (await host.next('invite_created')).invite;
+}
+
+runTests('invites', {
+    async 'una sala privada exige una invitación vigente'() {
+        const server = await startServer('server.js');
+        try {
+            const { ws: host } = await join(server.port, 1, { create: true, is_private: true, video_id: 'v0' });
+
+            assert.strictEqual(await rejectedCode(server.port, 2), 'invite_required');
+            assert.strictEqual(await rejectedCode(server.port, 2, { invite_code: 'NOEXISTE' }), 'invite_invalid');
+
+            // Un código de un solo uso, sin distinguir mayúsculas
+            const single = await createInvite(host, { single_use: true });
+            const guest = await join(server.port, 2, { invite_code: single.code.toLowerCase() });
+            assert.strictEqual(guest.reply.type, 'room_joined');
+            assert.strictEqual(await rejectedCode(server.port, 3, { invite_code: single.code }), 'invite_invalid');
+
+            // Solo el anfitrión crea invitaciones
+            guest.ws.sendJson({ type: 'create_invite' });
+            const forbidden = await guest.ws.next('error');
+            assert.strictEqual(forbidden.code, 'forbidden');
+            assert.strictEqual(forbidden.action, 'create_invite');
+
+            // Ya es miembro: vuelve a entrar sin invitación
+            guest.ws.close();
+            const rejoined = await join(server.port, 2);
+            assert.strictEqual(rejoined.reply.type, 'room_joined');
+
+            const shared = await createInvite(host, { max_uses: 2 });
+            const third = await join(server.port, 3, { invite_code: shared.code });
+            const fourth = await join(server.port, 4, { invite_code: shared.code });
+            assert.strictEqual(third.reply.type, 'room_joined');
+            assert.strictEqual(fourth.reply.type, 'room_joined');
+            assert.strictEqual(await rejectedCode(server.port, 5, { invite_code: shared.code }), 'invite_invalid');
+
+            const revocable = await createInvite(host, {});
+            host.sendJson({ type: 'revoke_invite', code: revocable.code });
+            assert.strictEqual((await host.next('invite_revoked')).revoked, true);
+            assert.strictEqual(await rejectedCode(server.port, 5, { invite_code: revocable.code }), 'invite_invalid');
+
+            [host, rejoined.ws, third.ws, fourth.ws].forEach(ws => ws.close());
+        } finally {
+            await server.stop();
+        }
+    }
+});
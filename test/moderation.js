@@ -0,0 +1,94 @@
+const assert = require('assert');
+const { startServer, connect, createToken, runTests } = require('./helpers');
+
+// ==================== MODERACIÓN ====================
+// Expulsar, vetar, silenciar y el modo lento: solo el anfitrión, y cada medida se
+// cumple también al volver a entrar.
+
+async function join(port, userId, join = {}) {
+    const ws = connect(port, '/watch-party', { token: createToken(userId, `user${userId}`), query: { room: 'MODERATION' } });
+    await ws.opened;
+    ws.sendJson({ type: 'join', ...join });
+    const reply = await ws.next(['room_joined', 'error']);
+    return { ws, reply };
+}
+
+async function member(port, userId) {
+    const { ws, reply } = await join(port, userId);
+    assert.strictEqual(reply.type, 'room_joined');
+    return ws;
+}
+
+runTests('moderation', {
+    async 'expulsar y vetar cierran la conexión; el veto impide volver hasta retirarlo'() {
+        const server = await startServer('server.js');
+        try {
+            const { ws: host } = await join(server.port, 1, { create: true, video_id: 'v0' });
+            let guest = await member(server.port, 2);
+            const other = await member(server.port, 3);
+
+            other.sendJson({ type: 'kick', user_id: '2' });
+            assert.strictEqual((await other.next('error')).code, 'forbidden');
+            host.sendJson({ type: 'kick', user_id: '1' });
+            assert.strictEqual((await host.next('error')).code, 'invalid_target');
+
+            host.sendJson({ type: 'kick', user_id: '2', reason: 'spam' });
+            assert.strictEqual((await guest.next('kicked')).reason, 'spam');
+            assert.strictEqual((await guest.closed).code, 4010);
+
+            // Una expulsión no impide volver
+            guest = await member(server.port, 2);
+
+            host.sendJson({ type: 'ban', user_id: '2' });
+            await guest.next('banned');
+            assert.strictEqual((await guest.closed).code, 4011);
+
+            const banned = await join(server.port, 2);
+            assert.strictEqual(banned.reply.code, 'banned');
+            banned.ws.close();
+
+            host.sendJson({ type: 'unban', user_id: '2' });
+            await host.next('user_unbanned');
+            const back = await member(server.port, 2);
+
+            [host, other, back].forEach(ws => ws.close());
+        } finally {
+            await server.stop();
+        }
+    },
+
+    async 'el silencio y el modo lento frenan el chat de los participantes'() {
+        const server = await startServer('server.js');
+        try {
+            const { ws: host } = await join(server.port, 1, { create: true, video_id: 'v0' });
+            const guest = await member(server.port, 2);
+
+            host.sendJson({ type: 'mute', user_id: '2', duration: 60 });
+            await guest.next('user_muted');
+            guest.sendJson({ type: 'chat_message', message: 'hola' });
+            assert.strictEqual((await guest.next('error')).code, 'muted');
+
+            host.sendJson({ type: 'unmute', user_id: '2' });
+            await guest.next('user_unmuted');
+            guest.sendJson({ type: 'chat_message', message: 'hola' });
+            assert.strictEqual((await guest.next('chat_message')).message, 'hola');
+
+            host.sendJson({ type: 'slow_mode', seconds: 30 });
+            await guest.next('slow_mode_updated');
+            guest.sendJson({ type: 'chat_message', message: 'otra vez' });
+            const slow = await guest.next('error');
+            assert.strictEqual(slow.code, 'slow_mode');
+            assert.ok(slow.retry_after > 0);
+
+            // El anfitrión no está sujeto al modo lento
+            host.sendJson({ type: 'chat_message', message: 'uno' });
+            host.sendJson({ type: 'chat_message', message: 'dos' });
+            assert.strictEqual((await guest.next('chat_message')).message, 'uno');
+            assert.strictEqual((await guest.next('chat_message')).message, 'dos');
+
+            [host, guest].forEach(ws => ws.close());
+        } finally {
+            await server.stop();
+        }
+    }
+});
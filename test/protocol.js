@@ -0,0 +1,51 @@
+const assert = require('assert');
+const { negotiateVersion, validateInbound, validateOutbound } = require('../lib/protocol');
+
+// ==================== PROTOCOLO WATCH PARTY ====================
+// Validación de los mensajes de /watch-party contra sus esquemas.
+
+const fields = errors => errors.map(error => error.field);
+
+function testUnknownTypes() {
+    assert.deepStrictEqual(fields(validateInbound({ type: 'no_existe' })), ['type']);
+    assert.deepStrictEqual(fields(validateInbound({})), ['type']);
+    assert.deepStrictEqual(fields(validateInbound(null)), ['mensaje']);
+    assert.deepStrictEqual(fields(validateInbound([{ type: 'join' }])), ['mensaje']);
+
+    // Las claves del prototipo tampoco son tipos del protocolo
+    ['constructor', '__proto__', 'toString', 'hasOwnProperty'].forEach(type => {
+        assert.deepStrictEqual(fields(validateInbound({ type })), ['type'], `${type} debe rechazarse`);
+        assert.deepStrictEqual(fields(validateOutbound({ type })), ['type'], `${type} debe rechazarse`);
+    });
+}
+
+function testFields() {
+    assert.deepStrictEqual(validateInbound({ type: 'chat_message', message: 'hola' }), []);
+    assert.deepStrictEqual(fields(validateInbound({ type: 'chat_message' })), ['message']);
+    assert.deepStrictEqual(fields(validateInbound({ type: 'chat_message', message: 42 })), ['message']);
+    assert.deepStrictEqual(fields(validateInbound({ type: 'chat_message', message: 'x'.repeat(1001) })), ['message']);
+    assert.deepStrictEqual(fields(validateInbound({ type: 'playback_update', current_time: -1, is_playing: true })), ['current_time']);
+
+    // Objetos anidados cerrados: ni propiedades desconocidas ni del prototipo
+    assert.deepStrictEqual(validateInbound({ type: 'join', policies: { chat: 'member' } }), []);
+    assert.deepStrictEqual(fields(validateInbound({ type: 'join', policies: { chat: 'admin' } })), ['policies.chat']);
+    assert.deepStrictEqual(fields(validateInbound({ type: 'join', policies: { extra: 'member' } })), ['policies.extra']);
+    const withProtoKey = JSON.parse('{ "type": "join", "policies": { "constructor": "member" } }');
+    assert.deepStrictEqual(fields(validateInbound(withProtoKey)), ['policies.constructor']);
+}
+
+function testVersions() {
+    assert.strictEqual(negotiateVersion(undefined), 1);
+    assert.strictEqual(negotiateVersion('1,2'), 1);
+    assert.strictEqual(negotiateVersion('7'), null);
+}
+
+try {
+    testUnknownTypes();
+    testFields();
+    testVersions();
+    console.log('✅ protocol: ok');
+} catch (error) {
+    console.error('❌ protocol:', error);
+    process.exit(1);
+}
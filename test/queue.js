@@ -0,0 +1,48 @@
+const assert = require('assert');
+const { startServer, connect, createToken, sleep, runTests } = require('./helpers');
+
+// ==================== COLA DE VIDEOS ====================
+// El final de un video avanza la cola una sola vez, lo avise quien lo avise.
+
+async function join(port, userId, username, join = {}) {
+    const ws = connect(port, '/watch-party', { token: createToken(userId, username), query: { room: 'QUEUE' } });
+    await ws.opened;
+    ws.sendJson({ type: 'join', ...join });
+    await ws.next('room_joined');
+    return ws;
+}
+
+runTests('queue', {
+    async 'avanza con el aviso de cualquier participante y se detiene al vaciarse'() {
+        const server = await startServer('server.js');
+        try {
+            const host = await join(server.port, 1, 'host', { create: true, video_id: 'v0' });
+            const viewer = await join(server.port, 2, 'viewer');
+
+            host.sendJson({ type: 'queue_add', video_id: 'v1' });
+            await viewer.next('queue_updated');
+            host.sendJson({ type: 'playback_update', current_time: 0, is_playing: true });
+            await viewer.next('playback_update');
+
+            // El anfitrión se va: el aviso del espectador basta, y los repetidos no cuentan
+            host.close();
+            viewer.sendJson({ type: 'video_ended', video_id: 'v0' });
+            viewer.sendJson({ type: 'video_ended', video_id: 'v0' });
+            const changed = await viewer.next('video_changed');
+            assert.strictEqual(changed.video_id, 'v1');
+            assert.strictEqual(changed.is_playing, true);
+
+            viewer.sendJson({ type: 'video_ended', video_id: 'v1', item_id: changed.item_id });
+            viewer.sendJson({ type: 'video_ended', video_id: 'v1', item_id: changed.item_id });
+            const stopped = await viewer.next('playback_update', message => message.event_type === 'ended');
+            assert.strictEqual(stopped.is_playing, false);
+
+            await sleep(200);
+            assert.strictEqual(viewer.received.filter(message => message.type === 'video_changed').length, 1);
+            assert.strictEqual(viewer.received.filter(message => message.event_type === 'ended').length, 1);
+            viewer.close();
+        } finally {
+            await server.stop();
+        }
+    }
+});
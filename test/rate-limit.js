@@ -0,0 +1,89 @@
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const { createRateLimiter, createConnectionLimiter, limitConnections } = require('../lib/rate-limit');
+
+// ==================== LÍMITES DE TASA ====================
+// Cubetas por tipo de mensaje (con 'default' para el resto) y plazas por IP.
+
+const LIMITS = {
+    chat_message: { capacity: 2, refill: 0.001 },
+    default: { capacity: 3, refill: 0.001 }
+};
+
+// Cuántos de `count` mensajes de ese tipo deja pasar una conexión nueva
+function allowedOf(type, count) {
+    const limiter = createRateLimiter({ limits: LIMITS });
+    const connection = limiter.createConnectionState();
+    let allowed = 0;
+    for (let i = 0; i < count; i++) {
+        if (limiter.check(connection, 'u1', type).action === 'allow') allowed++;
+    }
+    return allowed;
+}
+
+function testBuckets() {
+    assert.strictEqual(allowedOf('chat_message', 10), 2);
+    assert.strictEqual(allowedOf('playback_update', 10), 3);
+
+    // Las claves del prototipo usan la cubeta por defecto como cualquier tipo desconocido
+    ['constructor', '__proto__', 'toString', 'hasOwnProperty'].forEach(type => {
+        assert.strictEqual(allowedOf(type, 50), 3, `${type} debe limitarse`);
+    });
+}
+
+function testEscalation() {
+    const limiter = createRateLimiter({ limits: LIMITS, warnings: 1, maxStrikes: 3 });
+    const connection = limiter.createConnectionState();
+    const actions = [];
+    for (let i = 0; i < 5; i++) {
+        actions.push(limiter.check(connection, 'u1', 'chat_message').action);
+    }
+    assert.deepStrictEqual(actions, ['allow', 'allow', 'warn', 'throttle', 'disconnect']);
+}
+
+function testSharedUserBucket() {
+    // Varias conexiones del mismo usuario no suman cupo
+    const limiter = createRateLimiter({ limits: LIMITS });
+    const first = limiter.createConnectionState();
+    const second = limiter.createConnectionState();
+    assert.strictEqual(limiter.check(first, 'u1', 'chat_message').action, 'allow');
+    assert.strictEqual(limiter.check(second, 'u1', 'chat_message').action, 'allow');
+    assert.notStrictEqual(limiter.check(second, 'u1', 'chat_message').action, 'allow');
+    assert.strictEqual(limiter.check(limiter.createConnectionState(), 'u2', 'chat_message').action, 'allow');
+}
+
+function testConnectionLimit() {
+    const limiter = createConnectionLimiter({ maxPerIp: 2 });
+    const accepted = [];
+    const verify = limitConnections(limiter, (info, done) => done(true));
+
+    const connect = () => {
+        const socket = new EventEmitter();
+        socket.remoteAddress = '10.0.0.1';
+        let result;
+        verify({ req: { headers: {}, socket } }, (ok, code) => { result = ok ? 'ok' : code; });
+        accepted.push(result);
+        return socket;
+    };
+
+    const first = connect();
+    connect();
+    connect();
+    assert.deepStrictEqual(accepted, ['ok', 'ok', 429]);
+
+    // La plaza se libera al cerrarse el socket, aunque el upgrade no llegara a completarse
+    first.emit('close');
+    connect();
+    assert.strictEqual(accepted[3], 'ok');
+}
+
+try {
+    testBuckets();
+    testEscalation();
+    testSharedUserBucket();
+    testConnectionLimit();
+    console.log('✅ rate-limit: ok');
+} catch (error) {
+    console.error('❌ rate-limit:', error);
+    process.exit(1);
+}
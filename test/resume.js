@@ -0,0 +1,84 @@
+const assert = require('assert');
+const { startServer, connect, createToken, runTests } = require('./helpers');
+
+// ==================== REANUDACIÓN DE SESIÓN ====================
+// Tras un corte, el resume_token de room_joined devuelve el sitio y lo que se perdió
+// durante el periodo de gracia; fuera de él, o con otro token, es una entrada nueva.
+
+async function join(port, userId, join = {}) {
+    const ws = connect(port, '/watch-party', { token: createToken(userId, `user${userId}`), query: { room: 'RESUME' } });
+    await ws.opened;
+    ws.sendJson({ type: 'join', ...join });
+    const joined = await ws.next('room_joined');
+    return { ws, joined };
+}
+
+async function drop(ws) {
+    ws.close();
+    await ws.closed;
+}
+
+runTests('resume', {
+    async 'se recupera el sitio y los mensajes perdidos con el token correcto'() {
+        const server = await startServer('server.js');
+        try {
+            const host = await join(server.port, 1, { create: true, video_id: 'v0' });
+            const guest = await join(server.port, 2);
+
+            host.ws.sendJson({ type: 'chat_message', message: 'antes' });
+            const before = await guest.ws.next('chat_message');
+            await drop(guest.ws);
+            host.ws.sendJson({ type: 'chat_message', message: 'durante' });
+            await host.ws.next('chat_message', message => message.message === 'durante');
+
+            // Un token ajeno no reanuda: entra como nuevo con otro token
+            const stranger = await join(server.port, 3, { resume_token: guest.joined.resume_token });
+            assert.strictEqual(stranger.joined.resumed, false);
+            assert.notStrictEqual(stranger.joined.resume_token, guest.joined.resume_token);
+
+            const back = await join(server.port, 2, {
+                resume_token: guest.joined.resume_token,
+                last_message_id: before.id
+            });
+            assert.strictEqual(back.joined.resumed, true);
+            const { missed_events: missed } = await back.ws.next('session_resumed');
+            assert.deepStrictEqual(missed.filter(event => event.type === 'chat_message').map(event => event.message), ['durante']);
+
+            // Para el resto de la sala nunca se fue
+            assert.ok(!host.ws.received.some(message => message.type === 'user_left'));
+
+            // El anfitrión conserva su papel al volver
+            await drop(host.ws);
+            const hostBack = await join(server.port, 1, { resume_token: host.joined.resume_token });
+            assert.strictEqual(hostBack.joined.resumed, true);
+            assert.strictEqual(hostBack.joined.user.isHost, true);
+
+            [stranger.ws, back.ws, hostBack.ws].forEach(ws => ws.close());
+        } finally {
+            await server.stop();
+        }
+    },
+
+    async 'sin periodo de gracia vigente no hay reanudación'() {
+        const server = await startServer('server.js', { RECONNECT_GRACE_PERIOD: '300' });
+        try {
+            const host = await join(server.port, 1, { create: true, video_id: 'v0' });
+            const guest = await join(server.port, 2);
+
+            await drop(guest.ws);
+            assert.strictEqual((await host.ws.next('user_left')).user_id, '2');
+            const late = await join(server.port, 2, { resume_token: guest.joined.resume_token });
+            assert.strictEqual(late.joined.resumed, false);
+
+            // Una expulsión tampoco deja el sitio guardado
+            host.ws.sendJson({ type: 'kick', user_id: '2' });
+            assert.strictEqual((await late.ws.closed).code, 4010);
+            const kicked = await join(server.port, 2, { resume_token: late.joined.resume_token });
+            assert.strictEqual(kicked.joined.resumed, false);
+
+            [host.ws, kicked.ws].forEach(ws => ws.close());
+        } finally {
+            await server.stop();
+        }
+    }
+});
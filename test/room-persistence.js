@@ -0,0 +1,55 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer, connect, createToken, runTests } = require('./helpers');
+
+// ==================== PERSISTENCIA DE SALAS ====================
+// Las salas guardadas con ROOM_STORE=file sobreviven a un reinicio de server.js.
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'watch-party-rooms-'));
+const env = { ROOM_STORE: 'file', ROOM_STORE_PATH: directory, WAIT_FOR_READY_TIMEOUT: '3000' };
+
+async function joinAsHost(port, roomCode, join = {}) {
+    const ws = connect(port, '/watch-party', { token: createToken(1, 'host'), query: { room: roomCode } });
+    await ws.opened;
+    ws.sendJson({ type: 'join', ...join });
+    return { ws, joined: await ws.next('room_joined') };
+}
+
+runTests('room-persistence', {
+    async 'restaura la posición de reproducción y la espera pendiente'() {
+        const first = await startServer('server.js', env);
+
+        const playing = await joinAsHost(first.port, 'PLAYING', { create: true, video_id: 'v1' });
+        playing.ws.sendJson({ type: 'playback_update', current_time: 100, is_playing: true });
+
+        // El anfitrión está cargando, así que el play queda en espera (pending_play)
+        const waiting = await joinAsHost(first.port, 'WAITING', { create: true, video_id: 'v2' });
+        waiting.ws.sendJson({ type: 'set_wait_mode', enabled: true });
+        await waiting.ws.next('wait_mode_updated');
+        waiting.ws.sendJson({ type: 'player_state', state: 'buffering' });
+        waiting.ws.sendJson({ type: 'playback_update', current_time: 10, is_playing: true });
+        await waiting.ws.next('playback_update', message => message.event_type === 'waiting_for_ready');
+
+        await first.stop();
+        const second = await startServer('server.js', env);
+        try {
+            const resumed = await joinAsHost(second.port, 'PLAYING');
+            assert.strictEqual(resumed.joined.room.is_playing, true);
+            assert.ok(resumed.joined.room.video_current_time >= 100);
+
+            const held = await joinAsHost(second.port, 'WAITING');
+            assert.strictEqual(held.joined.room.is_playing, false);
+            // Sin temporizador rearmado la sala se quedaría esperando para siempre
+            const start = await held.ws.next('playback_update', message => message.event_type === 'coordinated_start');
+            assert.strictEqual(start.current_time, 10);
+
+            resumed.ws.close();
+            held.ws.close();
+        } finally {
+            await second.stop();
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    }
+});
@@ -0,0 +1,48 @@
+const assert = require('assert');
+const { startServer, connect, createToken, runTests } = require('./helpers');
+
+// ==================== VALIDACIÓN DE MENSAJES EN EL SERVIDOR ====================
+// server.js responde invalid_message a lo que no cumple el esquema y no lo procesa.
+
+runTests('validation', {
+    async 'los mensajes fuera del esquema se rechazan sin tocar la sala'() {
+        const server = await startServer('server.js');
+        try {
+            const ws = connect(server.port, '/watch-party', { token: createToken(1, 'host'), query: { room: 'SCHEMA' } });
+            await ws.opened;
+
+            ws.sendJson({ type: 'join', create: true, video_id: 'v0', max_participants: 1000 });
+            const tooMany = await ws.next('error');
+            assert.strictEqual(tooMany.code, 'invalid_message');
+            assert.strictEqual(tooMany.message_type, 'join');
+            assert.strictEqual(tooMany.errors[0].field, 'max_participants');
+
+            ws.sendJson({ type: 'join', create: true, video_id: 'v0', policies: { playback: 'nadie' } });
+            assert.strictEqual((await ws.next('error')).code, 'invalid_message');
+
+            // Ni tipos desconocidos ni nombres heredados del prototipo
+            for (const type of ['no_existe', 'constructor', '__proto__', 42]) {
+                ws.sendJson({ type });
+                const unknown = await ws.next('error');
+                assert.strictEqual(unknown.code, 'invalid_message');
+                assert.strictEqual(unknown.message_type, typeof type === 'string' ? type : null);
+            }
+
+            ws.send('{no es json');
+            assert.strictEqual((await ws.next('error')).message, 'Error al procesar el mensaje');
+
+            // Nada de lo anterior creó la sala; un join válido sí
+            assert.ok(!ws.received.some(message => message.type === 'room_joined'));
+            ws.sendJson({ type: 'join', create: true, video_id: 'v0', max_participants: 4 });
+            assert.strictEqual((await ws.next('room_joined')).room.max_participants, 4);
+
+            ws.sendJson({ type: 'chat_message', message: 'x'.repeat(1001) });
+            const tooLong = await ws.next('error');
+            assert.strictEqual(tooLong.code, 'invalid_message');
+            assert.ok(!ws.received.some(message => message.type === 'chat_message'));
+            ws.close();
+        } finally {
+            await server.stop();
+        }
+    }
+});
@@ -0,0 +1,40 @@
+const assert = require('assert');
+const { startServer, connect, createToken, runTests } = require('./helpers');
+
+// ==================== VOTACIONES ====================
+// Saltar o buscar por votación exige mayoría estricta de la sala.
+
+async function join(port, userId, username, join = {}) {
+    const ws = connect(port, '/watch-party', { token: createToken(userId, username), query: { room: 'VOTES' } });
+    await ws.opened;
+    ws.sendJson({ type: 'join', ...join });
+    await ws.next('room_joined');
+    return ws;
+}
+
+runTests('votes', {
+    async 'en una sala de dos quien propone saltar no decide solo'() {
+        const server = await startServer('server.js');
+        try {
+            const host = await join(server.port, 1, 'host', { create: true, video_id: 'v0' });
+            const member = await join(server.port, 2, 'member');
+            host.sendJson({ type: 'queue_add', video_id: 'v1' });
+            await member.next('queue_updated');
+
+            member.sendJson({ type: 'start_vote', kind: 'skip' });
+            const { poll } = await member.next('poll_updated');
+            assert.strictEqual(poll.required_votes, 2);
+            assert.ok(!member.received.some(message => message.type === 'poll_closed'));
+
+            host.sendJson({ type: 'poll_vote', poll_id: poll.id, option_id: 0 });
+            const closed = await member.next('poll_closed');
+            assert.strictEqual(closed.reason, 'passed');
+            assert.strictEqual((await member.next('video_changed')).video_id, 'v1');
+
+            host.close();
+            member.close();
+        } finally {
+            await server.stop();
+        }
+    }
+});
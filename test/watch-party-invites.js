@@ -0,0 +1,74 @@
+const assert = require('assert');
+const { JWT_SECRET, startServer, connect, createToken, runTests } = require('./helpers');
+
+process.env.JWT_SECRET = JWT_SECRET;
+const { createRoomInviteToken } = require('../lib/auth');
+
+// ==================== INVITACIONES DESDE EL CHAT ====================
+// server.js admite en una sala privada con el invite_token que emite chat-server.js
+// solo si lo firmó el anfitrión para ese usuario, y una sola vez.
+
+function inviteToken({ inviteId, inviterId = 1, inviteeId }) {
+    return createRoomInviteToken({
+        inviteId,
+        roomCode: 'PRIVATE',
+        inviterId,
+        inviteeId,
+        expiresAt: Date.now() + 60000
+    });
+}
+
+async function join(port, userId, join = {}) {
+    const ws = connect(port, '/watch-party', { token: createToken(userId, `user${userId}`), query: { room: 'PRIVATE' } });
+    await ws.opened;
+    ws.sendJson({ type: 'join', ...join });
+    const reply = await ws.next(['room_joined', 'error']);
+    return { ws, reply };
+}
+
+runTests('watch-party-invites', {
+    async 'solo vale la invitación del anfitrión, para su destinatario y una vez'() {
+        const server = await startServer('server.js');
+        try {
+            const host = await join(server.port, 1, { create: true, is_private: true, video_id: 'v0' });
+            assert.strictEqual(host.reply.type, 'room_joined');
+
+            const notFromHost = await join(server.port, 2, { invite_token: inviteToken({ inviteId: 1, inviterId: 3, inviteeId: 2 }) });
+            assert.strictEqual(notFromHost.reply.code, 'invite_invalid');
+
+            const token = inviteToken({ inviteId: 2, inviteeId: 2 });
+            const otherUser = await join(server.port, 4, { invite_token: token });
+            assert.strictEqual(otherUser.reply.code, 'invite_invalid');
+
+            const guest = await join(server.port, 2, { invite_token: token });
+            assert.strictEqual(guest.reply.type, 'room_joined');
+
+            // Tras un veto y su retirada ya no es miembro: la misma invitación no sirve otra vez
+            host.ws.sendJson({ type: 'ban', user_id: '2' });
+            await guest.ws.closed;
+            host.ws.sendJson({ type: 'unban', user_id: '2' });
+            await host.ws.next('user_unbanned');
+
+            const reused = await join(server.port, 2, { invite_token: token });
+            assert.strictEqual(reused.reply.code, 'invite_invalid');
+
+            [host, notFromHost, otherUser, reused].forEach(({ ws }) => ws.close());
+        } finally {
+            await server.stop();
+        }
+    },
+
+    async 'el chat no emite invitaciones sin un adaptador de clúster compartido'() {
+        const chat = await startServer('chat-server.js', { CLUSTER_ADAPTER: 'local' });
+        try {
+            const ws = connect(chat.port, '/chat-ws', { token: createToken(1, 'host') });
+            await ws.opened;
+            await ws.next('connected');
+            ws.sendJson({ type: 'watch_party_invite', to_user_id: 2, room_code: 'PRIVATE' });
+            assert.strictEqual((await ws.next('error')).code, 'invites_unavailable');
+            ws.close();
+        } finally {
+            await chat.stop();
+        }
+    }
+});